@@ -5,7 +5,7 @@
 
 /**
  * Feature detection for required browser capabilities.
- * Returns { supported: boolean, missing: string[] }
+ * Returns { supported: boolean, missing: string[] } (I18n message keys)
  */
 function checkBrowserSupport() {
   const missing = [];
@@ -14,42 +14,42 @@ function checkBrowserSupport() {
   try {
     const canvas = document.createElement('canvas');
     if (!canvas.getContext || !canvas.getContext('2d')) {
-      missing.push('Canvas');
+      missing.push('feature.canvas');
     }
   } catch (e) {
-    missing.push('Canvas');
+    missing.push('feature.canvas');
   }
 
   // canvas.toBlob (for JPEG compression)
   try {
     const canvas = document.createElement('canvas');
     if (typeof canvas.toBlob !== 'function') {
-      missing.push('Canvas image export');
+      missing.push('feature.canvasExport');
     }
   } catch (e) {
-    missing.push('Canvas image export');
+    missing.push('feature.canvasExport');
   }
 
   // URL.createObjectURL (for image previews)
   if (typeof URL === 'undefined' || typeof URL.createObjectURL !== 'function') {
-    missing.push('File URLs');
+    missing.push('feature.fileUrls');
   }
 
-  // File constructor (for HEIC conversion)
+  // File constructor (for converted uploads, see decoders.js)
   try {
     new File([''], 'test.txt', { type: 'text/plain' });
   } catch (e) {
-    missing.push('File handling');
+    missing.push('feature.files');
   }
 
   // Promises (baseline for async/await)
   if (typeof Promise === 'undefined') {
-    missing.push('Promises');
+    missing.push('feature.promises');
   }
 
   // Array.from
   if (typeof Array.from !== 'function') {
-    missing.push('Modern arrays');
+    missing.push('feature.arrays');
   }
 
   return {
@@ -58,39 +58,133 @@ function checkBrowserSupport() {
   };
 }
 
+/**
+ * Per-artwork details entered on the upload step (all optional).
+ */
+function emptyDetails() {
+  return { title: '', medium: '', dimensions: '', year: '' };
+}
+
+/**
+ * Build a fresh array of empty image slots.
+ */
+function createSlots(count) {
+  const slots = [];
+  for (let i = 1; i <= count; i++) {
+    slots.push({ id: i, status: 'empty', file: null, originalFile: null, originalUrl: null, error: null, warnings: [], analysis: null, edits: null, details: emptyDetails(), progress: 0, processedBlob: null, processedUrl: null, renditions: [], report: null });
+  }
+  return slots;
+}
+
+/**
+ * Spoken progress while processing: at most this often, and only after
+ * this much headway, so the per-image announcements still get through.
+ */
+const PROGRESS_ANNOUNCE_INTERVAL = 5000; // ms
+const PROGRESS_ANNOUNCE_STEP = 10;       // percentage points
+
 function imageApp() {
+  // filename()'s table and what it was built from. Kept out of Alpine's
+  // reactive state: rebuilding it while a template reads it mustn't
+  // re-render everything else that reads it.
+  let filenames = { key: null, table: null };
+
   return {
     // ---- Browser support ----
     browserSupported: true,
     missingFeatures: [],
 
+    // ---- Language (see i18n.js) ----
+    locale: I18n.locale,
+    locales: I18n.available(),
+
     // ---- Step state ----
     currentStep: 'landing',
 
     // ---- Artist name ----
     artistName: '',
-    artistNameError: '',
+    artistNameError: null,   // message descriptor, see I18n.message()
     artistNameConfirmed: false,
+    customSlug: '',          // hand-entered name for filenames ('' = from artistName)
+    artistId: '',            // for filename templates with {id}
+    editingSlug: false,
+    _filenameDate: new Date(), // {date} in filenames; taken as each run starts so its names agree
 
-    // ---- 5 image slots ----
-    slots: [
-      { id: 1, status: 'empty', file: null, originalFile: null, originalUrl: null, error: null, processedBlob: null, processedUrl: null },
-      { id: 2, status: 'empty', file: null, originalFile: null, originalUrl: null, error: null, processedBlob: null, processedUrl: null },
-      { id: 3, status: 'empty', file: null, originalFile: null, originalUrl: null, error: null, processedBlob: null, processedUrl: null },
-      { id: 4, status: 'empty', file: null, originalFile: null, originalUrl: null, error: null, processedBlob: null, processedUrl: null },
-      { id: 5, status: 'empty', file: null, originalFile: null, originalUrl: null, error: null, processedBlob: null, processedUrl: null },
-    ],
+    // ---- Submission profile (limits, slot count, output naming) ----
+    profile: Profiles.normalise(Profiles.DEFAULT), // until init() loads the selected one
+    _profileLoaded: null,    // Promise: that load; uploads wait for it, as applying it replaces the slots
+
+    // ---- Image slots (count set by profile) ----
+    slots: createSlots(Profiles.DEFAULT.slotCount),
 
     // ---- Processing state ----
     isProcessing: false,
-    processingProgress: 0,
-    processingCurrent: 0,
+    processingProgress: 0,   // 0–100 across the current batch, from per-image progress
+    processingDone: 0,
+    processingTotal: 0,
+    _cancelRequested: false,
+    _processingRun: null,    // token of the run in progress; resetApp() drops it so the run stops
+    _batch: [],              // slots in the current processing run
+    _progressSpoken: null,   // { batch, at, percent }: last progress announcement
+
+    // ---- Download state ----
+    isZipping: false,
+    includeManifest: true,
+
+    // ---- Submission (optional, enabled by data-submit-endpoint) ----
+    submitEndpoint: '',
+    submission: { status: 'idle', id: null, items: [], error: null },
+
+    // ---- Artwork details ----
+    includeTitles: false,    // add each title to its filenames (profile titleInFilename sets the default)
+
+    // ---- Copyright mark (optional, see watermark.js; profile sets the defaults) ----
+    watermark: Watermark.normalise(Profiles.DEFAULT.watermark),
+    watermarkLogo: null,     // uploaded PNG (File)
+    watermarkLogoUrl: null,
+    watermarkError: null,    // message descriptor
 
     // ---- UI state ----
     isDragging: false,
-    excessMessage: '',
+    dragSlotIndex: null,     // slot being dragged to a new position
+    dragOverIndex: null,
+    excessMessage: null,     // message descriptor
     replaceSlotIndex: null,
-    selectedSlot: null,
+    selectedSlot: null,      // slot whose actions are open
+    slotFocus: 0,            // slot holding the grid's one tab stop
+    slotColumns: 3,          // slots per row, as styles.css lays them out (see _slotColumns())
+
+    // ---- Saved session (IndexedDB) ----
+    savedSession: null,      // summary shown on the landing step
+    _savedData: null,        // full record awaiting resume/discard
+    _persistReady: false,    // no saving until any earlier session is resumed or discarded
+    _saveTimer: null,
+    _savedSlotRefs: [],      // what was last written per slot, to skip unchanged slots
+
+    // ---- Offline / updates (service worker) ----
+    updateAvailable: false,
+    _waitingWorker: null,
+    _updating: false,
+
+    // ---- Camera capture (see camera.js) ----
+    camera: { open: false, live: false, capturing: false, error: null, notice: null, lowResolution: null, level: null },
+    _cameraStream: null,
+    _stopLevel: null,
+
+    // ---- Per-slot editor (perspective / rotate / flip / straighten / crop) ----
+    editor: { open: false, index: null, edits: null, loading: false, error: null, adjustingCorners: false, notice: null },
+    _editorImage: null,
+    _editorOrientation: 1,
+    _editorRectified: null,  // { key, canvas }: preview of the warped image, for its corners
+
+    // ---- Organiser mode: many artists at once (see organiser.js) ----
+    organiser: { groups: [], unassigned: [], mappingName: null, error: null, isDragging: false, checking: false },
+    _organiserEntries: [],   // { file, path, item } for every image added, regrouped as more arrive
+    _organiserMapping: null, // rows from the CSV, see Organiser.parseMapping()
+
+    // ---- Results: before/after comparison ----
+    compare: { index: null, mode: 'slider', position: 50 },
+
     srAnnouncement: '',
 
 
@@ -98,22 +192,202 @@ function imageApp() {
     // Getters (computed-like)
     // ========================
 
+    /**
+     * The artist's name as used in filenames: their own override when
+     * they've entered one, otherwise derived from the name.
+     */
     get sanitizedName() {
-      return this.artistName
-        .trim()
-        .toLowerCase()
-        .replace(/['']/g, '')           // remove apostrophes/smart quotes
-        .replace(/[^a-z0-9\s-]/g, '')  // strip special chars
-        .replace(/\s+/g, '-')           // spaces to hyphens
-        .replace(/-+/g, '-')            // collapse multiple hyphens
-        .replace(/^-|-$/g, '');          // trim leading/trailing hyphens
+      return this.editingSlug && this.customSlug ? this.customSlug : this.nameSlug;
+    },
+
+    /**
+     * Transliterated name (slug.js). A name with nothing ASCII to show for
+     * it gets the profile's fallback: an ID-based slug, or '' when the
+     * artist has to choose one ('manual').
+     */
+    get nameSlug() {
+      return this._slugFor(this.artistName);
+    },
+
+    _slugFor(name) {
+      const slug = Slug.slugify(name);
+      if (slug.length >= Slug.MIN_LENGTH || this._letterCount(name) < Slug.MIN_LENGTH) return slug;
+      const fallback = this.profile.nameFallback;
+      return fallback.strategy === 'id' ? Slug.fallback(name, fallback.prefix) : '';
+    },
+
+    get nameIsFallback() {
+      return this.nameSlug !== Slug.slugify(this.artistName);
+    },
+
+    get customSlugError() {
+      if (!this.editingSlug || this.customSlug === '' || Slug.isValid(this.customSlug)) return null;
+      return { key: 'name.slugInvalid', params: { min: Slug.MIN_LENGTH, max: Slug.MAX_LENGTH } };
+    },
+
+    /**
+     * Main filename for every image, as shown on the name step.
+     */
+    get filenamePreview() {
+      return this.slots.map((slot, index) => this.filename(index, this.profile.renditions[0]));
+    },
+
+    /**
+     * Filename of a slot's rendition (its main image when omitted). Every
+     * download, preview and list uses this, so they always agree.
+     */
+    filename(index, rendition) {
+      const names = this._slotFilenames()[index];
+      return names[(rendition || this._renditionsOf(this.slots[index])[0]).id];
+    },
+
+    /**
+     * The slots' filename table, rebuilt only when something that goes
+     * into the names has changed.
+     */
+    _slotFilenames() {
+      const artist = this._artistNaming();
+      const reserved = ['manifest.json', this.sidecarFilename];
+      const key = JSON.stringify([
+        this.profile.filenamePattern, artist, reserved, this.includeTitles, this._filenameDate.getTime(),
+        this.slots.map(slot => [slot.details.title, this._renditionsOf(slot).map(r => [r.id, r.format, r.suffix])]),
+      ]);
+      if (filenames.key !== key) filenames = { key, table: this._filenameTable(artist, this.slots, reserved) };
+      return filenames.table;
+    },
+
+    /**
+     * The profile's filename template uses {id}, so the artist is asked for one.
+     */
+    get filenameUsesId() {
+      return /\{id[:}]/i.test(this.profile.filenamePattern);
+    },
+
+    /**
+     * What the filename template (filename-template.js) knows about the
+     * artist. A hand-entered filename name stands in for their name.
+     */
+    _artistNaming() {
+      const parts = this.editingSlug && this.customSlug
+        ? FilenameTemplate.nameParts(this.customSlug.replace(/-/g, ' '))
+        : FilenameTemplate.nameParts(this.artistName);
+      return { slug: this.sanitizedName, first: parts.first, last: parts.last, id: this.artistId.trim() };
+    },
+
+    /**
+     * Every output filename of one artist's images, from the profile's
+     * template: per item, rendition id → name. Names that would clash
+     * (with each other or `reserved`) are made unique. Items are slots or
+     * organiser files; unprocessed ones are named for the profile's
+     * renditions, processed ones for the format each was saved in.
+     */
+    _filenameTable(artist, items, reserved = []) {
+      const date = this._filenameDate;
+      const wanted = [];
+      items.forEach((item, index) => {
+        const title = this.includeTitles && item.details ? item.details.title : '';
+        this._renditionsOf(item).forEach(rendition => {
+          wanted.push({
+            index,
+            id: rendition.id,
+            name: FilenameTemplate.render(this.profile.filenamePattern, {
+              name: artist.slug,
+              first: artist.first,
+              last: artist.last,
+              id: artist.id,
+              index: index + 1,
+              title,
+              date,
+              rendition: rendition.suffix,
+              ext: Profiles.FORMATS[rendition.format].ext,
+            }),
+          });
+        });
+      });
+
+      const names = FilenameTemplate.unique(wanted.map(w => w.name), reserved);
+      const table = items.map(() => ({}));
+      wanted.forEach((w, i) => { table[w.index][w.id] = names[i]; });
+      return table;
+    },
+
+    _renditionsOf(item) {
+      return item && item.renditions.length ? item.renditions : this.profile.renditions;
+    },
+
+    get hasArtworkDetails() {
+      return this.slots.some(slot =>
+        slot.file && Object.values(slot.details).some(value => value.trim() !== '')
+      );
+    },
+
+    /**
+     * Slots can be reordered unless something is working on them by index.
+     */
+    get canReorder() {
+      return !this.isProcessing && !this.editor.open &&
+        !this.slots.some(slot => slot.status === 'validating');
+    },
+
+    /**
+     * Every output file: each slot's renditions, in slot order.
+     */
+    get outputFiles() {
+      const files = [];
+      this.slots.forEach((slot, index) => {
+        slot.renditions.forEach(rendition => {
+          files.push({ index, rendition, filename: this.filename(index, rendition), blob: rendition.blob });
+        });
+      });
+      return files;
+    },
+
+    /**
+     * Landing page requirements, generated from the active profile so the
+     * rules shown always match the rules enforced.
+     */
+    get requirements() {
+      const p = this.profile;
+      return [
+        { text: this.t('requirements.count', { count: p.slotCount }) },
+        { text: this.t('requirements.format'), detail: this.t('requirements.formatDetail', { formats: this._formatList('conjunction') }) },
+        { text: this.t('requirements.minEdge', { min: p.minEdge }) },
+        { text: this.t('requirements.maxSize', { max: p.maxFileSize }) },
+        { text: this.t('requirements.maxSourceSize', { max: p.maxSourceFileSize, formats: I18n.formatList(Decoders.labels('plugin'), 'conjunction') }) },
+      ];
+    },
+
+    /**
+     * The upload formats other than JPG (decoders.js), as a phrase like
+     * "PNG, WebP or TIFF" in the active language.
+     */
+    _formatList(type) {
+      return I18n.formatList(Decoders.labels().filter(label => label !== 'JPG'), type);
+    },
+
+    get outputFormatLabel() {
+      return Profiles.formatLabel(this.profile);
     },
 
     /**
-     * Build filename for a given slot index.
+     * Filename for the bundled ZIP download.
      */
-    filename(index) {
-      return this.sanitizedName + '-' + (index + 1) + '.jpg';
+    get zipFilename() {
+      return this.sanitizedName + '-images.zip';
+    },
+
+    get submissionEnabled() {
+      return this.submitEndpoint !== '';
+    },
+
+    /**
+     * Overall upload progress (0–100) across all queued files.
+     */
+    get submissionProgress() {
+      const items = this.submission.items;
+      if (items.length === 0) return 0;
+      const total = items.reduce((sum, item) => sum + item.progress, 0);
+      return Math.round((total / items.length) * 100);
     },
 
     get emptySlotCount() {
@@ -124,6 +398,47 @@ function imageApp() {
       return this.slots.every(s => s.status === 'valid');
     },
 
+    /**
+     * Every slot has an image that is waiting, finished, or failed processing
+     * (and so can be retried), and at least one still needs processing.
+     */
+    get readyToProcess() {
+      return this.slots.every(s => s.status === 'valid' || s.status === 'done' || this.canRetry(s)) &&
+        this.slots.some(s => s.status !== 'done') &&
+        !this.watermarkNeedsLogo;
+    },
+
+    /**
+     * The logo mark is on but no logo has been uploaded yet.
+     */
+    get watermarkNeedsLogo() {
+      return this.watermark.enabled && this.watermark.type === 'logo' && !this.watermarkLogo;
+    },
+
+    /**
+     * The mark's text with the artist's name and this year filled in.
+     */
+    get watermarkText() {
+      return Watermark.text(this.watermark.text, { artistName: this.artistName.trim() });
+    },
+
+    /**
+     * Labels of the renditions that get the mark, e.g. "Web, Social".
+     */
+    get watermarkRenditionLabels() {
+      return this.profile.renditions
+        .filter(r => Watermark.appliesTo(this.watermark, r.id))
+        .map(r => r.label)
+        .join(', ');
+    },
+
+    /**
+     * A slot whose processing failed keeps its file so it can be retried.
+     */
+    canRetry(slot) {
+      return slot.status === 'error' && slot.file !== null;
+    },
+
     get allSlotsDone() {
       return this.slots.every(s => s.status === 'done');
     },
@@ -132,7 +447,10 @@ function imageApp() {
     // Lifecycle
     // ========================
 
-    init() {
+    async init() {
+      // Language first, so even the unsupported-browser message is translated
+      this.setLocale(I18n.detect());
+
       // Check browser support
       const support = checkBrowserSupport();
       this.browserSupported = support.supported;
@@ -142,13 +460,26 @@ function imageApp() {
         return; // Don't set up the rest if browser is unsupported
       }
 
+      // Offline support; a new deploy is offered as a reload
+      this._registerServiceWorker();
+
+      // Optional upload endpoint, configured on the app container
+      this.submitEndpoint = (this.$el.dataset.submitEndpoint || '').trim();
+
       // Warn before leaving once work has started
       window.addEventListener('beforeunload', (e) => {
-        if (this.currentStep !== 'landing') {
+        if (this.currentStep !== 'landing' && !this._updating) {
           e.preventDefault();
         }
       });
 
+      // Images pasted on the upload step fill empty slots, as a drop would
+      document.addEventListener('paste', (e) => this.pasteFiles(e));
+
+      // The slot grid's rows follow its columns, which follow the screen width
+      this.slotColumns = this._slotColumns();
+      window.addEventListener('resize', () => { this.slotColumns = this._slotColumns(); });
+
       // Focus management on step changes
       this.$watch('currentStep', (step) => {
         this.$nextTick(() => {
@@ -157,6 +488,7 @@ function imageApp() {
             name: 'nameHeading',
             upload: 'uploadHeading',
             results: 'resultsHeading',
+            organiser: 'organiserHeading',
           };
           const ref = this.$refs[refMap[step]];
           if (ref) {
@@ -165,6 +497,77 @@ function imageApp() {
           }
         });
       });
+
+      // Load the requested submission profile (defaults apply until then)
+      this._profileLoaded = Profiles.load(Profiles.selectedName(this.$el)).then(profile => this._applyProfile(profile));
+      await this._profileLoaded;
+
+      // Offer to resume a session saved before a reload, then keep saving
+      await this._checkSavedSession();
+      this.$watch('slots', () => this._scheduleSave());
+      this.$watch('artistName', () => this._scheduleSave());
+      this.$watch('customSlug', () => this._scheduleSave());
+      this.$watch('editingSlug', () => this._scheduleSave());
+      this.$watch('artistId', () => this._scheduleSave());
+      this.$watch('includeTitles', () => this._scheduleSave());
+      this.$watch('watermark', () => this._scheduleSave());
+      this.$watch('watermarkLogo', () => this._scheduleSave());
+      this.$watch('currentStep', () => this._scheduleSave());
+    },
+
+    /**
+     * Register sw.js and watch for a newer version waiting to take over.
+     */
+    async _registerServiceWorker() {
+      if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+
+      try {
+        const registration = await navigator.serviceWorker.register('sw.js');
+
+        // Only an update has a controller already; a first install needs no reload
+        const offerUpdate = (worker) => {
+          if (!navigator.serviceWorker.controller) return;
+          this._waitingWorker = worker;
+          this.updateAvailable = true;
+        };
+
+        if (registration.waiting) offerUpdate(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+          const worker = registration.installing;
+          worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed') offerUpdate(worker);
+          });
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+          if (this._updating) window.location.reload();
+        });
+      } catch (err) {
+        console.warn('Service worker registration failed; offline use unavailable.', err);
+      }
+    },
+
+    /**
+     * Switch to the waiting version. The session is saved first, so the
+     * reload can offer to resume it.
+     */
+    async applyUpdate() {
+      if (!this._waitingWorker) return;
+      this._updating = true;
+      clearTimeout(this._saveTimer);
+      if (this._persistReady) await this._saveSession();
+      this._waitingWorker.postMessage('skipWaiting');
+    },
+
+    /**
+     * Make a profile active: configure the processor and rebuild the slots.
+     */
+    _applyProfile(profile) {
+      this.profile = profile;
+      this.includeTitles = profile.titleInFilename;
+      this.watermark = Watermark.normalise(profile.watermark);
+      ImageProcessor.configure(profile);
+      this.slots = createSlots(profile.slotCount);
     },
 
     // ========================
@@ -172,9 +575,242 @@ function imageApp() {
     // ========================
 
     goToStep(step) {
+      if (this.camera.open) this.closeCamera();
       this.currentStep = step;
     },
 
+    // ========================
+    // Language
+    // ========================
+
+    /**
+     * Switch the UI language; `remember` keeps it for later visits
+     * (the language switcher does, detection doesn't).
+     */
+    setLocale(code, remember = false) {
+      this.locale = I18n.setLocale(code, remember);
+      document.documentElement.lang = this.locale;
+      document.title = I18n.t('app.title');
+    },
+
+    /**
+     * Translate for templates. Reading this.locale makes Alpine re-render
+     * on a language switch.
+     */
+    t(key, params) {
+      return this.locale && I18n.t(key, params);
+    },
+
+    /**
+     * Render a stored message descriptor (see I18n.message()).
+     */
+    message(value) {
+      return this.locale && I18n.message(value);
+    },
+
+    // ========================
+    // Step 1: Saved session
+    // ========================
+
+    get savedSessionSummary() {
+      if (!this.savedSession) return '';
+      const s = this.savedSession;
+      const when = new Date(s.savedAt).toLocaleString(this.locale);
+      const images = this.t('resume.images', { count: s.imageCount, when });
+      return s.artistName ? this.t('resume.withName', { name: s.artistName, images }) : images;
+    },
+
+    /**
+     * Begin from the landing step; an unresumed saved session is discarded.
+     */
+    async startSession() {
+      if (this.savedSession) await this.discardSession();
+      this.goToStep('name');
+    },
+
+    /**
+     * Restore the saved session and continue from the furthest step reached.
+     */
+    resumeSession() {
+      const data = this._savedData;
+      if (!data || !this.savedSession.fits) return;
+
+      const meta = data.meta;
+      this.artistName = meta.artistName || '';
+      this.artistNameConfirmed = !!meta.artistNameConfirmed;
+      this.customSlug = meta.customSlug || '';
+      this.editingSlug = this.customSlug !== '';
+      this.artistId = meta.artistId || '';
+      if (typeof meta.includeTitles === 'boolean') this.includeTitles = meta.includeTitles;
+      if (meta.watermark) {
+        // Which renditions are marked is the profile's call, not the session's
+        this.watermark = Watermark.normalise(Object.assign({}, meta.watermark, { renditions: this.profile.watermark.renditions }));
+      }
+      if (meta.watermarkLogo) this._setWatermarkLogo(meta.watermarkLogo);
+
+      this.slots.forEach((slot, i) => {
+        const record = data.slots[i];
+        if (!record) return;
+        slot.originalFile = record.originalFile;
+        slot.file = record.file;
+        slot.edits = record.edits || null;
+        slot.warnings = record.warnings || [];
+        slot.analysis = record.analysis || null;
+        slot.details = Object.assign(emptyDetails(), record.details);
+        slot.originalUrl = URL.createObjectURL(record.file);
+        if (record.status === 'done' && record.renditions && record.renditions.length > 0) {
+          this._setRenditions(slot, record.renditions);
+          slot.report = record.report || null;
+          slot.status = 'done';
+        } else {
+          slot.status = 'valid';
+        }
+      });
+      this._savedSlotRefs = this.slots.map(slot => this._slotRecord(slot));
+
+      this.savedSession = null;
+      this._savedData = null;
+      this._persistReady = true;
+      this.announce(this.t('announce.sessionRestored'));
+
+      if (this.allSlotsDone && this.artistNameConfirmed) {
+        this.goToStep('results');
+      } else if (this.artistNameConfirmed) {
+        this.goToStep('upload');
+      } else {
+        this.goToStep('name');
+      }
+    },
+
+    async discardSession() {
+      this.savedSession = null;
+      this._savedData = null;
+      this._persistReady = true;
+      try {
+        await SessionStore.clear();
+      } catch (err) {
+        console.warn('Could not clear saved session.', err);
+      }
+      this.announce(this.t('announce.sessionDiscarded'));
+    },
+
+    /**
+     * Look for a saved session; without one, start saving straight away.
+     */
+    async _checkSavedSession() {
+      if (!SessionStore.isSupported()) return;
+
+      try {
+        const data = await SessionStore.load();
+        const imageCount = data ? data.slots.filter(Boolean).length : 0;
+        if (data && (data.meta.artistName || imageCount > 0)) {
+          this._savedData = data;
+          this.savedSession = {
+            artistName: data.meta.artistName,
+            imageCount,
+            savedAt: data.meta.savedAt,
+            fits: this._sessionFits(data),
+          };
+          return;
+        }
+      } catch (err) {
+        console.warn('Could not read saved session.', err);
+        return;
+      }
+      this._persistReady = true;
+    },
+
+    /**
+     * Whether a saved session was made under the active profile: another
+     * profile's slots and rules can't be restored into this one.
+     */
+    _sessionFits(data) {
+      const meta = data.meta;
+      if ((meta.profileId || Profiles.DEFAULT.id) !== this.profile.id) return false;
+      // Sessions saved before slotCount was recorded: every image must have a slot
+      if (typeof meta.slotCount !== 'number') return data.slots.every((record, i) => !record || i < this.profile.slotCount);
+      return meta.slotCount === this.profile.slotCount;
+    },
+
+    _scheduleSave() {
+      // A run ticks slot.progress many times a second; it saves once it ends
+      if (!this._persistReady || this.isProcessing) return;
+      clearTimeout(this._saveTimer);
+      this._saveTimer = setTimeout(() => this._saveSession(), 400);
+    },
+
+    /**
+     * Write the session, skipping slots whose contents haven't changed.
+     */
+    async _saveSession() {
+      const records = this.slots.map(slot => this._slotRecord(slot));
+      const hasContent = this.artistName.trim() !== '' || records.some(Boolean);
+
+      try {
+        if (!hasContent) {
+          await SessionStore.clear();
+          this._savedSlotRefs = [];
+          return;
+        }
+
+        await SessionStore.saveMeta({
+          version: 1,
+          savedAt: Date.now(),
+          profileId: this.profile.id,
+          slotCount: this.profile.slotCount,
+          artistName: this.artistName,
+          artistNameConfirmed: this.artistNameConfirmed,
+          customSlug: this.editingSlug ? this.customSlug : '',
+          artistId: this.artistId,
+          includeTitles: this.includeTitles,
+          watermark: JSON.parse(JSON.stringify(this.watermark)),
+          watermarkLogo: this.watermarkLogo,
+        });
+
+        for (let i = 0; i < records.length; i++) {
+          if (this._sameRecord(records[i], this._savedSlotRefs[i])) continue;
+          await SessionStore.saveSlot(i, records[i]);
+          this._savedSlotRefs[i] = records[i];
+        }
+      } catch (err) {
+        console.warn('Could not save session.', err);
+      }
+    },
+
+    /**
+     * What is persisted for a slot: only accepted images, with their edits
+     * and (once processed) the output. Transient states save as 'valid'.
+     */
+    _slotRecord(slot) {
+      // A failed slot still has its file and is saved ready to retry
+      if (!slot.file || !['valid', 'processing', 'done', 'error'].includes(slot.status)) return null;
+      return {
+        status: slot.status === 'done' ? 'done' : 'valid',
+        originalFile: slot.originalFile,
+        file: slot.file,
+        edits: this._copyEdits(slot.edits),
+        details: Object.assign({}, slot.details),
+        // Warnings are message descriptors; copied out of Alpine's proxies for IndexedDB
+        warnings: JSON.parse(JSON.stringify(slot.warnings)),
+        analysis: slot.analysis ? Object.assign({}, slot.analysis, { histogram: slot.analysis.histogram.slice() }) : null,
+        // Object URLs don't survive a reload; they're recreated on resume
+        renditions: slot.status === 'done'
+          ? slot.renditions.map(({ url, ...rendition }) => rendition)
+          : [],
+        report: slot.status === 'done' && slot.report ? JSON.parse(JSON.stringify(slot.report)) : null,
+      };
+    },
+
+    _sameRecord(a, b) {
+      if (!a || !b) return a === b;
+      return a.status === b.status &&
+        a.file === b.file &&
+        a.renditions.length === b.renditions.length &&
+        a.renditions.every((r, i) => r.blob === b.renditions[i].blob) &&
+        ['edits', 'details', 'warnings', 'analysis', 'report']
+          .every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+    },
+
     // ========================
     // Step 2: Artist Name
     // ========================
@@ -182,19 +818,54 @@ function imageApp() {
     confirmName() {
       const trimmed = this.artistName.trim();
       if (!trimmed) {
-        this.artistNameError = 'Please enter your name.';
+        this.artistNameError = { key: 'name.required' };
+        return;
+      }
+      if (this._letterCount(trimmed) < Slug.MIN_LENGTH) {
+        this.artistNameError = { key: 'name.tooShort', params: { min: Slug.MIN_LENGTH } };
+        return;
+      }
+      this.artistNameError = null;
+      if (this.filenameUsesId && !/[A-Za-z0-9]/.test(this.artistId)) {
+        this.artistNameError = { key: 'name.idRequired' };
         return;
       }
-      if (this.sanitizedName.length < 2) {
-        this.artistNameError = 'Name must be at least 2 characters.';
+      if (this.customSlugError) return;
+      if (!this.sanitizedName) {
+        // The profile's 'manual' fallback: nothing usable without their own slug
+        this.artistNameError = { key: 'name.needsSlug' };
+        this.editSlug();
         return;
       }
-      this.artistNameError = '';
       this.artistNameConfirmed = true;
-      this.announce('Name confirmed: ' + this.sanitizedName);
+      this.announce(this.t('announce.nameConfirmed', { name: this.sanitizedName }));
       this.goToStep('upload');
     },
 
+    /**
+     * Show the filename override, starting from the current filename name.
+     */
+    editSlug() {
+      this.customSlug = this.customSlug || this.nameSlug;
+      this.editingSlug = true;
+      this.$nextTick(() => this.$refs.slugInput.focus());
+    },
+
+    /**
+     * Drop the override and go back to the name-derived slug.
+     */
+    useNameSlug() {
+      this.customSlug = '';
+      this.editingSlug = false;
+    },
+
+    /**
+     * Letters and digits in any script, which is what a name's length means.
+     */
+    _letterCount(text) {
+      return (text.match(/[\p{L}\p{N}]/gu) || []).length;
+    },
+
     // ========================
     // Step 3: File handling
     // ========================
@@ -206,6 +877,7 @@ function imageApp() {
       if (!fileList || fileList.length === 0) return;
 
       const files = Array.from(fileList);
+      await this._profileLoaded;
       const emptyIndices = [];
 
       // Find empty slots
@@ -214,7 +886,7 @@ function imageApp() {
       });
 
       if (emptyIndices.length === 0) {
-        this.excessMessage = 'All slots are filled. Remove an image first.';
+        this.excessMessage = { key: 'upload.slotsFull' };
         return;
       }
 
@@ -222,11 +894,14 @@ function imageApp() {
       const excess = files.length - toAssign.length;
 
       if (excess > 0) {
-        this.excessMessage = excess + ' file' + (excess > 1 ? 's were' : ' was') + ' skipped (no empty slots remaining).';
+        this.excessMessage = { key: 'upload.skipped', params: { count: excess } };
       } else {
-        this.excessMessage = '';
+        this.excessMessage = null;
       }
 
+      // Claim the slots now: a paste or drop while these validate picks others
+      toAssign.forEach((file, i) => { this.slots[emptyIndices[i]].status = 'validating'; });
+
       // Assign files to empty slots sequentially
       for (let i = 0; i < toAssign.length; i++) {
         await this.assignFileToSlot(emptyIndices[i], toAssign[i]);
@@ -234,49 +909,15 @@ function imageApp() {
     },
 
     /**
-     * Check if a file is HEIC/HEIF based on type or extension.
-     */
-    _isHeic(file) {
-      if (file.type === 'image/heic' || file.type === 'image/heif') return true;
-      // Some browsers leave type empty for HEIC — check extension
-      const name = file.name.toLowerCase();
-      return name.endsWith('.heic') || name.endsWith('.heif');
-    },
-
-    /**
-     * Lazy-load the heic-to library on first use.
-     */
-    _heicLoaded: false,
-    async _loadHeicLib() {
-      if (this._heicLoaded || typeof HeicTo !== 'undefined') {
-        this._heicLoaded = true;
-        return;
-      }
-      return new Promise((resolve, reject) => {
-        const script = document.createElement('script');
-        script.src = 'https://cdn.jsdelivr.net/npm/heic-to@1.3.0/dist/iife/heic-to.js';
-        script.onload = () => { this._heicLoaded = true; resolve(); };
-        script.onerror = () => reject(new Error('Could not load HEIC support. Please convert to JPG or PNG first.'));
-        document.head.appendChild(script);
-      });
-    },
-
-    /**
-     * Convert a HEIC/HEIF file to a JPEG File object using heic-to.
+     * Paste on the upload step: copied image files or a screenshot go to
+     * handleFiles(). Text pastes (e.g. into a title) are left alone.
      */
-    async _convertHeic(file) {
-      await this._loadHeicLib();
-      if (typeof HeicTo === 'undefined') {
-        throw new Error('HEIC not supported. Use JPG/PNG.');
-      }
-      try {
-        const jpegBlob = await HeicTo({ blob: file, type: 'image/jpeg', quality: 0.95 });
-        const newName = file.name.replace(/\.heic$/i, '.jpg').replace(/\.heif$/i, '.jpg');
-        return new File([jpegBlob], newName, { type: 'image/jpeg' });
-      } catch (err) {
-        console.error('heic-to error:', err);
-        throw new Error('HEIC conversion failed. Use JPG/PNG.');
-      }
+    pasteFiles(event) {
+      if (this.currentStep !== 'upload' || this.isProcessing || this.editor.open || this.camera.open) return;
+      const files = Array.from((event.clipboardData && event.clipboardData.files) || []);
+      if (files.length === 0) return;
+      event.preventDefault();
+      this.handleFiles(files);
     },
 
     /**
@@ -295,160 +936,1258 @@ function imageApp() {
           s.originalFile.name === file.name && s.originalFile.size === file.size
         );
         if (isDuplicate) {
-          throw new Error('Duplicate file.');
+          throw I18n.error('upload.duplicateFile');
         }
 
         slot.originalFile = file;
-
-        // Check file size (10MB max for all formats)
-        const maxSize = 10 * 1024 * 1024;
-        if (file.size > maxSize) {
-          const sizeMB = (file.size / (1024 * 1024)).toFixed(1);
-          throw new Error('Too large (' + sizeMB + 'MB). Max 10MB.');
-        }
-
-        // Convert HEIC to JPEG before remaining validation
-        let workingFile = file;
-        if (this._isHeic(file)) {
-          workingFile = await this._convertHeic(file);
-        }
-
+        const workingFile = await this._checkUpload(file);
         slot.file = workingFile;
         slot.originalUrl = URL.createObjectURL(workingFile);
 
-        await this.validateFile(workingFile);
+        slot.analysis = await this._runQualityChecks(index, workingFile);
         slot.status = 'valid';
         slot.error = null;
-        this.announce('Image ' + (index + 1) + ' accepted.');
+        this.announce(this.t('announce.imageAccepted', { n: index + 1 }));
       } catch (err) {
         slot.status = 'error';
-        slot.error = err.message;
+        slot.error = I18n.describe(err);
         if (slot.originalUrl) {
           URL.revokeObjectURL(slot.originalUrl);
           slot.originalUrl = null;
         }
         slot.file = null;
         slot.originalFile = null;
-        this.announce('Image ' + (index + 1) + ' error: ' + err.message);
+        this.announce(this.t('announce.imageError', { n: index + 1, error: slot.error }));
       }
     },
 
     /**
-     * Validate file type, size, and dimensions.
+     * The checks every upload goes through: size, format and dimensions.
+     * @returns {Promise<File>} The file to process: the upload, or its
+     *   conversion when the browser can't decode it
      */
-    async validateFile(file) {
-      // 1. File type (HEIC already converted to JPEG before reaching here)
-      const validTypes = ['image/jpeg', 'image/png', 'image/webp'];
-      if (!validTypes.includes(file.type)) {
-        throw new Error('Use JPG, PNG, WebP, or HEIC.');
+    async _checkUpload(file) {
+      // Identify the format by content; ones the browser can't decode
+      // (HEIC, TIFF, RAW) are converted before remaining validation
+      const decoder = await Decoders.identify(file);
+      if (!decoder) {
+        throw I18n.error('upload.wrongType', { formats: this._formatList('disjunction') });
+      }
+
+      // Check file size: converted formats have their own, larger limit
+      // (a RAW file is mostly sensor data; only its preview is used)
+      const maxSize = decoder.support === 'plugin' ? this.profile.maxSourceFileSize : this.profile.maxFileSize;
+      if (file.size > maxSize) {
+        throw I18n.error('upload.tooLarge', { size: file.size, max: maxSize });
       }
+      const workingFile = await Decoders.decode(file, decoder);
+      await this.validateFile(workingFile, decoder);
+      return workingFile;
+    },
 
-      // 2. Dimensions (longest edge >= 1500px)
+    /**
+     * Validate dimensions (longest edge >= profile minimum) of a decodable
+     * file. `decoder` (decoders.js) is what identified the upload; its type
+     * and size were checked before conversion.
+     */
+    async validateFile(file, decoder) {
       let dims;
       try {
         dims = await ImageProcessor.getDimensions(file);
       } catch {
-        throw new Error('Cannot read image.');
+        throw decoder.support === 'browser'
+          ? I18n.error('upload.browserCannotOpen', { format: decoder.label })
+          : I18n.error('upload.cannotRead');
       }
 
       const longest = Math.max(dims.width, dims.height);
-      if (longest < 1500) {
-        throw new Error('Too small (' + longest + 'px). Min 1500px.');
+      const minEdge = this.profile.minEdge;
+      if (longest < minEdge) {
+        throw I18n.error(decoder.preview ? 'upload.previewTooSmall' : 'upload.tooSmall', { size: longest, min: minEdge, format: decoder.label });
       }
     },
 
     /**
-     * Click handler for an individual empty slot.
+     * Blur, exposure and near-duplicate checks (image-checks.js).
+     * Checks the profile makes errors reject the image; warnings are
+     * shown on the slot (see slotWarnings()). Returns the analysis.
      */
-    uploadToSlot(index) {
+    async _runQualityChecks(index, file) {
+      let analysis;
+      try {
+        analysis = await ImageChecks.analyse(file);
+      } catch (err) {
+        // The checks are advisory; an image that passed validation still goes in
+        console.warn('Quality checks skipped for image ' + (index + 1) + '.', err);
+        return null;
+      }
+
+      const checks = this.profile.checks;
+      const error = ImageChecks.evaluate(analysis, checks).find(f => f.severity === 'error');
+      if (error) throw I18n.error(error.message.key, error.message.params);
+
+      if (checks.duplicate === 'error') {
+        const others = this.slots.map((s, i) => (i !== index ? s.analysis : null));
+        const match = ImageChecks.duplicateOf(analysis, others, checks);
+        if (match !== -1) throw I18n.error('checks.sameImage', { n: match + 1 });
+      }
+
+      return analysis;
+    },
+
+    /**
+     * Warnings to show for a slot, as text in the active language:
+     * quality-check warnings, then anything processing reported. Duplicates
+     * are flagged on the later slot only, and worked out live so removing
+     * one image clears the other's warning.
+     */
+    slotWarnings(index) {
+      const slot = this.slots[index];
+      const warnings = [];
+      if (slot.analysis) {
+        const checks = this.profile.checks;
+        ImageChecks.evaluate(slot.analysis, checks).forEach(f => warnings.push(f.message));
+        const earlier = this.slots.slice(0, index).map(s => s.analysis);
+        const match = ImageChecks.duplicateOf(slot.analysis, earlier, checks);
+        if (match !== -1) warnings.push({ key: 'checks.looksLikeImage', params: { n: match + 1 } });
+      }
+      return warnings.concat(slot.warnings).map(warning => this.message(warning));
+    },
+
+    /**
+     * Move a slot to a new position; filenames follow the new order.
+     */
+    moveSlot(from, to) {
+      if (!this.canReorder || from === to || to < 0 || to >= this.slots.length) return;
+      const [slot] = this.slots.splice(from, 1);
+      this.slots.splice(to, 0, slot);
+      this.selectedSlot = null;
+      this.compare.index = null;
+      this.announce(this.t('announce.imageMoved', { position: to + 1, total: this.slots.length }));
+    },
+
+    /**
+     * Keyboard/button move by one place, keeping the slot's menu open.
+     */
+    nudgeSlot(index, delta) {
+      const to = index + delta;
+      if (to < 0 || to >= this.slots.length) return;
+      this.moveSlot(index, to);
+      this.selectedSlot = to;
+    },
+
+    startSlotDrag(index, event) {
+      if (!this.canReorder) {
+        event.preventDefault();
+        return;
+      }
+      this.dragSlotIndex = index;
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', String(index + 1));
+    },
+
+    /**
+     * Only slot drags are accepted here; files dropped on the grid are ignored.
+     */
+    slotDragOver(index, event) {
+      if (this.dragSlotIndex === null) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+      this.dragOverIndex = index;
+    },
+
+    dropOnSlot(index, event) {
+      if (this.dragSlotIndex === null) return;
+      event.preventDefault();
+      this.moveSlot(this.dragSlotIndex, index);
+      this.endSlotDrag();
+    },
+
+    endSlotDrag() {
+      this.dragSlotIndex = null;
+      this.dragOverIndex = null;
+    },
+
+    /**
+     * Roving tabindex: only the slot last focused (kept in range if the
+     * profile changes the slot count) is in the tab order.
+     */
+    slotTabIndex(index) {
+      return index === Math.min(this.slotFocus, this.slots.length - 1) ? 0 : -1;
+    },
+
+    /**
+     * The slots in rows of `slotColumns`, as the grid shows them, for its
+     * ARIA rows: per row, [{ slot, index }].
+     */
+    get slotRows() {
+      const rows = [];
+      for (let start = 0; start < this.slots.length; start += this.slotColumns) {
+        rows.push(this.slots.slice(start, start + this.slotColumns).map((slot, n) => ({ slot, index: start + n })));
+      }
+      return rows;
+    },
+
+    /**
+     * Keys on a focused slot: arrows, Home and End move between slots,
+     * Alt+Left/Right move the image, Enter adds or replaces it, Delete
+     * removes it and Space opens its actions.
+     */
+    slotKeydown(index, event) {
+      if (event.target !== event.currentTarget) return; // keys meant for the slot's buttons
+      const slot = this.slots[index];
+      const moves = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -this.slotColumns, ArrowDown: this.slotColumns };
+      const busy = this.isProcessing || slot.status === 'validating' || slot.status === 'processing';
+
+      if (event.key in moves && event.altKey) {
+        const to = index + Math.sign(moves[event.key]);
+        if (Math.abs(moves[event.key]) !== 1 || slot.status === 'empty' || !this.canReorder || to < 0 || to >= this.slots.length) return;
+        event.preventDefault();
+        this.moveSlot(index, to);
+        this.focusSlot(to);
+      } else if (event.key in moves || event.key === 'Home' || event.key === 'End') {
+        const to = event.key === 'Home' ? 0
+          : event.key === 'End' ? this.slots.length - 1
+          : index + moves[event.key];
+        event.preventDefault();
+        if (to >= 0 && to < this.slots.length) this.focusSlot(to);
+      } else if (event.key === 'Enter') {
+        event.preventDefault();
+        if (slot.status === 'empty') this.uploadToSlot(index);
+        else if (!busy) this.reUploadSlot(index);
+      } else if (event.key === 'Delete') {
+        event.preventDefault();
+        if (slot.status !== 'empty' && !busy) this.clearSlot(index);
+      } else if (event.key === ' ') {
+        event.preventDefault();
+        if (slot.status === 'valid') this.openSlotMenu(index);
+      }
+    },
+
+    focusSlot(index) {
+      this.slotFocus = index;
+      this.$nextTick(() => {
+        const cell = this.$refs.slotGrid && this.$refs.slotGrid.querySelectorAll('.slot')[index];
+        if (cell) cell.focus();
+      });
+    },
+
+    /**
+     * Show a slot's actions (edit, move, remove) with focus on the first.
+     */
+    openSlotMenu(index) {
+      this.selectedSlot = index;
+      this.$nextTick(() => {
+        const cell = this.$refs.slotGrid && this.$refs.slotGrid.querySelectorAll('.slot')[index];
+        const first = cell && cell.querySelector('.slot-delete-overlay button:not([disabled])');
+        if (first) first.focus();
+      });
+    },
+
+    /**
+     * Close a slot's actions; from the keyboard, focus goes back to the slot.
+     */
+    closeSlotMenu(index, refocus = true) {
+      this.selectedSlot = null;
+      if (refocus) this.focusSlot(index);
+    },
+
+    /**
+     * Slots per row: styles.css sets --slot-columns for each screen width.
+     */
+    _slotColumns() {
+      const columns = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--slot-columns'), 10);
+      return columns > 0 ? columns : this.slotColumns;
+    },
+
+    /**
+     * Click handler for an individual empty slot.
+     */
+    uploadToSlot(index) {
       if (this.slots[index].status !== 'empty') return;
       this.replaceSlotIndex = index;
       this.$refs.slotFileInput.click();
     },
 
     /**
-     * Clear a valid slot so the user can re-upload.
+     * Clear a valid slot so the user can re-upload.
+     */
+    clearSlot(index) {
+      this._clearSlot(index);
+      this.announce(this.t('announce.imageRemoved', { n: index + 1 }));
+    },
+
+    /**
+     * Open a file picker to replace a specific error slot.
+     */
+    reUploadSlot(index) {
+      this.replaceSlotIndex = index;
+      this.$refs.slotFileInput.click();
+    },
+
+    /**
+     * Handle file selected for slot replacement.
+     */
+    async handleSlotReplace(fileList) {
+      if (!fileList || fileList.length === 0 || this.replaceSlotIndex === null) return;
+      const file = fileList[0];
+      const index = this.replaceSlotIndex;
+      this.replaceSlotIndex = null;
+      await this._profileLoaded;
+      if (index >= this.slots.length) return this.handleFiles([file]); // the loaded profile has fewer slots
+      await this.assignFileToSlot(index, file);
+    },
+
+    // ========================
+    // Step 3: Camera capture
+    // ========================
+
+    /**
+     * Open the live camera; each photo goes into the next empty slot.
+     */
+    async openCamera() {
+      if (this.camera.open || this.emptySlotCount === 0) return;
+      const camera = { open: true, live: false, capturing: false, error: null, notice: null, lowResolution: null, level: null };
+      this.camera = camera;
+      // Before any await: iOS only asks for motion access during the click
+      this._stopLevel = Camera.watchLevel(level => {
+        this.camera.level = level;
+      });
+      this.$nextTick(() => this.$refs.cameraDialog.focus());
+
+      let stream;
+      try {
+        stream = await Camera.open();
+      } catch (err) {
+        this.camera.error = I18n.describe(err, 'camera.failed');
+        return;
+      }
+      if (this.camera !== camera) {
+        // Closed (or reopened) while the camera was starting
+        Camera.stop(stream);
+        return;
+      }
+      this._cameraStream = stream;
+      this.$refs.cameraVideo.srcObject = stream;
+      this.camera.live = true;
+
+      // Say so now rather than after the first photo is turned down
+      const maxEdge = await Camera.maxEdge(stream);
+      if (this.camera === camera && maxEdge && maxEdge < this.profile.minEdge) {
+        this.camera.lowResolution = { key: 'camera.lowResolution', params: { size: maxEdge, min: this.profile.minEdge } };
+      }
+    },
+
+    closeCamera() {
+      if (this._stopLevel) this._stopLevel();
+      this._stopLevel = null;
+      Camera.stop(this._cameraStream);
+      this._cameraStream = null;
+      if (this.$refs.cameraVideo) this.$refs.cameraVideo.srcObject = null;
+      this.camera = { open: false, live: false, capturing: false, error: null, notice: null, lowResolution: null, level: null };
+    },
+
+    /**
+     * Shutter: take a full-resolution photo into the next empty slot. A
+     * photo under the profile minimum is explained here instead of being
+     * put in a slot as "Too small". Closes once every slot is filled.
+     */
+    async captureFrame() {
+      await this._profileLoaded;
+      const index = this.slots.findIndex(slot => slot.status === 'empty');
+      if (index === -1 || !this.camera.live || this.camera.capturing) return;
+
+      this.camera.capturing = true;
+      this.camera.error = null;
+      this.camera.notice = null;
+      try {
+        const file = await Camera.capture(this._cameraStream, this.$refs.cameraVideo);
+        const dims = await ImageProcessor.getDimensions(file);
+        const longest = Math.max(dims.width, dims.height);
+        if (longest < this.profile.minEdge) {
+          throw I18n.error('camera.tooSmall', { size: longest, min: this.profile.minEdge });
+        }
+
+        await this.assignFileToSlot(index, file);
+        const slot = this.slots[index];
+        if (slot.status === 'valid') {
+          this.camera.notice = { key: 'camera.added', params: { n: index + 1 } };
+        } else {
+          this.camera.notice = { key: 'camera.rejected', params: { n: index + 1 } };
+          this.camera.error = slot.error;
+        }
+      } catch (err) {
+        this.camera.error = I18n.describe(err, 'camera.captureFailed');
+        this.announce(this.message(this.camera.error));
+      } finally {
+        this.camera.capturing = false;
+      }
+
+      if (this.camera.open && this.emptySlotCount === 0) this.closeCamera();
+    },
+
+    /**
+     * Position of the levelling guide over the preview: the horizon line
+     * (artwork on a wall) or the bubble (artwork on a table); centred and
+     * square when level. ±20° spans ±40% of the preview.
+     */
+    get cameraLevelStyle() {
+      const level = this.camera.level;
+      if (!level) return '';
+      const offset = (degrees) => 50 + Math.max(-20, Math.min(20, degrees)) * 2;
+      return 'left:' + offset(level.x) + '%;top:' + offset(level.y) + '%;' +
+        'transform:translate(-50%, -50%) rotate(' + -level.roll + 'deg)';
+    },
+
+    get cameraLevelText() {
+      const level = this.camera.level;
+      if (!level) return '';
+      if (level.level) return this.t('camera.level');
+      const degrees = Math.max(Math.abs(level.roll), Math.abs(level.x), Math.abs(level.y));
+      return this.t('camera.offLevel', { degrees });
+    },
+
+    // ========================
+    // Step 3: Copyright mark
+    // ========================
+
+    pickWatermarkLogo() {
+      this.$refs.watermarkLogoInput.click();
+    },
+
+    /**
+     * Accept a PNG logo for the mark, checking it can be decoded.
+     */
+    async handleWatermarkLogo(fileList) {
+      if (!fileList || fileList.length === 0) return;
+      const file = fileList[0];
+      this.watermarkError = null;
+
+      if (file.type !== 'image/png') {
+        this.watermarkError = { key: 'watermark.logoType' };
+        return;
+      }
+      if (file.size > Watermark.MAX_LOGO_SIZE) {
+        this.watermarkError = { key: 'watermark.logoTooLarge', params: { max: Watermark.MAX_LOGO_SIZE } };
+        return;
+      }
+      try {
+        await ImageProcessor.getDimensions(file);
+      } catch (err) {
+        this.watermarkError = { key: 'watermark.logoUnreadable' };
+        return;
+      }
+      this._setWatermarkLogo(file);
+    },
+
+    clearWatermarkLogo() {
+      this._setWatermarkLogo(null);
+      this.watermarkError = null;
+    },
+
+    _setWatermarkLogo(file) {
+      if (this.watermarkLogoUrl) URL.revokeObjectURL(this.watermarkLogoUrl);
+      this.watermarkLogo = file;
+      this.watermarkLogoUrl = file ? URL.createObjectURL(file) : null;
+    },
+
+    /**
+     * The mark as ImageProcessor takes it (context.watermark), or null when off.
+     * A plain copy, since Alpine's proxies can't be posted to the worker.
+     */
+    _watermarkContext(artistName = this.artistName.trim()) {
+      if (!this.watermark.enabled || this.watermarkNeedsLogo) return null;
+      return Object.assign(JSON.parse(JSON.stringify(this.watermark)), {
+        text: Watermark.text(this.watermark.text, { artistName }),
+        logo: this.watermark.type === 'logo' ? this.watermarkLogo : null,
+      });
+    },
+
+    // ========================
+    // Step 3: Per-slot editor
+    // ========================
+
+    /**
+     * Open the editor for a valid slot, starting from its saved edits.
+     */
+    async openEditor(index) {
+      const slot = this.slots[index];
+      if (slot.status !== 'valid') return;
+
+      this.selectedSlot = null;
+      this.editor = {
+        open: true,
+        index,
+        edits: Object.assign(ImageEditor.defaults(), this._copyEdits(slot.edits)),
+        loading: true,
+        error: null,
+        adjustingCorners: false,
+        notice: null,
+      };
+      this._editorRectified = null;
+
+      try {
+        // Decode exactly as the processor will, so the preview matches the output
+        const meta = await Exif.read(slot.file);
+        this._editorImage = await ImageProcessor._loadImage(await Exif.withoutOrientation(slot.file, meta));
+        this._editorOrientation = meta.orientation;
+        this.editor.loading = false;
+        this.$nextTick(() => {
+          this.renderEditor();
+          this.$refs.editorDialog.focus();
+        });
+      } catch (err) {
+        this.editor.loading = false;
+        this.editor.error = { key: 'editor.openFailed' };
+      }
+    },
+
+    closeEditor() {
+      const index = this.editor.index;
+      this.editor = { open: false, index: null, edits: null, loading: false, error: null, adjustingCorners: false, notice: null };
+      this._editorImage = null;
+      this._editorRectified = null;
+      if (index !== null) this.announce(this.t('announce.editorClosed', { n: index + 1 }));
+    },
+
+    /**
+     * Save the editor's edits onto the slot (null when nothing changed).
+     */
+    applyEditor() {
+      if (this.editor.adjustingCorners) this.finishCorners();
+      const index = this.editor.index;
+      const edits = this.editor.edits;
+      this.slots[index].edits = ImageEditor.isDefault(edits) ? null : this._copyEdits(edits);
+      this.closeEditor();
+      this.announce(this.t('announce.editsSaved', { n: index + 1 }));
+    },
+
+    /**
+     * Discard a slot's edits; the original file was never changed.
+     */
+    resetSlotEdits(index) {
+      this.slots[index].edits = null;
+      this.selectedSlot = null;
+      this.announce(this.t('announce.editsReset', { n: index + 1 }));
+    },
+
+    resetEditorEdits() {
+      this.editor.edits = ImageEditor.defaults();
+      this.editor.adjustingCorners = false;
+      this.editor.notice = null;
+      this.renderEditor();
+    },
+
+    rotateEdit(degrees) {
+      const edits = this.editor.edits;
+      edits.rotate = (edits.rotate + degrees + 360) % 360;
+      // The frame changed shape, so re-fit the crop to the chosen aspect
+      const frame = this._editorFrame();
+      edits.crop = ImageEditor.fitCrop(ImageEditor.aspectRatio(edits.aspect, frame.width, frame.height), frame.width, frame.height);
+      this.renderEditor();
+    },
+
+    flipEdit(axis) {
+      const key = axis === 'h' ? 'flipH' : 'flipV';
+      this.editor.edits[key] = !this.editor.edits[key];
+      this.renderEditor();
+    },
+
+    applyAspect() {
+      const edits = this.editor.edits;
+      const frame = this._editorFrame();
+      edits.crop = ImageEditor.fitCrop(ImageEditor.aspectRatio(edits.aspect, frame.width, frame.height), frame.width, frame.height);
+    },
+
+    /**
+     * Crop overlay position, as percentages of the preview.
+     */
+    get editorCropStyle() {
+      const crop = (this.editor.edits && this.editor.edits.crop) || { x: 0, y: 0, w: 1, h: 1 };
+      return 'left:' + (crop.x * 100) + '%;top:' + (crop.y * 100) + '%;' +
+        'width:' + (crop.w * 100) + '%;height:' + (crop.h * 100) + '%';
+    },
+
+    /**
+     * Draw the warped/rotated/flipped/straightened image (uncropped) into
+     * the preview; while the corners are being placed, the photo as taken.
+     */
+    renderEditor() {
+      const canvas = this.$refs.editorCanvas;
+      const img = this._editorImage;
+      if (!canvas || !img) return;
+
+      const adjusting = this.editor.adjustingCorners;
+      const base = adjusting ? this._editorUpright() : this._editorBase();
+      const frame = adjusting ? base : ImageEditor.frameSize(this.editor.edits, base.width, base.height);
+      const scale = Math.min(1, 640 / frame.width, 420 / frame.height);
+
+      canvas.width = Math.round(frame.width * scale);
+      canvas.height = Math.round(frame.height * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ImageEditor.draw(ctx, base.source, {
+        orientation: base.orientation,
+        width: base.width,
+        height: base.height,
+        edits: adjusting ? null : Object.assign({}, this.editor.edits, { crop: null }),
+        scale,
+      });
+    },
+
+    /**
+     * Start dragging the crop box ('move') or one of its corners.
+     */
+    startCropDrag(event, handle) {
+      const edits = this.editor.edits;
+      const bounds = this.$refs.editorCanvas.getBoundingClientRect();
+      const start = { x: event.clientX, y: event.clientY, crop: edits.crop || { x: 0, y: 0, w: 1, h: 1 } };
+      const frame = this._editorFrame();
+      const ratio = ImageEditor.aspectRatio(edits.aspect, frame.width, frame.height);
+
+      const onMove = (e) => {
+        const dx = (e.clientX - start.x) / bounds.width;
+        const dy = (e.clientY - start.y) / bounds.height;
+        edits.crop = handle === 'move'
+          ? ImageEditor.moveCrop(start.crop, dx, dy)
+          : ImageEditor.resizeCrop(start.crop, handle, dx, dy, ratio, frame.width, frame.height);
+      };
+      const onUp = () => {
+        window.removeEventListener('pointermove', onMove);
+        window.removeEventListener('pointerup', onUp);
+      };
+      window.addEventListener('pointermove', onMove);
+      window.addEventListener('pointerup', onUp);
+    },
+
+    /**
+     * Keyboard crop: arrows move the box, Shift+arrows resize from the bottom-right corner.
+     */
+    nudgeCrop(event) {
+      const steps = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+      const step = steps[event.key];
+      if (!step) return;
+      event.preventDefault();
+
+      const edits = this.editor.edits;
+      const crop = edits.crop || { x: 0, y: 0, w: 1, h: 1 };
+      const dx = step[0] * 0.01;
+      const dy = step[1] * 0.01;
+      if (event.shiftKey) {
+        const frame = this._editorFrame();
+        const ratio = ImageEditor.aspectRatio(edits.aspect, frame.width, frame.height);
+        edits.crop = ImageEditor.resizeCrop(crop, 'se', dx, dy, ratio, frame.width, frame.height);
+      } else {
+        edits.crop = ImageEditor.moveCrop(crop, dx, dy);
+      }
+    },
+
+    /**
+     * Find the artwork's edges and show them for adjusting (the default
+     * outline when nothing convincing is found).
+     */
+    detectEdges() {
+      const corners = Perspective.detect(this._editorPixels(Perspective.DETECT_EDGE));
+      this.editor.notice = { key: corners ? 'editor.edgesFound' : 'editor.edgesNotFound' };
+      this.editor.edits.corners = corners || this._copyEdits(this.editor.edits.corners || Perspective.DEFAULT_CORNERS);
+      this.adjustCorners();
+    },
+
+    /**
+     * Cut away a plain border (scanner bed, mount) around the artwork.
+     */
+    trimBorders() {
+      const corners = Perspective.trim(this._editorPixels(Perspective.TRIM_EDGE));
+      if (!corners) {
+        this.editor.notice = { key: 'editor.noBorders' };
+        return;
+      }
+      this.editor.edits.corners = corners;
+      this.editor.notice = { key: 'editor.bordersTrimmed' };
+      this._refitEditorCrop();
+    },
+
+    adjustCorners() {
+      const edits = this.editor.edits;
+      if (!edits.corners) edits.corners = this._copyEdits(Perspective.DEFAULT_CORNERS);
+      this.editor.adjustingCorners = true;
+      this.renderEditor();
+    },
+
+    finishCorners() {
+      this.editor.adjustingCorners = false;
+      this._refitEditorCrop();
+    },
+
+    clearCorners() {
+      this.editor.edits.corners = null;
+      this.editor.adjustingCorners = false;
+      this.editor.notice = null;
+      this._refitEditorCrop();
+    },
+
+    /**
+     * The warped image has a new shape, so re-fit the crop to the chosen aspect.
+     */
+    _refitEditorCrop() {
+      const edits = this.editor.edits;
+      const frame = this._editorFrame();
+      edits.crop = ImageEditor.fitCrop(ImageEditor.aspectRatio(edits.aspect, frame.width, frame.height), frame.width, frame.height);
+      this.renderEditor();
+    },
+
+    /**
+     * Drag artwork corner `i` (see Perspective.CORNERS) to the pointer.
+     */
+    startCornerDrag(event, i) {
+      const corners = this.editor.edits.corners;
+      const bounds = this.$refs.editorCanvas.getBoundingClientRect();
+      const clamp = (value) => Math.min(1, Math.max(0, value));
+
+      const onMove = (e) => {
+        corners[i] = {
+          x: clamp((e.clientX - bounds.left) / bounds.width),
+          y: clamp((e.clientY - bounds.top) / bounds.height),
+        };
+      };
+      const onUp = () => {
+        window.removeEventListener('pointermove', onMove);
+        window.removeEventListener('pointerup', onUp);
+      };
+      onMove(event);
+      window.addEventListener('pointermove', onMove);
+      window.addEventListener('pointerup', onUp);
+    },
+
+    /**
+     * Keyboard corners: arrows move a corner, Shift+arrows move it finely.
+     */
+    nudgeCorner(event, i) {
+      const steps = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+      const step = steps[event.key];
+      if (!step) return;
+      event.preventDefault();
+
+      const corners = this.editor.edits.corners;
+      const size = event.shiftKey ? 0.002 : 0.01;
+      const clamp = (value) => Math.min(1, Math.max(0, value));
+      corners[i] = { x: clamp(corners[i].x + step[0] * size), y: clamp(corners[i].y + step[1] * size) };
+    },
+
+    /**
+     * Artwork outline for the corner overlay (an SVG with a 0–100 viewBox).
+     */
+    get editorQuadPoints() {
+      const corners = (this.editor.edits && this.editor.edits.corners) || [];
+      return corners.map(c => (c.x * 100) + ',' + (c.y * 100)).join(' ');
+    },
+
+    /**
+     * The upright photo as pixels, at most `maxEdge` on its long side, for
+     * edge detection.
+     */
+    _editorPixels(maxEdge) {
+      const upright = this._editorUpright();
+      const scale = Math.min(1, maxEdge / Math.max(upright.width, upright.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(upright.width * scale));
+      canvas.height = Math.max(1, Math.round(upright.height * scale));
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      ImageEditor.draw(ctx, upright.source, {
+        orientation: upright.orientation,
+        width: upright.width,
+        height: upright.height,
+        edits: null,
+        scale,
+      });
+      return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    },
+
+    /**
+     * Preview rotation/flip on a slot thumbnail (perspective and crop are applied on processing).
+     */
+    thumbnailTransform(slot) {
+      if (!slot.edits || slot.status === 'done') return '';
+      const e = slot.edits;
+      return 'transform: scale(' + (e.flipH ? -1 : 1) + ', ' + (e.flipV ? -1 : 1) + ') ' +
+        'rotate(' + (e.rotate + e.straighten) + 'deg)';
+    },
+
+    /**
+     * Frame size (image after warping and quarter turns) of the image being edited.
+     */
+    _editorFrame() {
+      const base = this._editorBase();
+      return ImageEditor.frameSize(this.editor.edits, base.width, base.height);
+    },
+
+    /**
+     * The upright photo being edited, as ImageEditor.draw() takes it.
+     */
+    _editorUpright() {
+      const img = this._editorImage;
+      const upright = Exif.orientedSize(this._editorOrientation, img.naturalWidth, img.naturalHeight);
+      return { source: img, orientation: this._editorOrientation, width: upright.width, height: upright.height };
+    },
+
+    /**
+     * What rotate/crop apply to: the upright photo, or with corners set, a
+     * preview-sized warp of it (cached until the corners change).
+     */
+    _editorBase() {
+      const upright = this._editorUpright();
+      const corners = this.editor.edits.corners;
+      if (!corners) return upright;
+
+      const size = Perspective.size(corners, upright.width, upright.height);
+      const key = JSON.stringify(corners);
+      if (!this._editorRectified || this._editorRectified.key !== key) {
+        this._editorRectified = {
+          key,
+          canvas: Perspective.rectify(upright.source, {
+            orientation: upright.orientation,
+            width: upright.width,
+            height: upright.height,
+            corners,
+            scale: Math.min(1, 640 / Math.max(size.width, size.height)),
+          }),
+        };
+      }
+      return { source: this._editorRectified.canvas, orientation: 1, width: size.width, height: size.height };
+    },
+
+    /**
+     * Plain (non-reactive) copy of a slot's edits, safe to post to the worker.
+     */
+    _copyEdits(edits) {
+      return edits ? JSON.parse(JSON.stringify(edits)) : null;
+    },
+
+    // ========================
+    // Step 3→4: Processing
+    // ========================
+
+    /**
+     * Process every slot that still needs it. Finished slots keep their
+     * results; failed ones are retried.
+     */
+    async processAllImages() {
+      if (!this.readyToProcess || this.isProcessing) return;
+      await this._runQueue(this.slots.filter(s => s.status === 'valid' || this.canRetry(s)));
+    },
+
+    /**
+     * Process just one failed slot again.
+     */
+    async retrySlot(index) {
+      const slot = this.slots[index];
+      if (!this.canRetry(slot) || this.isProcessing) return;
+      await this._runQueue([slot]);
+    },
+
+    /**
+     * Work through `batch` with as many images in flight as the device
+     * allows (profile `concurrency`, 'auto' = ImageProcessor.recommendedConcurrency()).
+     * A failure marks only that slot; the rest carry on.
+     */
+    async _runQueue(batch) {
+      const concurrency = this.profile.concurrency === 'auto'
+        ? ImageProcessor.recommendedConcurrency()
+        : this.profile.concurrency;
+      ImageProcessor.setConcurrency(concurrency);
+
+      const run = {};
+      const stopped = () => this._cancelRequested || this._processingRun !== run;
+      this._processingRun = run;
+      this._filenameDate = new Date();
+      this.isProcessing = true;
+      this._cancelRequested = false;
+      this.processingDone = 0;
+      this.processingTotal = batch.length;
+      this._batch = batch;
+      batch.forEach(slot => {
+        // Queued, retries included, so they count as not started
+        slot.status = 'valid';
+        slot.progress = 0;
+        slot.error = null;
+      });
+      this._updateProgress();
+
+      this.announce(this.t('announce.processingStarted'));
+
+      const queue = batch.slice();
+      const runNext = async () => {
+        while (queue.length > 0 && !stopped()) {
+          const slot = queue.shift();
+          try {
+            await this._processSlot(slot);
+          } catch (err) {
+            if (err.name === 'AbortError') return;
+            slot.status = 'error';
+            slot.error = I18n.describe(err, 'processing.failed');
+            this.announce(this.t('announce.processingError', { n: this.slots.indexOf(slot) + 1 }));
+          }
+          this.processingDone++;
+          this._updateProgress();
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(concurrency, batch.length) }, runNext));
+
+      // Reset while running: what the run would tidy up is gone already
+      if (this._processingRun !== run) return;
+      this._processingRun = null;
+      this.isProcessing = false;
+      this._batch = [];
+      this._scheduleSave();
+
+      if (this._cancelRequested) {
+        this._resetInterruptedSlots();
+        this.announce(this.t('announce.processingCancelled'));
+        return;
+      }
+
+      const failed = batch.filter(slot => slot.status === 'error').length;
+      if (failed > 0) {
+        this.announce(this.t('announce.processingFailed', { count: failed }));
+        return;
+      }
+
+      if (this.allSlotsDone) {
+        this.announce(this.t('announce.processingDone'));
+        // Small delay then go to results
+        setTimeout(() => {
+          this.goToStep('results');
+        }, 400);
+      }
+    },
+
+    /**
+     * Batch progress is the mean of its images' own progress.
      */
-    clearSlot(index) {
-      this._clearSlot(index);
-      this.announce('Image ' + (index + 1) + ' removed.');
+    _updateProgress() {
+      const batch = this._batch;
+      if (batch.length === 0) return;
+      const total = batch.reduce((sum, slot) => sum + (slot.status === 'processing' ? slot.progress : slot.status === 'valid' ? 0 : 1), 0);
+      this.processingProgress = Math.round((total / batch.length) * 100);
+      this._announceProgress();
     },
 
     /**
-     * Open a file picker to replace a specific error slot.
+     * Read out batch progress now and then (see PROGRESS_ANNOUNCE_INTERVAL).
+     * A new batch starts quiet, after its 'processing started'; the end has
+     * its own announcement.
      */
-    reUploadSlot(index) {
-      this.replaceSlotIndex = index;
-      this.$refs.slotFileInput.click();
+    _announceProgress() {
+      const now = Date.now();
+      const percent = this.processingProgress;
+      const last = this._progressSpoken;
+      if (!last || last.batch !== this._batch) {
+        this._progressSpoken = { batch: this._batch, at: now, percent };
+        return;
+      }
+      if (percent >= 100 || now - last.at < PROGRESS_ANNOUNCE_INTERVAL || percent - last.percent < PROGRESS_ANNOUNCE_STEP) return;
+      this._progressSpoken = { batch: this._batch, at: now, percent };
+      this.announce(this.t('announce.processingProgress', {
+        percent: this.formatPercent(percent / 100),
+        done: this.processingDone,
+        count: this.processingTotal,
+      }));
     },
 
     /**
-     * Handle file selected for slot replacement.
+     * Run one slot through ImageProcessor and store its renditions, report and warnings.
      */
-    async handleSlotReplace(fileList) {
-      if (!fileList || fileList.length === 0 || this.replaceSlotIndex === null) return;
-      const file = fileList[0];
-      const index = this.replaceSlotIndex;
-      this.replaceSlotIndex = null;
-      await this.assignFileToSlot(index, file);
+    async _processSlot(slot) {
+      slot.status = 'processing';
+      const result = await ImageProcessor.process(slot.file, {
+        metadataFile: slot.originalFile,
+        artistName: this.artistName.trim(),
+        edits: this._copyEdits(slot.edits),
+        watermark: this._watermarkContext(),
+      }, (progress) => {
+        slot.progress = progress;
+        this._updateProgress();
+      });
+
+      this._setRenditions(slot, result.renditions);
+      slot.report = this._slotReport(slot, result);
+      slot.warnings = [];
+      slot.progress = 1;
+      slot.status = 'done';
+
+      if (result.colorWarning) {
+        slot.warnings.push(result.colorWarning);
+      }
+
+      const labelled = result.renditions.length > 1;
+      result.renditions.forEach(rendition => {
+        if (rendition.formatWarning) {
+          slot.warnings.push(rendition.formatWarning);
+        }
+        if (rendition.warning) {
+          // Still done, just larger or smaller than asked for
+          slot.warnings.push(labelled
+            ? { key: 'warnings.rendition', params: { label: rendition.label, warning: rendition.warning } }
+            : rendition.warning);
+        }
+      });
+    },
+
+    /**
+     * What processing did to a slot, kept for the results step and the report.
+     */
+    _slotReport(slot, result) {
+      return {
+        originalWidth: result.originalWidth,
+        originalHeight: result.originalHeight,
+        originalBytes: slot.originalFile.size,
+        colorProfile: result.colorProfile,
+        renditions: result.renditions.map(r => ({
+          id: r.id,
+          label: r.label,
+          format: r.format,
+          width: r.width,
+          height: r.height,
+          bytes: r.blob.size,
+          quality: r.quality,
+          encodes: r.encodes,
+          watermarked: !!r.watermarked,
+          warning: r.warning || r.formatWarning || null,
+        })),
+      };
+    },
+
+    /**
+     * Stop a processing run that is in progress.
+     */
+    cancelProcessing() {
+      if (!this.isProcessing) return;
+      this._cancelRequested = true;
+      ImageProcessor.cancel();
+    },
+
+    /**
+     * Return slots that were mid-processing to 'valid'; finished ones keep
+     * their results.
+     */
+    _resetInterruptedSlots() {
+      this.slots.forEach(slot => {
+        if (slot.status !== 'processing') return;
+        slot.progress = 0;
+        slot.status = 'valid';
+      });
     },
 
     // ========================
-    // Step 3→4: Processing
+    // Step 4: Downloads
     // ========================
 
-    async processAllImages() {
-      if (!this.allSlotsValid || this.isProcessing) return;
+    /**
+     * Open (or close) the before/after comparison for a slot. Edited images
+     * no longer line up with the original, so they start side by side.
+     */
+    toggleCompare(index) {
+      if (this.compare.index === index) {
+        this.compare.index = null;
+        return;
+      }
+      this.compare = {
+        index,
+        mode: ImageEditor.isDefault(this.slots[index].edits) ? 'slider' : 'side',
+        position: 50,
+      };
+    },
 
-      this.isProcessing = true;
-      this.processingProgress = 0;
-      this.processingCurrent = 0;
+    /**
+     * Download one rendition of a slot (the main image by default).
+     */
+    downloadSingle(index, renditionIndex = 0) {
+      const rendition = this.slots[index].renditions[renditionIndex];
+      if (!rendition) return;
+      this._fallbackDownload(rendition.url, this.filename(index, rendition));
+    },
+
+    /**
+     * Bundle every processed image (plus an optional manifest) into one ZIP.
+     */
+    async downloadAll() {
+      if (!this.allSlotsDone || this.isZipping) return;
 
-      this.announce('Starting image processing.');
+      this.isZipping = true;
+      this.announce(this.t('announce.zipPreparing'));
 
-      // Process sequentially to limit memory usage
-      for (let i = 0; i < this.slots.length; i++) {
-        this.processingCurrent = i + 1;
-        this.processingProgress = Math.round((i / this.slots.length) * 100);
-        this.slots[i].status = 'processing';
+      try {
+        const entries = this.outputFiles.map(file => ({
+          name: file.filename,
+          blob: file.blob,
+        }));
+
+        if (this.hasArtworkDetails) {
+          entries.push({
+            name: this.sidecarFilename,
+            blob: new Blob([this._buildSidecar()], { type: 'text/csv' }),
+          });
+        }
 
-        try {
-          const result = await ImageProcessor.process(this.slots[i].file);
-          this.slots[i].processedBlob = result.blob;
-          this.slots[i].processedUrl = URL.createObjectURL(result.blob);
-          this.slots[i].status = 'done';
-
-          if (result.warning) {
-            // Note: we still mark as done, but could display warning
-            console.warn('Slot ' + (i + 1) + ': ' + result.warning);
-          }
-        } catch (err) {
-          this.slots[i].status = 'error';
-          this.slots[i].error = err.message || 'Processing failed.';
-          this.isProcessing = false;
-          this.announce('Error processing image ' + (i + 1) + '. Please try again.');
-          return;
+        if (this.includeManifest) {
+          const manifest = JSON.stringify(this._buildManifest(), null, 2);
+          entries.push({
+            name: 'manifest.json',
+            blob: new Blob([manifest], { type: 'application/json' }),
+          });
         }
+
+        const zip = await ZipWriter.create(entries);
+        const url = URL.createObjectURL(zip);
+        this._fallbackDownload(url, this.zipFilename);
+        // Give the browser time to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+        this.announce(this.t('announce.zipStarted'));
+      } catch (err) {
+        console.error('ZIP error:', err);
+        this.announce(this.t('announce.zipFailed'));
+      } finally {
+        this.isZipping = false;
       }
+    },
 
-      this.processingProgress = 100;
-      this.isProcessing = false;
-      this.announce('All images processed successfully.');
+    /**
+     * Describe the processed set for inclusion in the ZIP.
+     */
+    _buildManifest() {
+      return {
+        artistName: this.artistName.trim(),
+        createdAt: new Date().toISOString(),
+        files: this.outputFiles.map(file => ({
+          filename: file.filename,
+          image: file.index + 1,
+          rendition: file.rendition.id,
+          format: file.rendition.format,
+          width: file.rendition.width,
+          height: file.rendition.height,
+          bytes: file.blob.size,
+          originalFilename: this.slots[file.index].originalFile ? this.slots[file.index].originalFile.name : null,
+          details: Object.assign({}, this.slots[file.index].details),
+        })),
+      };
+    },
 
-      // Small delay then go to results
-      setTimeout(() => {
-        this.goToStep('results');
-      }, 400);
+    get sidecarFilename() {
+      return this.sanitizedName + '-artworks.csv';
     },
 
-    // ========================
-    // Step 4: Downloads
-    // ========================
+    /**
+     * Artwork details as CSV, one row per image, for organisers' catalogues.
+     */
+    _buildSidecar() {
+      const columns = ['image', 'filename', 'title', 'medium', 'dimensions', 'year'];
+      const rows = this.slots.map((slot, index) => [
+        index + 1,
+        slot.renditions.length ? this.filename(index, slot.renditions[0]) : this.filename(index),
+        slot.details.title.trim(),
+        slot.details.medium.trim(),
+        slot.details.dimensions.trim(),
+        slot.details.year.trim(),
+      ].map(value => this._csvValue(value)).join(','));
+      return [columns.join(',')].concat(rows).join('\r\n') + '\r\n';
+    },
 
-    downloadSingle(index) {
-      const slot = this.slots[index];
-      if (!slot.processedBlob || !slot.processedUrl) return;
-      this._fallbackDownload(slot.processedUrl, this.filename(index));
+    /**
+     * Before/after summary for the results step, e.g.
+     * "4032×3024 → 2000×1500 · 6.1MB → 980KB (−84%) · quality 0.86".
+     */
+    reportSummary(slot) {
+      const report = slot.report;
+      if (!report) return '';
+      const main = report.renditions[0];
+      return report.originalWidth + '×' + report.originalHeight + ' → ' + main.width + '×' + main.height +
+        ' · ' + this.formatBytes(report.originalBytes) + ' → ' + this.formatBytes(main.bytes) +
+        ' (' + this._percentChange(report.originalBytes, main.bytes) + ')' +
+        ' · ' + this.t('results.quality', { quality: I18n.formatNumber(main.quality, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) });
+    },
+
+    /**
+     * Labels of a slot's renditions that carry the copyright mark, e.g. "Web, Social".
+     */
+    watermarkedLabels(slot) {
+      return slot.renditions.filter(r => r.watermarked).map(r => r.label).join(', ');
+    },
+
+    _percentChange(before, after) {
+      if (!before) return '—';
+      const change = Math.round(((after - before) / before) * 100);
+      return (change > 0 ? '+' : change < 0 ? '−' : '') + Math.abs(change) + '%';
+    },
+
+    /**
+     * One row per output file: original vs output dimensions and bytes,
+     * quality used and any warnings.
+     */
+    _buildReport() {
+      const rows = [];
+      this.slots.forEach((slot, index) => {
+        if (!slot.report) return;
+        const report = slot.report;
+        report.renditions.forEach((r, rIndex) => {
+          rows.push({
+            image: index + 1,
+            rendition: r.id,
+            filename: this.filename(index, slot.renditions[rIndex]),
+            originalFilename: slot.originalFile ? slot.originalFile.name : null,
+            originalWidth: report.originalWidth,
+            originalHeight: report.originalHeight,
+            originalBytes: report.originalBytes,
+            width: r.width,
+            height: r.height,
+            bytes: r.bytes,
+            sizeChange: this._percentChange(report.originalBytes, r.bytes),
+            format: r.format,
+            quality: r.quality,
+            encodes: r.encodes,
+            edited: !ImageEditor.isDefault(slot.edits),
+            watermarked: !!r.watermarked,
+            colorProfile: report.colorProfile,
+            warnings: this.slotWarnings(index).join(' '),
+          });
+        });
+      });
+      return rows;
+    },
+
+    /**
+     * Download the batch report as 'json' or 'csv'.
+     */
+    downloadReport(format) {
+      const rows = this._buildReport();
+      let blob;
+      if (format === 'csv') {
+        const columns = Object.keys(rows[0] || {});
+        const lines = [columns.join(',')].concat(
+          rows.map(row => columns.map(c => this._csvValue(row[c])).join(','))
+        );
+        blob = new Blob([lines.join('\r\n') + '\r\n'], { type: 'text/csv' });
+      } else {
+        const report = {
+          artistName: this.artistName.trim(),
+          profile: this.profile.id,
+          createdAt: new Date().toISOString(),
+          files: rows,
+        };
+        blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+      }
+
+      const url = URL.createObjectURL(blob);
+      this._fallbackDownload(url, this.sanitizedName + '-report.' + (format === 'csv' ? 'csv' : 'json'));
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+    },
+
+    /**
+     * Quote a CSV field when it contains a delimiter, quote or newline.
+     */
+    _csvValue(value) {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
     },
 
     /**
@@ -463,38 +2202,490 @@ function imageApp() {
       document.body.removeChild(a);
     },
 
+    // ========================
+    // Step 4: Submission
+    // ========================
+
+    /**
+     * Upload the processed set to the configured endpoint.
+     * Calling again after a failure resumes with the files not yet sent.
+     */
+    async submitAll() {
+      if (!this.submissionEnabled || !this.allSlotsDone) return;
+      if (this.submission.status === 'submitting' || this.submission.status === 'done') return;
+
+      if (this.submission.items.length === 0) {
+        this.submission.id = this._generateId();
+        this.submission.items = this.outputFiles.map(file => ({
+          filename: file.filename,
+          blob: file.blob,
+          status: 'pending',
+          progress: 0,
+          error: null,
+        }));
+      }
+
+      this.submission.status = 'submitting';
+      this.submission.error = null;
+      this.announce(this.t('announce.submitting'));
+
+      try {
+        await SubmissionClient.submit({
+          endpoint: this.submitEndpoint,
+          fields: {
+            submissionId: this.submission.id,
+            artistName: this.artistName.trim(),
+            sanitizedName: this.sanitizedName,
+          },
+          items: this.submission.items,
+          onChange: (state) => {
+            if (state === 'offline') {
+              this.submission.status = 'offline';
+              this.announce(this.t('announce.submissionOffline'));
+            } else {
+              this.submission.status = 'submitting';
+            }
+          },
+        });
+        this.submission.status = 'done';
+        this.announce(this.t('announce.submitted'));
+      } catch (err) {
+        // resetApp() cancels the queue; don't resurrect state it cleared
+        if (this.submission.items.length === 0) return;
+        this.submission.status = 'error';
+        this.submission.error = I18n.describe(err, 'submission.failed');
+        this.announce(this.t('announce.submissionError', { error: this.submission.error }));
+      }
+    },
+
+    /**
+     * Random identifier that groups the per-file uploads of one submission.
+     */
+    _generateId() {
+      if (window.crypto && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+      }
+      return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+    },
+
+    // ========================
+    // Organiser mode
+    // ========================
+
+    /**
+     * Folders or files dropped on the organiser step (a CSV among them is
+     * taken as the mapping).
+     */
+    async organiserDrop(event) {
+      this.organiser.isDragging = false;
+      if (this.isProcessing) return;
+      let entries;
+      try {
+        entries = await Organiser.readDrop(event.dataTransfer);
+      } catch (err) {
+        // e.g. a folder the browser isn't allowed to read
+        console.warn('Could not read the dropped files.', err);
+        this.organiser.error = { key: 'organiser.readFailed' };
+        return;
+      }
+      await this._addOrganiserEntries(entries);
+    },
+
+    /**
+     * From the folder picker (`webkitdirectory`) or the CSV picker.
+     */
+    organiserPick(fileList) {
+      if (this.isProcessing) return;
+      this._addOrganiserEntries(Organiser.fromFileList(fileList));
+    },
+
+    async _addOrganiserEntries(entries) {
+      await this._profileLoaded;
+      const mapping = entries.filter(entry => Organiser.isMapping(entry)).pop();
+      if (mapping) {
+        try {
+          this._organiserMapping = Organiser.parseMapping(await mapping.file.text());
+          this.organiser.mappingName = mapping.file.name;
+          this.organiser.error = null;
+        } catch (err) {
+          this.organiser.error = I18n.describe(err, 'organiser.csvInvalid');
+        }
+      }
+
+      const known = this._organiserEntries;
+      entries.filter(entry => !Organiser.isMapping(entry)).forEach(entry => {
+        const isDuplicate = known.some(k => k.path === entry.path && k.file.size === entry.file.size);
+        if (!isDuplicate) known.push({ file: entry.file, path: entry.path, item: this._organiserItem(entry) });
+      });
+
+      this._regroupOrganiser();
+      await this._checkOrganiserItems();
+    },
+
+    /**
+     * Go back to grouping by folder.
+     */
+    clearOrganiserMapping() {
+      this._organiserMapping = null;
+      this.organiser.mappingName = null;
+      this.organiser.error = null;
+      this._regroupOrganiser();
+    },
+
+    _organiserItem(entry) {
+      return { id: entry.path, path: entry.path, originalFile: entry.file, file: null, status: 'validating', error: null, progress: 0, renditions: [] };
+    },
+
+    /**
+     * Rebuild the artist groups from every file added so far. Files keep
+     * their checks and results; each group gets its folder name (the
+     * artist's slug, made unique) and is included unless it can't be named.
+     */
+    _regroupOrganiser() {
+      const previous = new Map(this.organiser.groups.map(group => [group.artistName, group.include]));
+      const { groups, unassigned } = Organiser.group(this._organiserEntries, this._organiserMapping);
+      const taken = new Set();
+
+      this.organiser.groups = groups.map(group => {
+        let slug = this._slugFor(group.artistName);
+        if (slug) {
+          const base = slug;
+          for (let n = 2; taken.has(slug); n++) slug = base + '-' + n;
+          taken.add(slug);
+        }
+        return {
+          artistName: group.artistName,
+          artistId: group.artistId,
+          slug,
+          include: !!slug && previous.get(group.artistName) !== false,
+          items: group.entries.map(entry => entry.item),
+        };
+      });
+      this.organiser.unassigned = unassigned.map(entry => entry.path);
+      this.announce(this.t('announce.organiserGrouped', {
+        count: this.organiser.groups.length,
+        files: this._organiserEntries.length - unassigned.length,
+      }));
+    },
+
+    /**
+     * Run the upload checks on new files, one at a time. Files added while
+     * this runs are picked up before it finishes; clearing stops it.
+     */
+    async _checkOrganiserItems() {
+      if (this.organiser.checking) return;
+      this.organiser.checking = true;
+      const entries = this._organiserEntries;
+      let entry;
+      while (this._organiserEntries === entries && (entry = entries.find(e => e.item.status === 'validating'))) {
+        const item = entry.item;
+        try {
+          item.file = await this._checkUpload(item.originalFile);
+          item.status = 'valid';
+        } catch (err) {
+          item.status = 'error';
+          item.error = I18n.describe(err);
+        }
+      }
+      if (this._organiserEntries === entries) this.organiser.checking = false;
+    },
+
+    /**
+     * A group's images to process: its first accepted files, up to the
+     * profile's image count.
+     */
+    organiserPicks(group) {
+      return group.items
+        .filter(item => item.status !== 'validating' && (item.status !== 'error' || item.file !== null))
+        .slice(0, this.profile.slotCount);
+    },
+
+    /**
+     * How a file stands, for the group's file list.
+     */
+    organiserItemStatus(group, item) {
+      if (item.status === 'error') return this.message(item.error);
+      if (item.status === 'valid' && !this.organiserPicks(group).includes(item)) {
+        return this.t('organiser.extra', { max: this.profile.slotCount });
+      }
+      return this.t('slots.status.' + item.status);
+    },
+
+    /**
+     * Group summary, e.g. "3 of 5 images" or why it can't be processed.
+     */
+    organiserGroupNote(group) {
+      if (!group.slug) return this.t('organiser.needsName');
+      const picks = this.organiserPicks(group).length;
+      const max = this.profile.slotCount;
+      return picks < max
+        ? this.t('organiser.missing', { count: picks, max })
+        : this.t('organiser.complete', { count: picks });
+    },
+
+    get organiserIncluded() {
+      return this.organiser.groups.filter(group => group.include && group.slug && this.organiserPicks(group).length > 0);
+    },
+
+    /**
+     * Every included artist is checked, and something is left to process.
+     */
+    get organiserReady() {
+      return !this.organiser.checking && !this.isProcessing && !this.watermarkNeedsLogo &&
+        this.organiserIncluded.some(group => this.organiserPicks(group).some(item => item.status !== 'done'));
+    },
+
+    get organiserDone() {
+      const included = this.organiserIncluded;
+      return included.length > 0 &&
+        included.every(group => this.organiserPicks(group).every(item => item.status === 'done'));
+    },
+
+    /**
+     * Process the included artists, one artist's images per batch, each
+     * batch with as many images in flight as the device allows. A failure
+     * marks only that file; Cancel stops after the images in flight.
+     */
+    async processOrganiser() {
+      if (!this.organiserReady) return;
+      const batches = this.organiserIncluded
+        .map(group => ({ group, items: this.organiserPicks(group).filter(item => item.status !== 'done') }))
+        .filter(batch => batch.items.length > 0);
+      const concurrency = this.profile.concurrency === 'auto'
+        ? ImageProcessor.recommendedConcurrency()
+        : this.profile.concurrency;
+      ImageProcessor.setConcurrency(concurrency);
+
+      const run = {};
+      const stopped = () => this._cancelRequested || this._processingRun !== run;
+      this._processingRun = run;
+      this._filenameDate = new Date();
+      this.isProcessing = true;
+      this._cancelRequested = false;
+      this._batch = batches.flatMap(batch => batch.items);
+      this.processingDone = 0;
+      this.processingTotal = this._batch.length;
+      this._batch.forEach(item => {
+        item.status = 'valid';
+        item.progress = 0;
+        item.error = null;
+      });
+      this._updateProgress();
+      this.announce(this.t('announce.processingStarted'));
+
+      for (const { group, items } of batches) {
+        if (stopped()) break;
+        const queue = items.slice();
+        const runNext = async () => {
+          while (queue.length > 0 && !stopped()) {
+            const item = queue.shift();
+            try {
+              await this._processOrganiserItem(group, item);
+            } catch (err) {
+              if (err.name === 'AbortError') return;
+              item.status = 'error';
+              item.error = I18n.describe(err, 'processing.failed');
+            }
+            this.processingDone++;
+            this._updateProgress();
+          }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runNext));
+        if (!stopped()) this.announce(this.t('announce.organiserArtistDone', { name: group.artistName }));
+      }
+
+      if (this._processingRun !== run) return; // reset while running
+      this._processingRun = null;
+      const batch = this._batch;
+      this.isProcessing = false;
+      this._batch = [];
+
+      if (this._cancelRequested) {
+        batch.forEach(item => {
+          if (item.status === 'processing') item.status = 'valid';
+        });
+        this.announce(this.t('announce.processingCancelled'));
+        return;
+      }
+      const failed = batch.filter(item => item.status === 'error').length;
+      this.announce(failed > 0
+        ? this.t('announce.processingFailed', { count: failed })
+        : this.t('announce.processingDone'));
+    },
+
+    async _processOrganiserItem(group, item) {
+      item.status = 'processing';
+      const result = await ImageProcessor.process(item.file, {
+        metadataFile: item.originalFile,
+        artistName: group.artistName,
+        edits: null,
+        watermark: this._watermarkContext(group.artistName),
+      }, (progress) => {
+        item.progress = progress;
+        this._updateProgress();
+      });
+      // Blobs only: dozens of artists' previews would be too many object URLs
+      item.renditions = result.renditions.map(r => ({
+        id: r.id,
+        label: r.label,
+        suffix: r.suffix,
+        format: r.format,
+        width: r.width,
+        height: r.height,
+        blob: r.blob,
+      }));
+      item.progress = 1;
+      item.status = 'done';
+    },
+
+    /**
+     * One ZIP with a folder per artist, plus a manifest of what went in
+     * and what was left out.
+     */
+    async downloadOrganiser() {
+      if (!this.organiserDone || this.isZipping) return;
+
+      this.isZipping = true;
+      this.announce(this.t('announce.zipPreparing'));
+
+      try {
+        const artists = this.organiserIncluded.map(group => {
+          const picks = this.organiserPicks(group);
+          const parts = FilenameTemplate.nameParts(group.artistName);
+          const names = this._filenameTable({ slug: group.slug, first: parts.first, last: parts.last, id: group.artistId }, picks);
+          return {
+            artistName: group.artistName,
+            folder: group.slug,
+            files: picks.flatMap((item, index) => item.renditions.map(rendition => ({
+              filename: names[index][rendition.id],
+              image: index + 1,
+              rendition: rendition.id,
+              format: rendition.format,
+              width: rendition.width,
+              height: rendition.height,
+              bytes: rendition.blob.size,
+              originalPath: item.path,
+              blob: rendition.blob,
+            }))),
+          };
+        });
+
+        const entries = [];
+        artists.forEach(artist => artist.files.forEach(file => {
+          entries.push({ name: artist.folder + '/' + file.filename, blob: file.blob });
+        }));
+
+        if (this.includeManifest) {
+          const manifest = {
+            createdAt: new Date().toISOString(),
+            artists: artists.map(artist => Object.assign({}, artist, {
+              files: artist.files.map(({ blob, ...file }) => file),
+            })),
+            leftOut: this._organiserLeftOut(),
+          };
+          entries.push({
+            name: 'manifest.json',
+            blob: new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }),
+          });
+        }
+
+        const zip = await ZipWriter.create(entries);
+        const url = URL.createObjectURL(zip);
+        this._fallbackDownload(url, 'artists-images.zip');
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+        this.announce(this.t('announce.zipStarted'));
+      } catch (err) {
+        console.error('ZIP error:', err);
+        this.announce(this.t('announce.zipFailed'));
+      } finally {
+        this.isZipping = false;
+      }
+    },
+
+    /**
+     * Files that aren't in the download, and why, in the active language.
+     */
+    _organiserLeftOut() {
+      const leftOut = this.organiser.unassigned.map(path => ({ path, artistName: null, reason: this.t('organiser.unassignedReason') }));
+      this.organiser.groups.forEach(group => {
+        const picks = group.include && group.slug ? this.organiserPicks(group) : [];
+        group.items.forEach(item => {
+          if (picks.includes(item)) return;
+          leftOut.push({
+            path: item.path,
+            artistName: group.artistName,
+            reason: !group.slug ? this.t('organiser.needsName')
+              : !group.include ? this.t('organiser.excludedReason')
+              : this.organiserItemStatus(group, item),
+          });
+        });
+      });
+      return leftOut;
+    },
+
+    /**
+     * Back to an empty organiser step.
+     */
+    clearOrganiser() {
+      this.organiser = { groups: [], unassigned: [], mappingName: null, error: null, isDragging: false, checking: false };
+      this._organiserEntries = [];
+      this._organiserMapping = null;
+    },
+
     // ========================
     // Reset
     // ========================
 
     resetApp() {
+      // Stop any processing or upload in flight
+      this.cancelProcessing();
+      this._processingRun = null;
+      if (this.submission.status === 'submitting' || this.submission.status === 'offline') {
+        SubmissionClient.cancel();
+      }
+      this.submission = { status: 'idle', id: null, items: [], error: null };
+
       // Revoke all object URLs
       this.slots.forEach(slot => {
         if (slot.originalUrl) URL.revokeObjectURL(slot.originalUrl);
-        if (slot.processedUrl) URL.revokeObjectURL(slot.processedUrl);
+        this._clearRenditions(slot);
       });
 
       // Reset slots
-      this.slots = [
-        { id: 1, status: 'empty', file: null, originalFile: null, originalUrl: null, error: null, processedBlob: null, processedUrl: null },
-        { id: 2, status: 'empty', file: null, originalFile: null, originalUrl: null, error: null, processedBlob: null, processedUrl: null },
-        { id: 3, status: 'empty', file: null, originalFile: null, originalUrl: null, error: null, processedBlob: null, processedUrl: null },
-        { id: 4, status: 'empty', file: null, originalFile: null, originalUrl: null, error: null, processedBlob: null, processedUrl: null },
-        { id: 5, status: 'empty', file: null, originalFile: null, originalUrl: null, error: null, processedBlob: null, processedUrl: null },
-      ];
+      this.slots = createSlots(this.profile.slotCount);
+
+      // Purge the saved session
+      clearTimeout(this._saveTimer);
+      this._savedSlotRefs = [];
+      if (SessionStore.isSupported()) {
+        SessionStore.clear().catch(err => console.warn('Could not clear saved session.', err));
+      }
 
       // Reset state
       this.artistName = '';
-      this.artistNameError = '';
+      this.artistId = '';
+      this._filenameDate = new Date();
+      this.artistNameError = null;
       this.artistNameConfirmed = false;
+      this.useNameSlug();
       this.isProcessing = false;
       this.processingProgress = 0;
-      this.processingCurrent = 0;
+      this.processingDone = 0;
+      this.processingTotal = 0;
+      this.isZipping = false;
       this.isDragging = false;
-      this.excessMessage = '';
+      this.excessMessage = null;
       this.replaceSlotIndex = null;
       this.selectedSlot = null;
-      this.announce('Application reset. Starting over.');
+      this.slotFocus = 0;
+      this.endSlotDrag();
+      this.closeCamera();
+      this.includeTitles = this.profile.titleInFilename;
+      this.watermark = Watermark.normalise(this.profile.watermark);
+      this.clearWatermarkLogo();
+      this.compare = { index: null, mode: 'slider', position: 50 };
+      this.clearOrganiser();
+      this.announce(this.t('announce.reset'));
       this.goToStep('landing');
     },
 
@@ -508,29 +2699,64 @@ function imageApp() {
     _clearSlot(index) {
       const slot = this.slots[index];
       if (slot.originalUrl) URL.revokeObjectURL(slot.originalUrl);
-      if (slot.processedUrl) URL.revokeObjectURL(slot.processedUrl);
+      this._clearRenditions(slot);
       slot.status = 'empty';
       slot.file = null;
       slot.originalFile = null;
       slot.originalUrl = null;
       slot.error = null;
+      slot.warnings = [];
+      slot.analysis = null;
+      slot.report = null;
+      slot.edits = null;
+      slot.details = emptyDetails();
+    },
+
+    /**
+     * Store processed renditions on a slot with object URLs; the first is
+     * also the slot's main processed image.
+     */
+    _setRenditions(slot, renditions) {
+      this._clearRenditions(slot);
+      slot.renditions = renditions.map(r => ({
+        id: r.id,
+        label: r.label,
+        suffix: r.suffix,
+        format: r.format,
+        width: r.width,
+        height: r.height,
+        watermarked: !!r.watermarked,
+        blob: r.blob,
+        url: URL.createObjectURL(r.blob),
+      }));
+      slot.processedBlob = slot.renditions[0].blob;
+      slot.processedUrl = slot.renditions[0].url;
+    },
+
+    _clearRenditions(slot) {
+      slot.renditions.forEach(r => URL.revokeObjectURL(r.url));
+      slot.renditions = [];
       slot.processedBlob = null;
       slot.processedUrl = null;
     },
 
     /**
-     * Format bytes to human-readable string.
+     * Format bytes to human-readable string in the active locale.
      */
     formatBytes(bytes) {
-      if (bytes === 0) return '0 B';
-      const k = 1024;
-      const sizes = ['B', 'KB', 'MB', 'GB'];
-      const i = Math.floor(Math.log(bytes) / Math.log(k));
-      return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+      return this.locale && I18n.formatBytes(bytes);
+    },
+
+    /**
+     * Format a 0–1 share as a percentage in the active locale.
+     */
+    formatPercent(value) {
+      return this.locale && I18n.formatNumber(value, { style: 'percent', maximumFractionDigits: 0 });
     },
 
     /**
-     * Screen reader announcement helper.
+     * Screen reader announcement helper. Pass text already translated
+     * with t(), so it is read out in the active language.
      */
     announce(message) {
       this.srAnnouncement = '';
@@ -541,3 +2767,9 @@ function imageApp() {
     },
   };
 }
+
+// The page uses the globals above; CommonJS is for loading this file outside
+// it (e.g. under jsdom, with the other modules' globals set up first)
+if (typeof module !== 'undefined') {
+  module.exports = { checkBrowserSupport, emptyDetails, createSlots, imageApp };
+}
@@ -0,0 +1,234 @@
+/**
+ * Camera — photograph artwork straight into the tool (getUserMedia)
+ *
+ * Usage:
+ *   if (Camera.supported()) {
+ *     const stream = await Camera.open();           // rear camera, highest resolution
+ *     video.srcObject = stream;
+ *     const stopLevel = Camera.watchLevel(level => { ... });
+ *     const file = await Camera.capture(stream, video);  // File (JPEG)
+ *     stopLevel();
+ *     Camera.stop(stream);
+ *   }
+ *
+ * Frames are taken with ImageCapture.takePhoto() where the browser has it,
+ * which uses the sensor's full photo resolution; elsewhere the current
+ * video frame is drawn at the stream's resolution. Phones often stream at
+ * less than their photo resolution, so maxEdge() tells the caller up front
+ * when frames may come out smaller than it needs.
+ *
+ * The levelling guide works for artwork on a wall (phone upright: how far
+ * the picture is rotated and leaning) or on a table (phone flat: bubble).
+ */
+
+window.Camera = {
+  QUALITY: 0.95,         // JPEG quality when encoding a video frame
+  IDEAL_EDGE: 4096,      // asked for; browsers give the nearest they support
+  LEVEL_TOLERANCE: 1.5,  // degrees either way that count as level
+  FLAT_ANGLE: 45,        // tilted further back than this, the phone is shooting down
+
+  /**
+   * Whether live capture is available (it needs a secure context).
+   */
+  supported() {
+    return !!(window.isSecureContext && navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+  },
+
+  /**
+   * Start the rear camera at the highest resolution it offers.
+   * @returns {Promise<MediaStream>}
+   */
+  async open() {
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: false,
+        video: {
+          facingMode: { ideal: 'environment' },
+          width: { ideal: this.IDEAL_EDGE },
+          height: { ideal: this.IDEAL_EDGE },
+        },
+      });
+    } catch (err) {
+      throw this._openError(err);
+    }
+
+    // `ideal` can settle on a default; ask for the maximum outright
+    const track = stream.getVideoTracks()[0];
+    const caps = track.getCapabilities ? track.getCapabilities() : {};
+    if (caps.width && caps.height) {
+      try {
+        await track.applyConstraints({ width: { ideal: caps.width.max }, height: { ideal: caps.height.max } });
+      } catch (err) {
+        // Keep the resolution already negotiated
+      }
+    }
+    return stream;
+  },
+
+  stop(stream) {
+    if (stream) stream.getTracks().forEach(track => track.stop());
+  },
+
+  /**
+   * Longest edge, in pixels, of the frames capture() will produce
+   * (null when the browser can't say).
+   * @param {MediaStream} stream
+   */
+  async maxEdge(stream) {
+    const track = stream.getVideoTracks()[0];
+    if (typeof ImageCapture !== 'undefined') {
+      try {
+        const caps = await new ImageCapture(track).getPhotoCapabilities();
+        if (caps.imageWidth && caps.imageHeight) return Math.max(caps.imageWidth.max, caps.imageHeight.max);
+      } catch (err) {
+        // Fall back to the stream's size
+      }
+    }
+    const settings = track.getSettings();
+    return settings.width && settings.height ? Math.max(settings.width, settings.height) : null;
+  },
+
+  /**
+   * Take a full-resolution photo.
+   * @param {MediaStream} stream
+   * @param {HTMLVideoElement} video - Showing `stream`; used when takePhoto() isn't available
+   * @returns {Promise<File>} A JPEG named after the time it was taken
+   */
+  async capture(stream, video) {
+    const track = stream.getVideoTracks()[0];
+    let blob = null;
+    if (typeof ImageCapture !== 'undefined') {
+      try {
+        const capture = new ImageCapture(track);
+        const caps = await capture.getPhotoCapabilities();
+        blob = await capture.takePhoto(caps.imageWidth && caps.imageHeight
+          ? { imageWidth: caps.imageWidth.max, imageHeight: caps.imageHeight.max }
+          : {});
+      } catch (err) {
+        console.warn('takePhoto() failed; using a video frame.', err);
+      }
+    }
+    if (!blob) blob = await this._grabFrame(video);
+    return new File([blob], this._filename(new Date(), blob.type), { type: blob.type || 'image/jpeg' });
+  },
+
+  /**
+   * Call `callback` with a levelling reading (see level()) on every
+   * orientation change. Returns a function that stops watching.
+   * Must be called from a user gesture: iOS asks for permission here.
+   */
+  watchLevel(callback) {
+    if (typeof DeviceOrientationEvent === 'undefined') return () => {};
+    let stopped = false;
+    const onOrientation = (event) => {
+      if (event.beta === null || event.gamma === null) return;
+      const angle = screen.orientation ? screen.orientation.angle : (window.orientation || 0);
+      callback(this.level(event.beta, event.gamma, angle));
+    };
+    const listen = () => {
+      if (!stopped) window.addEventListener('deviceorientation', onOrientation);
+    };
+
+    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+      DeviceOrientationEvent.requestPermission()
+        .then(state => { if (state === 'granted') listen(); })
+        .catch(() => {}); // no guide without permission
+    } else {
+      listen();
+    }
+    return () => {
+      stopped = true;
+      window.removeEventListener('deviceorientation', onOrientation);
+    };
+  },
+
+  /**
+   * How far the phone is from square-on to the artwork, in degrees, in
+   * screen terms (so it follows portrait/landscape).
+   * @param {number} beta - Front-to-back tilt (DeviceOrientationEvent)
+   * @param {number} gamma - Left-to-right tilt
+   * @param {number} [screenAngle=0] - screen.orientation.angle
+   * @returns {{flat: boolean, roll: number, x: number, y: number, level: boolean}}
+   *   flat — shooting down at a table (x, y: bubble offset towards the high side);
+   *   otherwise shooting a wall (roll: rotation of the horizon; y: lean, positive
+   *   when the top of the phone leans back)
+   */
+  level(beta, gamma, screenAngle = 0) {
+    const rad = Math.PI / 180;
+    const deg = (value) => value / rad;
+    // Which way is down, in device axes (x right, y up, z out of the screen)
+    const down = {
+      x: Math.cos(beta * rad) * Math.sin(gamma * rad),
+      y: -Math.sin(beta * rad),
+      z: -Math.cos(beta * rad) * Math.cos(gamma * rad),
+    };
+    // ... and on the screen as held (x right, y down)
+    const turn = screenAngle * rad;
+    const sx = down.x * Math.cos(turn) - down.y * Math.sin(turn);
+    const sy = -down.x * Math.sin(turn) - down.y * Math.cos(turn);
+
+    const flat = Math.abs(down.z) > Math.sin(this.FLAT_ANGLE * rad);
+    const round = (value) => Math.round(value * 10) / 10 || 0;
+    let reading;
+    if (flat) {
+      reading = { flat, roll: 0, x: round(-deg(Math.asin(sx))), y: round(-deg(Math.asin(sy))) };
+      reading.level = Math.abs(reading.x) <= this.LEVEL_TOLERANCE && Math.abs(reading.y) <= this.LEVEL_TOLERANCE;
+    } else {
+      reading = { flat, roll: round(deg(Math.atan2(sx, sy))), x: 0, y: round(deg(Math.asin(-down.z))) };
+      reading.level = Math.abs(reading.roll) <= this.LEVEL_TOLERANCE && Math.abs(reading.y) <= this.LEVEL_TOLERANCE;
+    }
+    return reading;
+  },
+
+  /**
+   * Encode the video's current frame at the stream's full size.
+   */
+  _grabFrame(video) {
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    const ctx = canvas.getContext('2d');
+    if (!ctx || !canvas.width) return Promise.reject(I18n.error('camera.captureFailed'));
+    ctx.drawImage(video, 0, 0);
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(I18n.error('camera.captureFailed'))),
+        'image/jpeg',
+        this.QUALITY
+      );
+    });
+  },
+
+  /**
+   * e.g. 'camera-20261019-143015.jpg'. Unique enough for the duplicate
+   * check, which compares name and size.
+   */
+  _filename(date, type) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const stamp = date.getFullYear() + pad(date.getMonth() + 1) + pad(date.getDate()) + '-' +
+      pad(date.getHours()) + pad(date.getMinutes()) + pad(date.getSeconds());
+    return 'camera-' + stamp + (type === 'image/png' ? '.png' : '.jpg');
+  },
+
+  /**
+   * Translate a getUserMedia failure.
+   */
+  _openError(err) {
+    switch (err && err.name) {
+      case 'NotAllowedError':
+      case 'SecurityError':
+        return I18n.error('camera.denied');
+      case 'NotFoundError':
+      case 'OverconstrainedError':
+        return I18n.error('camera.notFound');
+      case 'NotReadableError':
+      case 'AbortError':
+        return I18n.error('camera.busy');
+      default:
+        return I18n.error('camera.failed');
+    }
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = window.Camera;
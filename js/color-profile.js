@@ -0,0 +1,436 @@
+/**
+ * Color Profile — ICC detection and conversion to sRGB
+ *
+ * Usage:
+ *   const profile = await ColorProfile.read(file);
+ *   if (ColorProfile.needsConversion(profile)) {
+ *     ColorProfile.convertToSrgb(imageData, profile); // JS fallback
+ *   }
+ *   const segment = ColorProfile.srgbSegment();       // APP2 to embed in JPEG output
+ *
+ * Reads embedded ICC profiles from JPEG (APP2), PNG (iCCP), WebP (ICCP) and
+ * HEIC (colr/prof). Matrix/TRC RGB profiles — Display P3, Adobe RGB and
+ * most camera/monitor profiles — can be converted in JS; anything else
+ * (CMYK, LUT-based) is reported but left to the browser. Only the head of
+ * a file is read (HEIF keeps its colr box at the start), and each Blob's
+ * result is cached, since the processor reads it more than once.
+ *
+ * ImageProcessor prefers the browser's own conversion into an sRGB canvas
+ * (canvas `colorSpace`) and only uses convertToSrgb() where that isn't
+ * supported or the pixels arrive unconverted (e.g. HEIC via heic-to).
+ */
+
+self.ColorProfile = {
+  SCAN_BYTES: 256 * 1024,
+  CONTAINER_SCAN_BYTES: 1024 * 1024, // HEIF and others: the most read past the head
+
+  // sRGB primaries adapted to the ICC D50 white point (columns: R, G, B)
+  SRGB_D50: [
+    [0.4360747, 0.3850649, 0.1430804],
+    [0.2225045, 0.7168786, 0.0606169],
+    [0.0139322, 0.0971045, 0.7141733],
+  ],
+
+  _srgbSegment: null,
+  _cache: new WeakMap(), // Blob → Promise of read()'s result
+
+  /**
+   * Find and parse an embedded ICC profile. Never throws. Calls for the
+   * same Blob share one result, so treat it as read-only.
+   * @param {Blob} blob
+   * @returns {Promise<{description: string, colorSpace: string, isSrgb: boolean, matrix: number[][]|null, trc: Array|null}|null>}
+   */
+  read(blob) {
+    if (!this._cache.has(blob)) this._cache.set(blob, this._read(blob));
+    return this._cache.get(blob);
+  },
+
+  async _read(blob) {
+    try {
+      const head = new Uint8Array(await blob.slice(0, this.SCAN_BYTES).arrayBuffer());
+      let icc = null;
+
+      if (head[0] === 0xff && head[1] === 0xd8) {
+        icc = this._fromJpeg(head);
+      } else if (this._ascii(head, 1, 3) === 'PNG') {
+        icc = await this._fromPng(head);
+      } else if (this._ascii(head, 0, 4) === 'RIFF' && this._ascii(head, 8, 4) === 'WEBP') {
+        icc = this._fromWebp(head);
+      } else {
+        const bytes = blob.size > head.length
+          ? new Uint8Array(await blob.slice(0, this.CONTAINER_SCAN_BYTES).arrayBuffer())
+          : head;
+        icc = this._fromHeif(bytes);
+      }
+
+      return icc ? this.parse(icc) : null;
+    } catch (err) {
+      console.warn('Could not read colour profile.', err);
+      return null;
+    }
+  },
+
+  /**
+   * Parse the parts of an ICC profile needed for matrix/TRC conversion.
+   */
+  parse(icc) {
+    const view = new DataView(icc.buffer, icc.byteOffset, icc.byteLength);
+    if (icc.length < 132 || this._ascii(icc, 36, 4) !== 'acsp') return null;
+
+    const tags = {};
+    const count = view.getUint32(128);
+    for (let i = 0; i < count; i++) {
+      const at = 132 + i * 12;
+      if (at + 12 > icc.length) break;
+      tags[this._ascii(icc, at, 4)] = { offset: view.getUint32(at + 4), size: view.getUint32(at + 8) };
+    }
+
+    const profile = {
+      description: this._readDescription(icc, view, tags.desc) || 'Unknown profile',
+      colorSpace: this._ascii(icc, 16, 4).trim(),
+      isSrgb: false,
+      matrix: null,
+      trc: null,
+    };
+
+    if (profile.colorSpace === 'RGB' && tags.rXYZ && tags.gXYZ && tags.bXYZ && tags.rTRC && tags.gTRC && tags.bTRC) {
+      const r = this._readXyz(view, tags.rXYZ.offset);
+      const g = this._readXyz(view, tags.gXYZ.offset);
+      const b = this._readXyz(view, tags.bXYZ.offset);
+      profile.matrix = [
+        [r[0], g[0], b[0]],
+        [r[1], g[1], b[1]],
+        [r[2], g[2], b[2]],
+      ];
+      profile.trc = [tags.rTRC, tags.gTRC, tags.bTRC].map(tag => this._readCurve(view, tag.offset));
+    }
+
+    profile.isSrgb = /srgb/i.test(profile.description) ||
+      (profile.matrix !== null && this._matchesSrgb(profile.matrix));
+
+    return profile;
+  },
+
+  /**
+   * True when the profile is known, isn't sRGB, and can be converted.
+   */
+  needsConversion(profile) {
+    return !!profile && !profile.isSrgb && profile.matrix !== null;
+  },
+
+  /**
+   * Convert raw pixel values in the profile's space to sRGB, in place.
+   * @param {ImageData} imageData
+   * @param {Object} profile - From read()/parse(), with matrix and trc
+   */
+  convertToSrgb(imageData, profile) {
+    const m = this._multiply(this._invert(this.SRGB_D50), profile.matrix);
+    const linear = profile.trc.map(curve => {
+      const lut = new Float32Array(256);
+      for (let i = 0; i < 256; i++) lut[i] = curve(i / 255);
+      return lut;
+    });
+
+    // linear sRGB -> 8-bit encoded
+    const encode = new Uint8ClampedArray(4096);
+    for (let i = 0; i < 4096; i++) {
+      const v = i / 4095;
+      encode[i] = Math.round(255 * (v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(v, 1 / 2.4) - 0.055));
+    }
+    const toIndex = (v) => (v <= 0 ? 0 : v >= 1 ? 4095 : Math.round(v * 4095));
+
+    const data = imageData.data;
+    for (let i = 0; i < data.length; i += 4) {
+      const r = linear[0][data[i]];
+      const g = linear[1][data[i + 1]];
+      const b = linear[2][data[i + 2]];
+      data[i] = encode[toIndex(m[0][0] * r + m[0][1] * g + m[0][2] * b)];
+      data[i + 1] = encode[toIndex(m[1][0] * r + m[1][1] * g + m[1][2] * b)];
+      data[i + 2] = encode[toIndex(m[2][0] * r + m[2][1] * g + m[2][2] * b)];
+    }
+    return imageData;
+  },
+
+  /**
+   * APP2 segment carrying a compact sRGB ICC profile, for JPEG output.
+   * @returns {Uint8Array}
+   */
+  srgbSegment() {
+    if (this._srgbSegment) return this._srgbSegment;
+
+    const icc = this._buildSrgbProfile();
+    const marker = 'ICC_PROFILE\0';
+    const segment = new Uint8Array(4 + marker.length + 2 + icc.length);
+    const view = new DataView(segment.buffer);
+    view.setUint16(0, 0xffe2);
+    view.setUint16(2, segment.length - 2);
+    for (let i = 0; i < marker.length; i++) segment[4 + i] = marker.charCodeAt(i);
+    segment[4 + marker.length] = 1;     // chunk 1
+    segment[4 + marker.length + 1] = 1; // of 1
+    segment.set(icc, 4 + marker.length + 2);
+
+    this._srgbSegment = segment;
+    return segment;
+  },
+
+  // ---- Container parsing ----
+
+  /**
+   * Join the APP2 ICC_PROFILE chunks in sequence order.
+   */
+  _fromJpeg(bytes) {
+    const chunks = [];
+    let i = 2;
+    while (i + 4 <= bytes.length) {
+      if (bytes[i] !== 0xff) break;
+      const marker = bytes[i + 1];
+      if (marker === 0xff) { i++; continue; }
+      if (marker === 0xda || marker === 0xd9) break;
+      const length = (bytes[i + 2] << 8) | bytes[i + 3];
+      if (marker === 0xe2 && this._ascii(bytes, i + 4, 12) === 'ICC_PROFILE\0') {
+        chunks.push({ seq: bytes[i + 16], data: bytes.subarray(i + 18, i + 2 + length) });
+      }
+      i += 2 + length;
+    }
+    if (chunks.length === 0) return null;
+    chunks.sort((a, b) => a.seq - b.seq);
+    return this._concat(chunks.map(c => c.data));
+  },
+
+  /**
+   * iCCP chunk: name, NUL, compression method, zlib data.
+   */
+  async _fromPng(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let i = 8;
+    while (i + 8 <= bytes.length) {
+      const length = view.getUint32(i);
+      const type = this._ascii(bytes, i + 4, 4);
+      if (type === 'IDAT' || type === 'IEND') break;
+      if (type === 'iCCP') {
+        const data = bytes.subarray(i + 8, i + 8 + length);
+        const nameEnd = data.indexOf(0);
+        if (typeof DecompressionStream === 'undefined') return null;
+        const stream = new Blob([data.subarray(nameEnd + 2)]).stream()
+          .pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+      }
+      i += 12 + length;
+    }
+    return null;
+  },
+
+  /**
+   * ICCP chunk inside an extended (VP8X) WebP.
+   */
+  _fromWebp(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let i = 12;
+    while (i + 8 <= bytes.length) {
+      const type = this._ascii(bytes, i, 4);
+      const length = view.getUint32(i + 4, true);
+      if (type === 'ICCP') return bytes.subarray(i + 8, i + 8 + length);
+      i += 8 + length + (length % 2);
+    }
+    return null;
+  },
+
+  /**
+   * 'colr' box of type 'prof' in a HEIF container.
+   */
+  _fromHeif(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    for (let i = 4; i + 8 <= bytes.length; i++) {
+      if (bytes[i] === 0x63 && this._ascii(bytes, i, 8) === 'colrprof') {
+        const boxSize = view.getUint32(i - 4);
+        return bytes.subarray(i + 8, i - 4 + boxSize);
+      }
+    }
+    return null;
+  },
+
+  // ---- ICC tag parsing ----
+
+  _readDescription(icc, view, tag) {
+    if (!tag) return null;
+    const type = this._ascii(icc, tag.offset, 4);
+    if (type === 'desc') {
+      const length = view.getUint32(tag.offset + 8);
+      return this._ascii(icc, tag.offset + 12, length).replace(/\0.*$/, '').trim();
+    }
+    if (type === 'mluc') {
+      const recordLength = view.getUint32(tag.offset + 20);
+      const recordOffset = view.getUint32(tag.offset + 24);
+      let text = '';
+      for (let i = 0; i < recordLength; i += 2) {
+        text += String.fromCharCode(view.getUint16(tag.offset + recordOffset + i));
+      }
+      return text.replace(/\0.*$/, '').trim();
+    }
+    return null;
+  },
+
+  _readXyz(view, offset) {
+    return [0, 1, 2].map(i => view.getInt32(offset + 8 + i * 4) / 65536);
+  },
+
+  /**
+   * Return a function mapping an encoded value (0–1) to linear light.
+   */
+  _readCurve(view, offset) {
+    const type = String.fromCharCode(
+      view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+
+    if (type === 'curv') {
+      const count = view.getUint32(offset + 8);
+      if (count === 0) return x => x;
+      if (count === 1) {
+        const gamma = view.getUint16(offset + 12) / 256;
+        return x => Math.pow(x, gamma);
+      }
+      const table = [];
+      for (let i = 0; i < count; i++) table.push(view.getUint16(offset + 12 + i * 2) / 65535);
+      return x => {
+        const pos = x * (count - 1);
+        const lo = Math.floor(pos);
+        const hi = Math.min(count - 1, lo + 1);
+        return table[lo] + (table[hi] - table[lo]) * (pos - lo);
+      };
+    }
+
+    if (type === 'para') {
+      const fn = view.getUint16(offset + 8);
+      const n = [1, 3, 4, 5, 7][fn] || 1;
+      const [g, a, b, c, d, e, f] = Array.from({ length: n }, (_, i) => view.getInt32(offset + 12 + i * 4) / 65536);
+      switch (fn) {
+        case 1: return x => (x >= -b / a ? Math.pow(a * x + b, g) : 0);
+        case 2: return x => (x >= -b / a ? Math.pow(a * x + b, g) + c : c);
+        case 3: return x => (x >= d ? Math.pow(a * x + b, g) : c * x);
+        case 4: return x => (x >= d ? Math.pow(a * x + b, g) + e : c * x + f);
+        default: return x => Math.pow(x, g);
+      }
+    }
+
+    return x => x;
+  },
+
+  _matchesSrgb(matrix) {
+    return matrix.every((row, r) => row.every((v, c) => Math.abs(v - this.SRGB_D50[r][c]) < 0.003));
+  },
+
+  // ---- sRGB profile writer ----
+
+  /**
+   * Build a small ICC v2 display profile for sRGB (256-entry tone curve).
+   */
+  _buildSrgbProfile() {
+    const curve = new Uint8Array(12 + 256 * 2);
+    const curveView = new DataView(curve.buffer);
+    curve.set([0x63, 0x75, 0x72, 0x76]); // 'curv'
+    curveView.setUint32(8, 256);
+    for (let i = 0; i < 256; i++) {
+      const v = i / 255;
+      const linear = v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+      curveView.setUint16(12 + i * 2, Math.round(linear * 65535));
+    }
+
+    const xyz = (values) => {
+      const bytes = new Uint8Array(20);
+      const v = new DataView(bytes.buffer);
+      bytes.set([0x58, 0x59, 0x5a, 0x20]); // 'XYZ '
+      values.forEach((n, i) => v.setInt32(8 + i * 4, Math.round(n * 65536)));
+      return bytes;
+    };
+    const text = (type, str) => {
+      const isDesc = type === 'desc';
+      const bytes = new Uint8Array(isDesc ? 12 + str.length + 1 + 12 + 67 : 8 + str.length + 1);
+      for (let i = 0; i < 4; i++) bytes[i] = type.charCodeAt(i);
+      if (isDesc) new DataView(bytes.buffer).setUint32(8, str.length + 1);
+      for (let i = 0; i < str.length; i++) bytes[(isDesc ? 12 : 8) + i] = str.charCodeAt(i);
+      return bytes;
+    };
+
+    const m = this.SRGB_D50;
+    const tags = [
+      ['desc', text('desc', 'sRGB')],
+      ['cprt', text('text', 'No copyright, use freely')],
+      ['wtpt', xyz([0.9642, 1.0, 0.8249])],
+      ['rXYZ', xyz([m[0][0], m[1][0], m[2][0]])],
+      ['gXYZ', xyz([m[0][1], m[1][1], m[2][1]])],
+      ['bXYZ', xyz([m[0][2], m[1][2], m[2][2]])],
+      ['rTRC', curve],
+      ['gTRC', curve], // shared
+      ['bTRC', curve], // shared
+    ];
+
+    // Lay out tag data after the header and tag table, 4-byte aligned
+    let offset = 128 + 4 + tags.length * 12;
+    const placed = new Map();
+    const table = tags.map(([sig, data]) => {
+      if (!placed.has(data)) {
+        placed.set(data, offset);
+        offset += data.length + ((4 - (data.length % 4)) % 4);
+      }
+      return { sig, offset: placed.get(data), size: data.length };
+    });
+
+    const icc = new Uint8Array(offset);
+    const view = new DataView(icc.buffer);
+    view.setUint32(0, icc.length);
+    view.setUint32(8, 0x02100000);               // version 2.1
+    icc.set([0x6d, 0x6e, 0x74, 0x72], 12);       // 'mntr'
+    icc.set([0x52, 0x47, 0x42, 0x20], 16);       // 'RGB '
+    icc.set([0x58, 0x59, 0x5a, 0x20], 20);       // 'XYZ '
+    icc.set([0x61, 0x63, 0x73, 0x70], 36);       // 'acsp'
+    view.setInt32(68, Math.round(0.9642 * 65536)); // PCS illuminant (D50)
+    view.setInt32(72, 65536);
+    view.setInt32(76, Math.round(0.8249 * 65536));
+    view.setUint32(128, tags.length);
+    table.forEach((entry, i) => {
+      const at = 132 + i * 12;
+      for (let c = 0; c < 4; c++) icc[at + c] = entry.sig.charCodeAt(c);
+      view.setUint32(at + 4, entry.offset);
+      view.setUint32(at + 8, entry.size);
+    });
+    placed.forEach((at, data) => icc.set(data, at));
+
+    return icc;
+  },
+
+  // ---- Helpers ----
+
+  _ascii(bytes, offset, length) {
+    let out = '';
+    for (let i = 0; i < length && offset + i < bytes.length; i++) {
+      out += String.fromCharCode(bytes[offset + i]);
+    }
+    return out;
+  },
+
+  _concat(parts) {
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let at = 0;
+    parts.forEach(p => { out.set(p, at); at += p.length; });
+    return out;
+  },
+
+  _multiply(a, b) {
+    return a.map(row => [0, 1, 2].map(c => row[0] * b[0][c] + row[1] * b[1][c] + row[2] * b[2][c]));
+  },
+
+  _invert(m) {
+    const [[a, b, c], [d, e, f], [g, h, i]] = m;
+    const A = e * i - f * h;
+    const B = -(d * i - f * g);
+    const C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+    return [
+      [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+      [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+      [C / det, -(a * h - b * g) / det, (a * e - b * d) / det],
+    ];
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = self.ColorProfile;
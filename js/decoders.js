@@ -0,0 +1,320 @@
+/**
+ * Decoders — which uploads the tool can open, and how to open them
+ *
+ * Usage:
+ *   const decoder = await Decoders.identify(file);      // null = unsupported
+ *   const decodable = await Decoders.decode(file, decoder);
+ *   input.accept = Decoders.accept();
+ *
+ * Formats are identified by their leading bytes (magic numbers), not by
+ * file.type or the extension, which are often missing or wrong. The first
+ * registered decoder whose sniff() matches wins, so more specific formats
+ * (camera RAW) are registered before the containers they share (TIFF).
+ *
+ * Each decoder has a `support` level:
+ *   'native'  — every supported browser decodes it; used as is
+ *   'browser' — decoded by the browser where it can (e.g. AVIF); elsewhere
+ *               validation reports that this browser can't open it
+ *   'plugin'  — converted to JPEG (PNG if it has transparency) by code in
+ *               `script`, loaded on first use and precached by sw.js
+ *
+ * A plugin's convert(file) resolves to { blob } (an encoded image) or
+ * { pixels } (ImageData), plus the `orientation` (EXIF 1–8) to bake in
+ * and whether it has `alpha`. A blob without an orientation is passed on
+ * as is, keeping its own EXIF orientation. Plugins that extract an
+ * embedded preview rather than decoding the full image set `preview`, so
+ * a too-small result can be explained.
+ */
+
+window.Decoders = {
+  SNIFF_BYTES: 64 * 1024,  // enough for every signature, and IFD0 of a TIFF
+  QUALITY: 0.95,           // JPEG quality for converted uploads
+  RAW_EXTENSIONS: ['dng', 'cr2', 'nef', 'nrw', 'arw', 'pef', 'srw', 'rw2', 'orf', 'raf'],
+
+  _decoders: [],
+  _scripts: {},  // src -> Promise, so each plugin loads once
+
+  /**
+   * Add a decoder (see the built-ins below for the fields).
+   */
+  register(decoder) {
+    this._decoders.push(decoder);
+  },
+
+  /**
+   * The decoder for a file's content, or null if no decoder recognises it.
+   * @param {Blob} file
+   */
+  async identify(file) {
+    const bytes = new Uint8Array(await file.slice(0, this.SNIFF_BYTES).arrayBuffer());
+    return this._decoders.find(decoder => decoder.sniff(bytes, file)) || null;
+  },
+
+  /**
+   * A File the browser can decode: the upload itself for native formats
+   * (typed by its content), or the plugin's conversion.
+   * @param {File} file
+   * @param {Object} decoder - From identify()
+   * @returns {Promise<File>}
+   */
+  async decode(file, decoder) {
+    if (decoder.support !== 'plugin') {
+      return file.type === decoder.type ? file : new File([file], file.name, { type: decoder.type });
+    }
+
+    try {
+      await this._loadScript(decoder.script);
+    } catch (err) {
+      throw I18n.error('decoders.loadFailed', { format: decoder.label });
+    }
+
+    let blob;
+    try {
+      blob = await this._encode(await decoder.convert(file));
+    } catch (err) {
+      if (err.key) throw err;
+      console.error(decoder.label + ' conversion failed:', err);
+      throw I18n.error('decoders.failed', { format: decoder.label });
+    }
+    const ext = blob.type === 'image/png' ? '.png' : '.jpg';
+    return new File([blob], file.name.replace(/\.[^.]*$/, '') + ext, { type: blob.type });
+  },
+
+  /**
+   * Value for a file input's accept attribute.
+   */
+  accept() {
+    const types = [];
+    const extensions = [];
+    this._decoders.forEach(decoder => {
+      types.push(...decoder.types);
+      extensions.push(...decoder.extensions.map(ext => '.' + ext));
+    });
+    return types.concat(extensions).join(',');
+  },
+
+  /**
+   * Short names of the supported formats, in registration order; only
+   * those with the given `support` level if one is passed.
+   */
+  labels(support) {
+    return this._decoders
+      .filter(decoder => !support || decoder.support === support)
+      .map(decoder => decoder.label);
+  },
+
+  /**
+   * Load a plugin script once; a failed load can be retried.
+   */
+  _loadScript(src) {
+    if (!this._scripts[src]) {
+      this._scripts[src] = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => {
+          script.remove();
+          delete this._scripts[src];
+          reject(new Error('Could not load ' + src));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return this._scripts[src];
+  },
+
+  /**
+   * Encode a plugin's result upright (see convert() above).
+   */
+  async _encode({ blob, pixels, orientation = 1, alpha = false }) {
+    if (blob && orientation === 1) return blob;
+
+    let source;
+    let close = () => {};
+    if (pixels) {
+      source = document.createElement('canvas');
+      source.width = pixels.width;
+      source.height = pixels.height;
+      source.getContext('2d').putImageData(pixels, 0, 0);
+    } else {
+      // `orientation` replaces any the encoded image carries itself
+      source = await createImageBitmap(await Exif.withoutOrientation(blob, await Exif.read(blob)));
+      close = () => source.close();
+    }
+
+    const size = Exif.orientedSize(orientation, source.width, source.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      close();
+      throw I18n.error('processing.noCanvas');
+    }
+    Exif.applyOrientation(ctx, orientation, source.width, source.height);
+    ctx.drawImage(source, 0, 0);
+    close();
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (result) => (result ? resolve(result) : reject(I18n.error('processing.encodeFailed'))),
+        alpha ? 'image/png' : 'image/jpeg',
+        this.QUALITY
+      );
+    });
+  },
+
+  // ---- Sniffing helpers ----
+
+  _matches(bytes, offset, ascii) {
+    if (offset + ascii.length > bytes.length) return false;
+    for (let i = 0; i < ascii.length; i++) {
+      if (bytes[offset + i] !== ascii.charCodeAt(i)) return false;
+    }
+    return true;
+  },
+
+  /**
+   * Major and compatible brands of an ISO-BMFF 'ftyp' box (HEIF, AVIF).
+   */
+  _brands(bytes) {
+    if (!this._matches(bytes, 4, 'ftyp')) return [];
+    const size = Math.min(bytes.length, ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0);
+    const brands = [String.fromCharCode(...bytes.subarray(8, 12))];
+    for (let i = 16; i + 4 <= size; i += 4) {
+      brands.push(String.fromCharCode(...bytes.subarray(i, i + 4)));
+    }
+    return brands;
+  },
+
+  _isTiff(bytes) {
+    return this._matches(bytes, 0, 'II*\0') || this._matches(bytes, 0, 'MM\0*');
+  },
+
+  /**
+   * Tag numbers in a TIFF's first IFD, when it lies within `bytes`.
+   */
+  _firstIfdTags(bytes) {
+    const tags = new Set();
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const little = bytes[0] === 0x49;
+    try {
+      const offset = view.getUint32(4, little);
+      const count = view.getUint16(offset, little);
+      for (let n = 0; n < count; n++) {
+        tags.add(view.getUint16(offset + 2 + n * 12, little));
+      }
+    } catch (err) {
+      // IFD0 beyond the sniffed bytes — no tags to go on
+    }
+    return tags;
+  },
+
+  _extension(file) {
+    const match = /\.([^.]+)$/.exec(file.name || '');
+    return match ? match[1].toLowerCase() : '';
+  },
+};
+
+// ---- Built-in decoders, in sniffing order ----
+
+Decoders.register({
+  id: 'jpeg',
+  label: 'JPG',
+  type: 'image/jpeg',
+  types: ['image/jpeg'],
+  extensions: ['jpg', 'jpeg'],
+  support: 'native',
+  sniff: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff,
+});
+
+Decoders.register({
+  id: 'png',
+  label: 'PNG',
+  type: 'image/png',
+  types: ['image/png'],
+  extensions: ['png'],
+  support: 'native',
+  sniff: (bytes) => Decoders._matches(bytes, 0, '\x89PNG\r\n\x1a\n'),
+});
+
+Decoders.register({
+  id: 'webp',
+  label: 'WebP',
+  type: 'image/webp',
+  types: ['image/webp'],
+  extensions: ['webp'],
+  support: 'native',
+  sniff: (bytes) => Decoders._matches(bytes, 0, 'RIFF') && Decoders._matches(bytes, 8, 'WEBP'),
+});
+
+Decoders.register({
+  id: 'gif',
+  label: 'GIF',
+  type: 'image/gif',
+  types: ['image/gif'],
+  extensions: ['gif'],
+  support: 'native', // animated GIFs use their first frame
+  sniff: (bytes) => Decoders._matches(bytes, 0, 'GIF87a') || Decoders._matches(bytes, 0, 'GIF89a'),
+});
+
+Decoders.register({
+  id: 'avif',
+  label: 'AVIF',
+  type: 'image/avif',
+  types: ['image/avif'],
+  extensions: ['avif'],
+  support: 'browser',
+  sniff: (bytes) => Decoders._brands(bytes).some(brand => brand === 'avif' || brand === 'avis'),
+});
+
+Decoders.register({
+  id: 'heic',
+  label: 'HEIC',
+  type: 'image/heic',
+  types: ['image/heic', 'image/heif'],
+  extensions: ['heic', 'heif'],
+  support: 'plugin',
+  script: 'vendor/heic-to/heic-to.js',
+  sniff: (bytes) => Decoders._brands(bytes).some(brand =>
+    ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs', 'mif1', 'msf1'].includes(brand)),
+  // HEIF rotation is applied by the decoder
+  convert: async (file) => ({ blob: await HeicTo({ blob: file, type: 'image/jpeg', quality: Decoders.QUALITY }) }),
+});
+
+Decoders.register({
+  id: 'raw',
+  label: 'RAW',
+  type: 'image/x-raw',
+  types: ['image/x-adobe-dng', 'image/x-canon-cr2', 'image/x-nikon-nef', 'image/x-sony-arw', 'image/x-fuji-raf'],
+  extensions: Decoders.RAW_EXTENSIONS,
+  support: 'plugin',
+  preview: true,
+  script: 'js/decoders/raw.js',
+  sniff: (bytes, file) => {
+    if (Decoders._matches(bytes, 0, 'FUJIFILMCCD-RAW')) return true;
+    // Panasonic RW2 and Olympus ORF: TIFF layouts with their own magic number
+    if (['IIU\0', 'IIRO', 'IIRS', 'MMOR'].some(magic => Decoders._matches(bytes, 0, magic))) return true;
+    if (!Decoders._isTiff(bytes)) return false;
+    // Other RAWs are TIFFs: Canon CR2 marks itself, DNG has a DNGVersion tag,
+    // the rest are told from plain TIFF by extension
+    return Decoders._matches(bytes, 8, 'CR') ||
+      Decoders._firstIfdTags(bytes).has(0xc612) ||
+      Decoders.RAW_EXTENSIONS.includes(Decoders._extension(file));
+  },
+  convert: async (file) => RawPreview.extract(await file.arrayBuffer()),
+});
+
+Decoders.register({
+  id: 'tiff',
+  label: 'TIFF',
+  type: 'image/tiff',
+  types: ['image/tiff'],
+  extensions: ['tif', 'tiff'],
+  support: 'plugin',
+  script: 'js/decoders/tiff.js',
+  sniff: (bytes) => Decoders._isTiff(bytes),
+  convert: async (file) => TiffDecoder.decode(await file.arrayBuffer()),
+});
+
+if (typeof module !== 'undefined') module.exports = window.Decoders;
@@ -0,0 +1,169 @@
+/**
+ * RawPreview — the embedded JPEG of a camera RAW file; loaded on demand by
+ * decoders.js
+ *
+ * Usage:
+ *   const { blob, orientation } = RawPreview.extract(arrayBuffer);
+ *
+ * Sensor data isn't decoded. Cameras store a full- or near-full-size JPEG
+ * in the RAW for their own screen, and that is used instead:
+ *   - TIFF-based RAWs (DNG, CR2, NEF, ARW, PEF, SRW) and the TIFF-like
+ *     RW2 and ORF: JPEGs referenced from IFD0, the IFD chain and SubIFDs
+ *   - Fujifilm RAF: the JPEG located by the file header
+ * The largest baseline or progressive JPEG wins; lossless JPEG (how DNG and
+ * CR2 store sensor data) can't be decoded by browsers and is skipped.
+ * Whether the preview is large enough is left to validation.
+ */
+
+window.RawPreview = {
+  MAX_IFDS: 32,  // guards against IFD loops in corrupt files
+
+  TAG: {
+    ORIENTATION: 0x0112,
+    STRIP_OFFSETS: 0x0111,
+    STRIP_BYTE_COUNTS: 0x0117,
+    SUB_IFDS: 0x014a,
+    JPEG_OFFSET: 0x0201,
+    JPEG_LENGTH: 0x0202,
+    RW2_JPEG: 0x002e,  // Panasonic JpgFromRaw, stored inline
+  },
+
+  /**
+   * Find the largest decodable embedded JPEG.
+   * Orientation is the RAW's own (IFD0); a RAF's JPEG carries its own EXIF.
+   * @param {ArrayBuffer} buffer
+   * @returns {{blob: Blob, orientation?: number}}
+   */
+  extract(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const candidates = [];
+    let orientation;
+
+    if (this._matches(bytes, 0, 'FUJIFILMCCD-RAW')) {
+      const view = new DataView(buffer);
+      candidates.push({ offset: view.getUint32(84), length: view.getUint32(88) });
+    } else {
+      orientation = this._walkIfds(new DataView(buffer), candidates);
+    }
+
+    const best = candidates
+      .map(candidate => this._jpegSize(bytes, candidate))
+      .filter(Boolean)
+      .sort((a, b) => b.width * b.height - a.width * a.height)[0];
+    if (!best) throw I18n.error('decoders.rawNoPreview');
+
+    const blob = new Blob([bytes.subarray(best.offset, best.offset + best.length)], { type: 'image/jpeg' });
+    return orientation ? { blob, orientation } : { blob };
+  },
+
+  /**
+   * Collect JPEG candidates from every reachable IFD; returns IFD0's orientation.
+   */
+  _walkIfds(view, candidates) {
+    const T = this.TAG;
+    const little = view.getUint16(0) === 0x4949;
+    const queue = [view.getUint32(4, little)];
+    const seen = new Set();
+    let orientation = 1;
+
+    while (queue.length > 0 && seen.size < this.MAX_IFDS) {
+      const offset = queue.shift();
+      if (!offset || seen.has(offset) || offset + 2 > view.byteLength) continue;
+      const first = seen.size === 0;
+      seen.add(offset);
+
+      const { tags, next } = this._readIfd(view, offset, little);
+      const values = (tag) => (tags[tag] && tags[tag].values) || [];
+      if (first && values(T.ORIENTATION)[0]) orientation = values(T.ORIENTATION)[0];
+      if (next) queue.push(next);
+      queue.push(...values(T.SUB_IFDS));
+
+      if (values(T.JPEG_OFFSET).length && values(T.JPEG_LENGTH).length) {
+        candidates.push({ offset: values(T.JPEG_OFFSET)[0], length: values(T.JPEG_LENGTH)[0] });
+      }
+      // A single strip may be a JPEG (CR2, DNG previews); _jpegSize() checks
+      if (values(T.STRIP_OFFSETS).length === 1 && values(T.STRIP_BYTE_COUNTS).length === 1) {
+        candidates.push({ offset: values(T.STRIP_OFFSETS)[0], length: values(T.STRIP_BYTE_COUNTS)[0] });
+      }
+      if (tags[T.RW2_JPEG]) {
+        candidates.push({ offset: tags[T.RW2_JPEG].at, length: tags[T.RW2_JPEG].count });
+      }
+    }
+    return orientation;
+  },
+
+  /**
+   * Entries of one IFD as tag -> { at, count, values } (values for
+   * integer types only), plus the offset of the next IFD.
+   */
+  _readIfd(view, offset, little) {
+    const sizes = { 1: 1, 3: 2, 4: 4, 7: 1, 13: 4 };
+    const tags = {};
+    let next = 0;
+    try {
+      const count = view.getUint16(offset, little);
+      for (let n = 0; n < count; n++) {
+        const entry = offset + 2 + n * 12;
+        const tag = view.getUint16(entry, little);
+        const type = view.getUint16(entry + 2, little);
+        const size = sizes[type];
+        if (!size) continue;
+        const valueCount = view.getUint32(entry + 4, little);
+        const at = size * valueCount <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+        let values = null;
+        if (type !== 7 && at + size * valueCount <= view.byteLength) {
+          values = [];
+          for (let i = 0; i < valueCount; i++) {
+            values.push(size === 1 ? view.getUint8(at + i)
+              : size === 2 ? view.getUint16(at + i * 2, little)
+              : view.getUint32(at + i * 4, little));
+          }
+        }
+        tags[tag] = { at, count: valueCount, values };
+      }
+      next = view.getUint32(offset + 2 + count * 12, little);
+    } catch (err) {
+      // Truncated IFD — keep what was read
+    }
+    return { tags, next };
+  },
+
+  /**
+   * The candidate with its pixel size if it is a browser-decodable JPEG
+   * (baseline or progressive), otherwise null.
+   */
+  _jpegSize(bytes, { offset, length }) {
+    const end = Math.min(bytes.length, offset + length);
+    if (!length || bytes[offset] !== 0xff || bytes[offset + 1] !== 0xd8) return null;
+
+    let i = offset + 2;
+    while (i + 9 < end) {
+      if (bytes[i] !== 0xff) return null;
+      const marker = bytes[i + 1];
+      if (marker === 0xff) {
+        i++; // fill byte
+        continue;
+      }
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        if (marker > 0xc2) return null; // lossless or arithmetic-coded
+        return {
+          offset,
+          length: end - offset,
+          height: (bytes[i + 5] << 8) | bytes[i + 6],
+          width: (bytes[i + 7] << 8) | bytes[i + 8],
+        };
+      }
+      i += 2 + ((bytes[i + 2] << 8) | bytes[i + 3]);
+    }
+    return null;
+  },
+
+  _matches(bytes, offset, ascii) {
+    for (let i = 0; i < ascii.length; i++) {
+      if (bytes[offset + i] !== ascii.charCodeAt(i)) return false;
+    }
+    return true;
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = window.RawPreview;
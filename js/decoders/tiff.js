@@ -0,0 +1,369 @@
+/**
+ * TiffDecoder — baseline TIFF to RGBA pixels; loaded on demand by decoders.js
+ *
+ * Usage:
+ *   const { pixels, orientation, alpha } = await TiffDecoder.decode(arrayBuffer);
+ *
+ * Covers what photo editors and scanners export:
+ *   - strips or tiles, interleaved (chunky) or planar samples
+ *   - 8 or 16 bits per sample (16-bit is reduced to 8)
+ *   - uncompressed, LZW, Deflate (via DecompressionStream) or PackBits,
+ *     with or without the horizontal-differencing predictor
+ *   - greyscale, RGB, 8-bit palette and CMYK (converted naively, without
+ *     an ICC profile), with an optional alpha sample
+ *
+ * Only the first image (IFD0) is read. Anything else throws an I18n error
+ * naming the unsupported field, e.g. "compression=7" (JPEG-in-TIFF).
+ */
+
+window.TiffDecoder = {
+  MAX_PIXELS: 100 * 1000 * 1000,
+
+  TAG: {
+    WIDTH: 256,
+    HEIGHT: 257,
+    BITS_PER_SAMPLE: 258,
+    COMPRESSION: 259,
+    PHOTOMETRIC: 262,
+    STRIP_OFFSETS: 273,
+    ORIENTATION: 274,
+    SAMPLES_PER_PIXEL: 277,
+    ROWS_PER_STRIP: 278,
+    STRIP_BYTE_COUNTS: 279,
+    PLANAR_CONFIG: 284,
+    PREDICTOR: 317,
+    COLOR_MAP: 320,
+    TILE_WIDTH: 322,
+    TILE_HEIGHT: 323,
+    TILE_OFFSETS: 324,
+    TILE_BYTE_COUNTS: 325,
+    EXTRA_SAMPLES: 338,
+    SAMPLE_FORMAT: 339,
+  },
+
+  COMPRESSION: { NONE: 1, LZW: 5, DEFLATE: 8, DEFLATE_OLD: 32946, PACKBITS: 32773 },
+  PHOTOMETRIC: { WHITE_IS_ZERO: 0, BLACK_IS_ZERO: 1, RGB: 2, PALETTE: 3, CMYK: 5 },
+
+  /**
+   * Decode the first image of a TIFF file.
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<{pixels: ImageData, orientation: number, alpha: boolean}>}
+   */
+  async decode(buffer) {
+    const view = new DataView(buffer);
+    const little = view.getUint16(0) === 0x4949;
+    if (view.getUint16(2, little) !== 42) throw this._unsupported('version=' + view.getUint16(2, little));
+
+    const T = this.TAG;
+    const tags = this._readIfd(view, view.getUint32(4, little), little);
+    const get = (tag, fallback) => (tags[tag] ? tags[tag][0] : fallback);
+
+    const image = {
+      width: get(T.WIDTH, 0),
+      height: get(T.HEIGHT, 0),
+      samples: get(T.SAMPLES_PER_PIXEL, 1),
+      bits: get(T.BITS_PER_SAMPLE, 1),
+      compression: get(T.COMPRESSION, this.COMPRESSION.NONE),
+      planar: get(T.PLANAR_CONFIG, 1) === 2,
+      predictor: get(T.PREDICTOR, 1),
+      little,
+    };
+    const photometric = get(T.PHOTOMETRIC, image.samples >= 3 ? this.PHOTOMETRIC.RGB : this.PHOTOMETRIC.BLACK_IS_ZERO);
+    this._check(image, photometric, get(T.SAMPLE_FORMAT, 1));
+
+    const samples = await this._readSamples(view, tags, image);
+    const rgba = this._toRgba(samples, image, photometric, tags);
+    return {
+      pixels: new ImageData(rgba.data, image.width, image.height),
+      orientation: get(T.ORIENTATION, 1),
+      alpha: rgba.alpha,
+    };
+  },
+
+  /**
+   * Reject layouts this decoder doesn't handle, before allocating anything.
+   */
+  _check(image, photometric, sampleFormat) {
+    const P = this.PHOTOMETRIC;
+    if (!image.width || !image.height) throw this._unsupported('size=0');
+    if (image.width * image.height > this.MAX_PIXELS) throw this._unsupported('size=' + image.width + 'x' + image.height);
+    if (image.bits !== 8 && image.bits !== 16) throw this._unsupported('bits=' + image.bits);
+    if (sampleFormat !== 1) throw this._unsupported('sampleformat=' + sampleFormat);
+    if (!Object.values(this.COMPRESSION).includes(image.compression)) {
+      throw this._unsupported('compression=' + image.compression);
+    }
+    if (image.predictor !== 1 && image.predictor !== 2) throw this._unsupported('predictor=' + image.predictor);
+    const minSamples = { [P.WHITE_IS_ZERO]: 1, [P.BLACK_IS_ZERO]: 1, [P.RGB]: 3, [P.PALETTE]: 1, [P.CMYK]: 4 };
+    if (!(photometric in minSamples) || image.samples < minSamples[photometric]) {
+      throw this._unsupported('photometric=' + photometric);
+    }
+    if (photometric === P.PALETTE && image.bits !== 8) throw this._unsupported('palette bits=' + image.bits);
+  },
+
+  /**
+   * Every sample as one byte, interleaved: width × height × samples.
+   */
+  async _readSamples(view, tags, image) {
+    const T = this.TAG;
+    const { width, height, samples, planar } = image;
+    const tiled = !!tags[T.TILE_OFFSETS];
+    const offsets = tiled ? tags[T.TILE_OFFSETS] : tags[T.STRIP_OFFSETS];
+    const counts = tiled ? tags[T.TILE_BYTE_COUNTS] : tags[T.STRIP_BYTE_COUNTS];
+    if (!offsets || !counts) throw this._unsupported('no image data');
+
+    const chunkW = tiled ? tags[T.TILE_WIDTH][0] : width;
+    const chunkH = tiled ? tags[T.TILE_HEIGHT][0] : Math.min(height, (tags[T.ROWS_PER_STRIP] || [height])[0]);
+    const across = Math.ceil(width / chunkW);
+    const perPlane = across * Math.ceil(height / chunkH);
+    const chunkSamples = planar ? 1 : samples;
+    const bytesPerSample = image.bits / 8;
+    const chunkSize = chunkW * chunkH * chunkSamples * bytesPerSample;
+
+    const out = new Uint8Array(width * height * samples);
+    for (let i = 0; i < offsets.length && i < counts.length; i++) {
+      const plane = planar ? Math.floor(i / perPlane) : 0;
+      const index = i % perPlane;
+      const x0 = (index % across) * chunkW;
+      const y0 = Math.floor(index / across) * chunkH;
+      if (plane >= samples || y0 >= height) continue;
+
+      const raw = new Uint8Array(view.buffer, offsets[i], Math.min(counts[i], view.byteLength - offsets[i]));
+      const data = await this._decompress(raw, image.compression, chunkSize);
+      if (image.predictor === 2) this._undoPredictor(data, chunkW, chunkSamples, image);
+
+      const chunkView = new DataView(data.buffer, data.byteOffset, data.byteLength);
+      for (let y = 0; y < chunkH && y0 + y < height; y++) {
+        for (let x = 0; x < chunkW && x0 + x < width; x++) {
+          for (let s = 0; s < chunkSamples; s++) {
+            const at = ((y * chunkW + x) * chunkSamples + s) * bytesPerSample;
+            if (at + bytesPerSample > data.length) continue; // short last strip
+            const value = bytesPerSample === 1 ? data[at] : chunkView.getUint16(at, image.little) >> 8;
+            out[((y0 + y) * width + x0 + x) * samples + (planar ? plane : s)] = value;
+          }
+        }
+      }
+    }
+    return out;
+  },
+
+  async _decompress(data, compression, size) {
+    const C = this.COMPRESSION;
+    switch (compression) {
+      case C.LZW: return this._lzw(data, size);
+      case C.PACKBITS: return this._packBits(data, size);
+      case C.DEFLATE:
+      case C.DEFLATE_OLD: {
+        if (typeof DecompressionStream === 'undefined') throw this._unsupported('compression=' + compression);
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+      }
+      default: return data.slice();
+    }
+  },
+
+  /**
+   * TIFF LZW: MSB-first codes of 9–12 bits, widening one code early.
+   */
+  _lzw(data, size) {
+    const CLEAR = 256;
+    const EOI = 257;
+    const out = new Uint8Array(size);
+    const prefix = new Uint16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const length = new Uint16Array(4096);
+    for (let i = 0; i < 256; i++) {
+      suffix[i] = i;
+      length[i] = 1;
+    }
+
+    let next = 258;
+    let width = 9;
+    let old = -1;
+    let pos = 0;
+    let bit = 0;
+    const totalBits = data.length * 8;
+
+    const write = (code) => {
+      let c = code;
+      for (let i = length[code] - 1; i >= 0; i--) {
+        if (pos + i < size) out[pos + i] = suffix[c];
+        c = prefix[c];
+      }
+      pos += length[code];
+    };
+    const first = (code) => {
+      let c = code;
+      while (length[c] > 1) c = prefix[c];
+      return suffix[c];
+    };
+    const add = (code, byte) => {
+      if (next >= 4096) return;
+      prefix[next] = code;
+      suffix[next] = byte;
+      length[next] = length[code] + 1;
+      next++;
+      if (next >= (1 << width) - 1 && width < 12) width++;
+    };
+
+    while (bit + width <= totalBits && pos < size) {
+      const byte = bit >> 3;
+      const word = (data[byte] << 16) | ((data[byte + 1] || 0) << 8) | (data[byte + 2] || 0);
+      const code = (word >> (24 - (bit & 7) - width)) & ((1 << width) - 1);
+      bit += width;
+
+      if (code === EOI) break;
+      if (code === CLEAR) {
+        next = 258;
+        width = 9;
+        old = -1;
+        continue;
+      }
+      if (old === -1) {
+        write(code);
+      } else if (code < next) {
+        write(code);
+        add(old, first(code));
+      } else {
+        // The code being defined right now (the "KwKwK" case)
+        add(old, first(old));
+        write(code);
+      }
+      old = code;
+    }
+    return out;
+  },
+
+  _packBits(data, size) {
+    const out = new Uint8Array(size);
+    let i = 0;
+    let pos = 0;
+    while (i < data.length && pos < size) {
+      const n = (data[i++] << 24) >> 24;
+      if (n >= 0) {
+        out.set(data.subarray(i, i + n + 1).subarray(0, size - pos), pos);
+        pos += n + 1;
+        i += n + 1;
+      } else if (n !== -128) {
+        out.fill(data[i++], pos, Math.min(size, pos + 1 - n));
+        pos += 1 - n;
+      }
+    }
+    return out;
+  },
+
+  /**
+   * Horizontal differencing: each sample was stored as the difference from
+   * the same sample of the pixel to its left.
+   */
+  _undoPredictor(data, chunkW, chunkSamples, image) {
+    const rowSamples = chunkW * chunkSamples;
+    if (image.bits === 8) {
+      for (let row = 0; row + rowSamples <= data.length; row += rowSamples) {
+        for (let i = chunkSamples; i < rowSamples; i++) {
+          data[row + i] = (data[row + i] + data[row + i - chunkSamples]) & 0xff;
+        }
+      }
+      return;
+    }
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const rowBytes = rowSamples * 2;
+    for (let row = 0; row + rowBytes <= data.length; row += rowBytes) {
+      for (let i = chunkSamples; i < rowSamples; i++) {
+        const at = row + i * 2;
+        const sum = view.getUint16(at, image.little) + view.getUint16(at - chunkSamples * 2, image.little);
+        view.setUint16(at, sum & 0xffff, image.little);
+      }
+    }
+  },
+
+  /**
+   * Interleaved samples to RGBA. `alpha` is whether any pixel isn't opaque.
+   */
+  _toRgba(samples, image, photometric, tags) {
+    const P = this.PHOTOMETRIC;
+    const n = image.samples;
+    const pixels = image.width * image.height;
+    const data = new Uint8ClampedArray(pixels * 4);
+    const colorCount = photometric === P.PALETTE ? 256 : 0;
+    const map = tags[this.TAG.COLOR_MAP] || [];
+    // The first extra sample is alpha; 1 means it is premultiplied
+    const extra = tags[this.TAG.EXTRA_SAMPLES] || [];
+    const base = photometric === P.RGB ? 3 : photometric === P.CMYK ? 4 : 1;
+    const alphaAt = n > base ? base : -1;
+    const premultiplied = extra[0] === 1;
+    let alpha = false;
+
+    for (let p = 0; p < pixels; p++) {
+      const s = p * n;
+      let r;
+      let g;
+      let b;
+      switch (photometric) {
+        case P.WHITE_IS_ZERO: r = g = b = 255 - samples[s]; break;
+        case P.BLACK_IS_ZERO: r = g = b = samples[s]; break;
+        case P.PALETTE:
+          r = (map[samples[s]] || 0) >> 8;
+          g = (map[colorCount + samples[s]] || 0) >> 8;
+          b = (map[2 * colorCount + samples[s]] || 0) >> 8;
+          break;
+        case P.CMYK: {
+          const k = 255 - samples[s + 3];
+          r = (255 - samples[s]) * k / 255;
+          g = (255 - samples[s + 1]) * k / 255;
+          b = (255 - samples[s + 2]) * k / 255;
+          break;
+        }
+        default: r = samples[s]; g = samples[s + 1]; b = samples[s + 2];
+      }
+
+      const a = alphaAt === -1 ? 255 : samples[s + alphaAt];
+      if (a < 255) {
+        alpha = true;
+        if (premultiplied && a > 0) {
+          r = r * 255 / a;
+          g = g * 255 / a;
+          b = b * 255 / a;
+        }
+      }
+      const o = p * 4;
+      data[o] = r;
+      data[o + 1] = g;
+      data[o + 2] = b;
+      data[o + 3] = a;
+    }
+    return { data, alpha };
+  },
+
+  /**
+   * IFD entries as tag -> array of numbers (only the numeric types used here).
+   */
+  _readIfd(view, offset, little) {
+    const sizes = { 1: 1, 3: 2, 4: 4 };
+    const tags = {};
+    const count = view.getUint16(offset, little);
+    for (let n = 0; n < count; n++) {
+      const entry = offset + 2 + n * 12;
+      const tag = view.getUint16(entry, little);
+      const type = view.getUint16(entry + 2, little);
+      const size = sizes[type];
+      if (!size) continue;
+      const valueCount = view.getUint32(entry + 4, little);
+      const at = size * valueCount <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+      if (at + size * valueCount > view.byteLength) continue;
+      const values = new Array(valueCount);
+      for (let i = 0; i < valueCount; i++) {
+        values[i] = size === 1 ? view.getUint8(at + i)
+          : size === 2 ? view.getUint16(at + i * 2, little)
+          : view.getUint32(at + i * 4, little);
+      }
+      tags[tag] = values;
+    }
+    return tags;
+  },
+
+  _unsupported(feature) {
+    return I18n.error('decoders.tiffUnsupported', { feature });
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = window.TiffDecoder;
@@ -0,0 +1,416 @@
+/**
+ * Exif — minimal EXIF/XMP reader and writer for the processing pipeline
+ *
+ * Usage:
+ *   const meta = await Exif.read(file);
+ *   const decodable = await Exif.withoutOrientation(file, meta); // decode unrotated
+ *   Exif.applyOrientation(ctx, meta.orientation, width, height);
+ *   const segment = Exif.buildSegment(Exif.applyPolicy(meta, policy, artistName));
+ *   const tagged = await Exif.embed(jpegBlob, segment);
+ *
+ * Why orientation is handled here rather than by the browser:
+ *   Browsers disagree on whether <img>, canvas and createImageBitmap honour
+ *   the EXIF Orientation tag. We clear the tag on the bytes we decode (so no
+ *   browser rotates them) and apply the rotation to the canvas ourselves.
+ *
+ * Sources:
+ *   - JPEG: APP1 "Exif" and XMP segments
+ *   - HEIC: the Exif item is located by scanning the start of the file for
+ *     its TIFF header. HEIF decoders already apply the container's rotation,
+ *     so the EXIF orientation of a HEIC file is reported but never applied.
+ *   - TIFF and TIFF-based RAW: IFD0 at the start of the file
+ * Only the head of a file is read, and each Blob's result is cached, so
+ * large HEIC/TIFF/RAW files aren't copied into memory for every call.
+ *
+ * Output metadata is written big-endian in a single IFD0 (Artist, Copyright)
+ * plus an optional GPS IFD. Everything else (camera data, XMP) is dropped.
+ */
+
+self.Exif = {
+  JPEG_SCAN_BYTES: 256 * 1024,        // metadata sits in the leading APPn segments
+  CONTAINER_SCAN_BYTES: 1024 * 1024,  // HEIF keeps its Exif item ahead of the image data
+  XMP_NS: 'http://ns.adobe.com/xap/1.0/\0',
+
+  TAG_ORIENTATION: 0x0112,
+  TAG_ARTIST: 0x013b,
+  TAG_COPYRIGHT: 0x8298,
+  TAG_GPS_IFD: 0x8825,
+
+  // Bytes per value for each TIFF field type
+  TYPE_SIZES: { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 },
+
+  DEFAULT_POLICY: {
+    keepGps: false,
+    keepArtist: false,
+    keepCopyright: false,
+    injectArtistName: false,
+  },
+
+  _cache: new WeakMap(), // Blob → Promise of read()'s result
+
+  /**
+   * Read orientation, artist, copyright and GPS from an image file.
+   * Never throws; unreadable metadata yields the empty result. The result
+   * is shared by every call for the same Blob, so treat it as read-only.
+   * @param {Blob} blob
+   * @returns {Promise<{orientation: number, orientationOffset: number|null, littleEndian: boolean, isJpeg: boolean, artist: string|null, copyright: string|null, gps: Array|null, xmp: string|null}>}
+   */
+  read(blob) {
+    if (!this._cache.has(blob)) this._cache.set(blob, this._read(blob));
+    return this._cache.get(blob);
+  },
+
+  async _read(blob) {
+    const meta = {
+      orientation: 1,
+      orientationOffset: null,
+      littleEndian: false,
+      isJpeg: false,
+      artist: null,
+      copyright: null,
+      gps: null,
+      xmp: null,
+    };
+
+    try {
+      const head = new Uint8Array(await blob.slice(0, this.JPEG_SCAN_BYTES).arrayBuffer());
+
+      if (head[0] === 0xff && head[1] === 0xd8) {
+        meta.isJpeg = true;
+        this._readJpeg(head, meta);
+      } else {
+        const bytes = blob.size > head.length
+          ? new Uint8Array(await blob.slice(0, this.CONTAINER_SCAN_BYTES).arrayBuffer())
+          : head;
+        const tiff = this._isTiffHeader(bytes, 0) ? 0 : this._findTiffHeader(bytes);
+        if (tiff !== -1) this._readTiff(bytes, tiff, meta);
+        // HEIF rotation lives in the container and is applied on decode, and
+        // TIFF/RAW conversions come out upright
+        meta.orientation = 1;
+        meta.orientationOffset = null;
+      }
+    } catch (err) {
+      console.warn('Could not read image metadata.', err);
+    }
+
+    return meta;
+  },
+
+  /**
+   * Return a Blob identical to the JPEG except its Orientation is reset to 1,
+   * so decoders draw the stored pixels unrotated. Only the head is copied.
+   */
+  async withoutOrientation(blob, meta) {
+    if (meta.orientationOffset === null || meta.orientation === 1) return blob;
+
+    const head = await blob.slice(0, this.JPEG_SCAN_BYTES).arrayBuffer();
+    new DataView(head).setUint16(meta.orientationOffset, 1, meta.littleEndian);
+    return new Blob([head, blob.slice(head.byteLength)], { type: blob.type });
+  },
+
+  /**
+   * Output dimensions for an orientation (5–8 swap width and height).
+   */
+  orientedSize(orientation, width, height) {
+    return orientation >= 5 ? { width: height, height: width } : { width, height };
+  },
+
+  /**
+   * Transform a context so drawing the unrotated image at (0, 0, width, height)
+   * produces the correctly oriented result. width/height are pre-rotation.
+   */
+  applyOrientation(ctx, orientation, width, height) {
+    switch (orientation) {
+      case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+      case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+      case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+      case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+      case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+      case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+      case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+      default: break;
+    }
+  },
+
+  /**
+   * Decide which tags the output may carry.
+   * @param {Object} meta - Result of read()
+   * @param {Object} policy - { keepGps, keepArtist, keepCopyright, injectArtistName }
+   * @param {string} [artistName]
+   * @returns {{artist?: string, copyright?: string, gps?: Array}}
+   */
+  applyPolicy(meta, policy, artistName) {
+    const p = Object.assign({}, this.DEFAULT_POLICY, policy);
+    const tags = {};
+
+    if (p.injectArtistName && artistName) {
+      tags.artist = artistName;
+    } else if (p.keepArtist && meta.artist) {
+      tags.artist = meta.artist;
+    }
+    if (p.keepCopyright && meta.copyright) tags.copyright = meta.copyright;
+    if (p.keepGps && meta.gps) tags.gps = meta.gps;
+
+    return tags;
+  },
+
+  /**
+   * Build a complete APP1 Exif segment (marker included) for the given tags.
+   * @returns {Uint8Array|null} null when there is nothing to write
+   */
+  buildSegment(tags) {
+    const ifd0 = [];
+    if (tags.artist) ifd0.push({ tag: this.TAG_ARTIST, type: 2, value: tags.artist });
+    if (tags.copyright) ifd0.push({ tag: this.TAG_COPYRIGHT, type: 2, value: tags.copyright });
+    if (tags.gps && tags.gps.length) ifd0.push({ tag: this.TAG_GPS_IFD, type: 4, value: [0] });
+    if (ifd0.length === 0) return null;
+
+    const IFD0_START = 8; // straight after the TIFF header
+    let ifd0Bytes = this._buildIfd(ifd0, IFD0_START);
+    let gpsBytes = new Uint8Array(0);
+
+    if (tags.gps && tags.gps.length) {
+      // IFD0's size doesn't depend on the pointer's value, so one rebuild is enough
+      const gpsStart = IFD0_START + ifd0Bytes.length;
+      ifd0.find(e => e.tag === this.TAG_GPS_IFD).value = [gpsStart];
+      ifd0Bytes = this._buildIfd(ifd0, IFD0_START);
+      gpsBytes = this._buildIfd(tags.gps, gpsStart);
+    }
+
+    const tiffLength = IFD0_START + ifd0Bytes.length + gpsBytes.length;
+    const segment = new Uint8Array(4 + 6 + tiffLength);
+    const view = new DataView(segment.buffer);
+    view.setUint16(0, 0xffe1);
+    view.setUint16(2, segment.length - 2);
+    segment.set([0x45, 0x78, 0x69, 0x66, 0, 0], 4); // "Exif\0\0"
+    segment.set([0x4d, 0x4d, 0x00, 0x2a], 10);      // "MM", 42
+    view.setUint32(14, IFD0_START);
+    segment.set(ifd0Bytes, 10 + IFD0_START);
+    segment.set(gpsBytes, 10 + IFD0_START + ifd0Bytes.length);
+    return segment;
+  },
+
+  /**
+   * Insert an APP1 segment into a JPEG, after SOI and any JFIF APP0.
+   * @param {Blob} blob - JPEG without EXIF (as produced by canvas)
+   * @param {Uint8Array|null} segment - From buildSegment()
+   * @returns {Promise<Blob>}
+   */
+  async embed(blob, segment) {
+    if (!segment) return blob;
+
+    const head = new Uint8Array(await blob.slice(0, 64).arrayBuffer());
+    if (head[0] !== 0xff || head[1] !== 0xd8) return blob;
+
+    let insertAt = 2;
+    if (head[2] === 0xff && head[3] === 0xe0) {
+      insertAt = 4 + ((head[4] << 8) | head[5]);
+    }
+
+    return new Blob([blob.slice(0, insertAt), segment, blob.slice(insertAt)], { type: blob.type });
+  },
+
+  // ---- Reading ----
+
+  /**
+   * Walk JPEG segments up to the start of scan, reading Exif and XMP.
+   */
+  _readJpeg(bytes, meta) {
+    let i = 2;
+    while (i + 4 <= bytes.length) {
+      if (bytes[i] !== 0xff) break;
+      const marker = bytes[i + 1];
+      if (marker === 0xff) { i++; continue; } // fill byte
+      if (marker === 0xda || marker === 0xd9) break;
+
+      const length = (bytes[i + 2] << 8) | bytes[i + 3];
+      const start = i + 4;
+
+      if (marker === 0xe1) {
+        if (this._matches(bytes, start, 'Exif\0\0')) {
+          this._readTiff(bytes, start + 6, meta);
+        } else if (this._matches(bytes, start, this.XMP_NS)) {
+          const end = Math.min(i + 2 + length, bytes.length);
+          meta.xmp = new TextDecoder().decode(bytes.subarray(start + this.XMP_NS.length, end));
+        }
+      }
+      i += 2 + length;
+    }
+
+    if (meta.xmp) {
+      meta.artist = meta.artist || this._xmpValue(meta.xmp, 'dc:creator');
+      meta.copyright = meta.copyright || this._xmpValue(meta.xmp, 'dc:rights');
+    }
+  },
+
+  /**
+   * Locate "Exif\0\0" followed by a TIFF header anywhere in the bytes (HEIC).
+   */
+  _findTiffHeader(bytes) {
+    for (let i = 0; i + 10 <= bytes.length; i++) {
+      if (bytes[i] === 0x45 && this._matches(bytes, i, 'Exif\0\0') && this._isTiffHeader(bytes, i + 6)) {
+        return i + 6;
+      }
+    }
+    return -1;
+  },
+
+  _isTiffHeader(bytes, offset) {
+    return this._matches(bytes, offset, 'II*\0') || this._matches(bytes, offset, 'MM\0*');
+  },
+
+  /**
+   * Read IFD0 (orientation, artist, copyright) and the GPS IFD.
+   */
+  _readTiff(bytes, tiff, meta) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const little = bytes[tiff] === 0x49;
+    if (view.getUint16(tiff + 2, little) !== 42) return;
+
+    meta.littleEndian = little;
+    const ifd0 = this._readIfd(view, tiff, tiff + view.getUint32(tiff + 4, little), little);
+
+    ifd0.forEach(entry => {
+      if (entry.tag === this.TAG_ORIENTATION) {
+        meta.orientation = entry.value[0] >= 1 && entry.value[0] <= 8 ? entry.value[0] : 1;
+        meta.orientationOffset = entry.valueOffset;
+      } else if (entry.tag === this.TAG_ARTIST) {
+        meta.artist = entry.value || null;
+      } else if (entry.tag === this.TAG_COPYRIGHT) {
+        meta.copyright = entry.value || null;
+      } else if (entry.tag === this.TAG_GPS_IFD) {
+        const gps = this._readIfd(view, tiff, tiff + entry.value[0], little);
+        meta.gps = gps.length ? gps.map(({ tag, type, value }) => ({ tag, type, value })) : null;
+      }
+    });
+  },
+
+  /**
+   * Decode one IFD's entries. Truncated or corrupt IFDs yield what was read.
+   */
+  _readIfd(view, tiff, offset, little) {
+    const entries = [];
+    try {
+      const count = view.getUint16(offset, little);
+      for (let n = 0; n < count; n++) {
+        const entryOffset = offset + 2 + n * 12;
+        const tag = view.getUint16(entryOffset, little);
+        const type = view.getUint16(entryOffset + 2, little);
+        const size = this.TYPE_SIZES[type];
+        if (!size) continue;
+
+        const valueCount = view.getUint32(entryOffset + 4, little);
+        const valueOffset = size * valueCount <= 4
+          ? entryOffset + 8
+          : tiff + view.getUint32(entryOffset + 8, little);
+
+        entries.push({
+          tag,
+          type,
+          valueOffset,
+          value: this._readValue(view, type, valueCount, valueOffset, little),
+        });
+      }
+    } catch (err) {
+      // RangeError from a truncated segment — keep the entries read so far
+    }
+    return entries;
+  },
+
+  _readValue(view, type, count, offset, little) {
+    if (type === 2) {
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, count);
+      const end = bytes.indexOf(0);
+      return new TextDecoder().decode(end === -1 ? bytes : bytes.subarray(0, end)).trim();
+    }
+
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      const at = offset + i * this.TYPE_SIZES[type];
+      switch (type) {
+        case 1: case 7: values.push(view.getUint8(at)); break;
+        case 3: values.push(view.getUint16(at, little)); break;
+        case 4: values.push(view.getUint32(at, little)); break;
+        case 9: values.push(view.getInt32(at, little)); break;
+        case 5: values.push([view.getUint32(at, little), view.getUint32(at + 4, little)]); break;
+        case 10: values.push([view.getInt32(at, little), view.getInt32(at + 4, little)]); break;
+      }
+    }
+    return values;
+  },
+
+  _xmpValue(xmp, element) {
+    const match = xmp.match(new RegExp('<' + element + '>[\\s\\S]*?<rdf:li[^>]*>([^<]*)</rdf:li>'));
+    return match ? match[1].trim() : null;
+  },
+
+  _matches(bytes, offset, ascii) {
+    for (let i = 0; i < ascii.length; i++) {
+      if (bytes[offset + i] !== ascii.charCodeAt(i)) return false;
+    }
+    return true;
+  },
+
+  // ---- Writing ----
+
+  /**
+   * Serialise an IFD (big-endian) whose first byte sits at `start` within
+   * the TIFF block. Values over 4 bytes follow the entry table.
+   */
+  _buildIfd(entries, start) {
+    const sorted = entries.slice().sort((a, b) => a.tag - b.tag);
+    const encoded = sorted.map(entry => this._encodeValue(entry.type, entry.value));
+    const tableSize = 2 + sorted.length * 12 + 4;
+    const dataSize = encoded.reduce((sum, bytes) => sum + (bytes.length > 4 ? bytes.length + (bytes.length % 2) : 0), 0);
+
+    const out = new Uint8Array(tableSize + dataSize);
+    const view = new DataView(out.buffer);
+    view.setUint16(0, sorted.length);
+
+    let dataOffset = tableSize;
+    sorted.forEach((entry, n) => {
+      const bytes = encoded[n];
+      const at = 2 + n * 12;
+      view.setUint16(at, entry.tag);
+      view.setUint16(at + 2, entry.type);
+      view.setUint32(at + 4, bytes.length / this.TYPE_SIZES[entry.type]);
+      if (bytes.length <= 4) {
+        out.set(bytes, at + 8);
+      } else {
+        view.setUint32(at + 8, start + dataOffset);
+        out.set(bytes, dataOffset);
+        dataOffset += bytes.length + (bytes.length % 2); // keep word alignment
+      }
+    });
+    // Next-IFD offset stays 0
+
+    return out;
+  },
+
+  _encodeValue(type, value) {
+    if (type === 2) {
+      const text = new TextEncoder().encode(String(value));
+      const bytes = new Uint8Array(text.length + 1); // NUL-terminated
+      bytes.set(text);
+      return bytes;
+    }
+
+    const size = this.TYPE_SIZES[type];
+    const bytes = new Uint8Array(value.length * size);
+    const view = new DataView(bytes.buffer);
+    value.forEach((v, i) => {
+      const at = i * size;
+      switch (type) {
+        case 1: case 7: view.setUint8(at, v); break;
+        case 3: view.setUint16(at, v); break;
+        case 4: view.setUint32(at, v); break;
+        case 9: view.setInt32(at, v); break;
+        case 5: view.setUint32(at, v[0]); view.setUint32(at + 4, v[1]); break;
+        case 10: view.setInt32(at, v[0]); view.setInt32(at + 4, v[1]); break;
+      }
+    });
+    return bytes;
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = self.Exif;
@@ -0,0 +1,193 @@
+/**
+ * Filename Template — output filenames from a profile's `filenamePattern`
+ *
+ * Usage:
+ *   FilenameTemplate.validate('{last:upper}_{first:title}_{index:02}.{ext}');  // null, or what's wrong
+ *   FilenameTemplate.render('{last:upper}_{first:title}_{index:02}.{ext}', {
+ *     name: 'zoe-brehaut', first: 'Zoë', last: 'Bréhaut', index: 1, ext: 'jpg',
+ *   });                                                // 'BREHAUT_Zoe_01.jpg'
+ *   FilenameTemplate.unique(['a-1.jpg', 'A-1.jpg']);   // ['a-1.jpg', 'A-1-2.jpg']
+ *
+ * Tokens, with the modifiers they take after a colon:
+ *   {name}       the artist's filename name (their slug)      upper | lower | title
+ *   {first}      given name(s), from the artist's name         upper | lower | title
+ *   {last}       surname ("Doe" in "Jane Doe" or "Doe, Jane")  upper | lower | title
+ *   {id}         artist ID, as entered                         upper | lower
+ *   {index}      image number, 1 up; {index:02} → 01, 02...    a width
+ *   {n}          same as {index}
+ *   {title}      artwork title, when titles are included       upper | lower | title
+ *   {date}       today as YYYYMMDD; {date:YYYY-MM-DD}, {date:YY}...
+ *   {year}       this year, e.g. for the event's year
+ *   {rendition}  the rendition's suffix ('-web'; '' for the main image)
+ *   {ext}        extension of the format the file was saved in; a pattern
+ *                without it gets ".{ext}" on the end
+ *
+ * Sanitising: name, first, last and title are transliterated to
+ * [a-z0-9-] (slug.js) and lowercase unless a case is given; an ID keeps
+ * its letters, digits and hyphens as typed. A title or rendition the
+ * pattern doesn't place goes before the extension. Separators left doubled
+ * or dangling by an empty token are tidied away.
+ */
+
+window.FilenameTemplate = {
+  TOKEN: /\{([a-z]+)(?::([^{}]*))?\}/gi,
+  WORD_TOKENS: ['name', 'first', 'last', 'title'],
+  TOKENS: ['name', 'first', 'last', 'id', 'index', 'n', 'title', 'date', 'year', 'rendition', 'ext'],
+  CASES: ['upper', 'lower', 'title'],
+  LITERAL: /^[A-Za-z0-9 ._-]*$/, // allowed between tokens
+  MAX_STEM: 120,                 // longer names are cut; unique() sorts out any clash
+  TITLE_LENGTH: 40,
+
+  /**
+   * What's wrong with a pattern, in English for the profile's author, or null.
+   */
+  validate(pattern) {
+    if (typeof pattern !== 'string' || pattern.trim() === '') return 'the pattern is empty';
+    const tokens = this._tokens(pattern);
+    for (const { token, modifier } of tokens) {
+      if (!this.TOKENS.includes(token)) return 'unknown token {' + token + '}';
+      if (modifier === undefined) continue;
+      const ok = this.WORD_TOKENS.includes(token) ? this.CASES.includes(modifier)
+        : token === 'id' ? ['upper', 'lower'].includes(modifier)
+        : token === 'index' || token === 'n' ? /^\d{1,2}$/.test(modifier)
+        : token === 'date' ? /^(YYYY|YY|MM|DD|[-_.])+$/.test(modifier)
+        : false;
+      if (!ok) return 'unsupported modifier {' + token + ':' + modifier + '}';
+    }
+    if (!tokens.some(t => t.token === 'index' || t.token === 'n')) return 'it needs {index} (or {n}) so each image has its own name';
+    if (!this.LITERAL.test(pattern.replace(this.TOKEN, ''))) return 'only letters, digits, spaces, dots, hyphens and underscores can go between tokens';
+    return null;
+  },
+
+  /**
+   * Fill in a (valid) pattern.
+   * @param {string} pattern
+   * @param {Object} values
+   * @param {string} values.name - The artist's slug
+   * @param {string} [values.first] - Given name(s), as typed (see nameParts())
+   * @param {string} [values.last] - Surname, as typed
+   * @param {string} [values.id]
+   * @param {number} values.index - 1-based
+   * @param {string} [values.title]
+   * @param {Date} [values.date=new Date()]
+   * @param {string} [values.rendition] - Suffix, e.g. '-web'
+   * @param {string} values.ext - Without the dot
+   * @returns {string}
+   */
+  render(pattern, values) {
+    const ext = values.ext ? '.' + values.ext : '';
+    let full = this._has(pattern, 'ext') ? pattern : pattern + '.{ext}';
+    if (!this._has(full, 'title') && this._has(full, 'rendition')) {
+      full = full.replace(/\{rendition\}/i, '-{title}{rendition}');
+    }
+    const extras = (this._has(full, 'title') ? '' : '-{title}') + (this._has(full, 'rendition') ? '' : '{rendition}');
+    if (extras) {
+      full = ext && full.endsWith('.{ext}') ? full.slice(0, -'.{ext}'.length) + extras + '.{ext}' : full + extras;
+    }
+
+    const out = full.replace(this.TOKEN, (match, token, modifier) => this._value(token.toLowerCase(), modifier, values));
+    const hasExt = ext && out.endsWith(ext);
+    const stem = this._tidy(hasExt ? out.slice(0, -ext.length) : out).slice(0, this.MAX_STEM).replace(/[-_ .]+$/, '');
+    return (stem || 'image-' + values.index) + (hasExt ? ext : '');
+  },
+
+  /**
+   * Split a name as typed into given name(s) and surname: "Doe, Jane" or
+   * else the last word is the surname.
+   */
+  nameParts(fullName) {
+    const text = String(fullName || '').trim().replace(/\s+/g, ' ');
+    const comma = text.indexOf(',');
+    if (comma !== -1) return { first: text.slice(comma + 1).trim(), last: text.slice(0, comma).trim() };
+    const space = text.lastIndexOf(' ');
+    return space === -1 ? { first: '', last: text } : { first: text.slice(0, space), last: text.slice(space + 1) };
+  },
+
+  /**
+   * Make names distinct, ignoring case (as Windows and macOS do): a repeat
+   * gets -2, -3... before its extension. `reserved` names are taken already.
+   * @param {string[]} names
+   * @param {string[]} [reserved]
+   * @returns {string[]} In the same order
+   */
+  unique(names, reserved = []) {
+    const taken = new Set(reserved.map(name => name.toLowerCase()));
+    return names.map(name => {
+      let candidate = name;
+      if (taken.has(candidate.toLowerCase())) {
+        const dot = name.lastIndexOf('.');
+        const stem = dot > 0 ? name.slice(0, dot) : name;
+        const ext = dot > 0 ? name.slice(dot) : '';
+        for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = stem + '-' + n + ext;
+      }
+      taken.add(candidate.toLowerCase());
+      return candidate;
+    });
+  },
+
+  _tokens(pattern) {
+    return Array.from(pattern.matchAll(this.TOKEN), m => ({ token: m[1].toLowerCase(), modifier: m[2] }));
+  },
+
+  _has(pattern, token) {
+    return this._tokens(pattern).some(t => t.token === token);
+  },
+
+  _value(token, modifier, values) {
+    switch (token) {
+      case 'name':
+        return this._case(values.name || '', modifier);
+      case 'first':
+        return this._case(Slug.slugify(values.first || ''), modifier);
+      case 'last':
+        // A surname with nothing to spell in ASCII gives way to the artist's slug
+        return this._case(Slug.slugify(values.last || '') || values.name || '', modifier);
+      case 'title':
+        return this._case(Slug.slugify(values.title || '', this.TITLE_LENGTH), modifier);
+      case 'id': {
+        const id = String(values.id || '').replace(/[^A-Za-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+        return modifier === 'upper' ? id.toUpperCase() : modifier === 'lower' ? id.toLowerCase() : id;
+      }
+      case 'index':
+      case 'n':
+        return String(values.index).padStart(modifier ? parseInt(modifier, 10) : 0, '0');
+      case 'date':
+        return this._date(values.date || new Date(), modifier || 'YYYYMMDD');
+      case 'year':
+        return this._date(values.date || new Date(), 'YYYY');
+      case 'rendition':
+        return values.rendition || '';
+      case 'ext':
+        return values.ext || '';
+      default:
+        return '';
+    }
+  },
+
+  _case(slug, modifier) {
+    if (modifier === 'upper') return slug.toUpperCase();
+    if (modifier === 'title') return slug.replace(/[a-z0-9]+/g, word => word[0].toUpperCase() + word.slice(1));
+    return slug;
+  },
+
+  _date(date, format) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return format.replace(/YYYY|YY|MM|DD/g, part => ({
+      YYYY: String(date.getFullYear()),
+      YY: String(date.getFullYear()).slice(-2),
+      MM: pad(date.getMonth() + 1),
+      DD: pad(date.getDate()),
+    })[part]);
+  },
+
+  /**
+   * Collapse doubled separators ("jane--1") and trim them from the ends.
+   */
+  _tidy(stem) {
+    return stem
+      .replace(/([-_ .])[-_ .]+/g, '$1')
+      .replace(/^[-_ .]+|[-_ .]+$/g, '');
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = window.FilenameTemplate;
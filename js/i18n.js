@@ -0,0 +1,212 @@
+/**
+ * I18n — message catalogues, locale detection and locale-aware formatting
+ *
+ * Usage:
+ *   I18n.setLocale(I18n.detect());
+ *   I18n.t('upload.tooSmall', { size: 1200, min: 1500 });
+ *   I18n.t('upload.skipped', { count: 3 });   // plural forms, see below
+ *   throw I18n.error('upload.cannotRead');    // Error carrying its key
+ *
+ * Catalogues live in js/locales/<code>.js and call I18n.register(). To add
+ * a language, copy locales/en.js, translate the values and add its script
+ * tag (and sw.js PRECACHE entry). Missing keys fall back to English.
+ *
+ * Messages:
+ *   'Text with {param}'                  — params are interpolated; numbers
+ *                                          are formatted for the locale
+ *   'Max {limit:megabytes}'              — a byte count shown in MB ('bytes'
+ *                                          picks the unit, see formatBytes())
+ *   { one: '...', other: '...' }         — plural forms chosen by
+ *                                          Intl.PluralRules on params.count
+ *
+ * Messages that are stored (slot errors, warnings) are kept as descriptors,
+ * { key, params }, and rendered with message() so they follow a language
+ * switch. Param values may themselves be descriptors.
+ *
+ * Selection (first match wins):
+ *   1. ?lang=<code> URL parameter
+ *   2. The language last chosen in the switcher (localStorage)
+ *   3. The browser's preferred languages
+ *   4. DEFAULT_LOCALE
+ */
+
+self.I18n = {
+  DEFAULT_LOCALE: 'en',
+  STORAGE_KEY: 'image-prep-locale',
+
+  locale: 'en',
+  _catalogues: {},  // code -> { name, messages }
+  _pluralRules: {},
+
+  /**
+   * Add a catalogue. `name` is shown in the language switcher, in its own language.
+   */
+  register(code, name, messages) {
+    this._catalogues[code] = { name, messages };
+  },
+
+  /**
+   * Registered locales as [{code, name}], in registration order.
+   */
+  available() {
+    return Object.keys(this._catalogues).map(code => ({ code, name: this._catalogues[code].name }));
+  },
+
+  /**
+   * Pick the locale to start in (see Selection above).
+   */
+  detect() {
+    const candidates = [];
+    try {
+      candidates.push(new URLSearchParams(self.location.search).get('lang'));
+      candidates.push(self.localStorage.getItem(this.STORAGE_KEY));
+    } catch {
+      // Storage can be blocked (e.g. some private modes); the browser languages still apply
+    }
+    if (self.navigator) {
+      candidates.push(...(self.navigator.languages || [self.navigator.language]));
+    }
+    for (const candidate of candidates) {
+      const code = this.match(candidate);
+      if (code) return code;
+    }
+    return this.DEFAULT_LOCALE;
+  },
+
+  /**
+   * Registered locale for a language tag ('fr-CA' → 'fr'), or null.
+   */
+  match(tag) {
+    if (!tag) return null;
+    const lower = String(tag).toLowerCase();
+    if (this._catalogues[lower]) return lower;
+    const base = lower.split('-')[0];
+    return this._catalogues[base] ? base : null;
+  },
+
+  /**
+   * Switch locale. With `remember`, the choice is kept for later visits.
+   */
+  setLocale(code, remember = false) {
+    this.locale = this.match(code) || this.DEFAULT_LOCALE;
+    if (remember) {
+      try {
+        self.localStorage.setItem(this.STORAGE_KEY, this.locale);
+      } catch {
+        // Not remembered, but still applied for this visit
+      }
+    }
+    return this.locale;
+  },
+
+  /**
+   * Translate a key. Unknown keys return the key itself, so a gap in a
+   * catalogue is visible rather than blank.
+   */
+  t(key, params = {}) {
+    let message = this._lookup(this.locale, key);
+    if (message === undefined) message = this._lookup(this.DEFAULT_LOCALE, key);
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+      const form = this._plural(params.count);
+      message = message[form] !== undefined ? message[form] : message.other;
+    }
+
+    return message.replace(/\{(\w+)(?::(\w+))?\}/g, (match, name, format) => {
+      if (!(name in params)) return match;
+      const value = params[name];
+      if (format === 'megabytes') return this.formatMegabytes(value);
+      if (format === 'bytes') return this.formatBytes(value);
+      if (value && typeof value === 'object') return this.message(value);
+      return typeof value === 'number' ? this.formatNumber(value) : String(value);
+    });
+  },
+
+  /**
+   * Render a stored message: a { key, params } descriptor, or plain text
+   * (e.g. from before a message had a key), which is returned unchanged.
+   */
+  message(value) {
+    if (!value) return '';
+    if (typeof value === 'object' && value.key) return this.t(value.key, value.params);
+    return String(value);
+  },
+
+  /**
+   * An Error whose message is translated now and whose key/params let it
+   * be stored as a descriptor (see describe()) and re-rendered later.
+   */
+  error(key, params = {}) {
+    const err = new Error(this.t(key, params));
+    err.key = key;
+    err.params = params;
+    return err;
+  },
+
+  /**
+   * Descriptor for an error from error(); other errors keep their message.
+   */
+  describe(err, fallbackKey) {
+    if (err && err.key) return { key: err.key, params: err.params || {} };
+    if (err && err.message) return err.message;
+    return fallbackKey ? { key: fallbackKey, params: {} } : '';
+  },
+
+  formatNumber(value, options) {
+    return new Intl.NumberFormat(this.locale, options).format(value);
+  },
+
+  /**
+   * Join items as a phrase: 'conjunction' ("A, B and C") or 'disjunction' ("A, B or C").
+   */
+  formatList(items, type = 'conjunction') {
+    try {
+      return new Intl.ListFormat(this.locale, { type }).format(items);
+    } catch {
+      // Older engines without list formatting
+      return items.join(', ');
+    }
+  },
+
+  /**
+   * Human-readable size in the largest fitting unit (1024-based), e.g. "1.5 MB" / "1,5 Mo".
+   */
+  formatBytes(bytes) {
+    const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+    const i = bytes > 0 ? Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024))) : 0;
+    return this._formatUnit(bytes / Math.pow(1024, i), units[i]);
+  },
+
+  /**
+   * A size always in megabytes, for limits ("Max 10 MB").
+   */
+  formatMegabytes(bytes) {
+    return this._formatUnit(bytes / (1024 * 1024), 'megabyte');
+  },
+
+  _formatUnit(value, unit) {
+    try {
+      return this.formatNumber(value, { style: 'unit', unit, unitDisplay: 'short', maximumFractionDigits: 1 });
+    } catch {
+      // Older engines without unit formatting
+      const symbols = { byte: 'B', kilobyte: 'KB', megabyte: 'MB', gigabyte: 'GB' };
+      return this.formatNumber(value, { maximumFractionDigits: 1 }) + ' ' + symbols[unit];
+    }
+  },
+
+  _lookup(code, key) {
+    const catalogue = this._catalogues[code];
+    return catalogue ? catalogue.messages[key] : undefined;
+  },
+
+  _plural(count) {
+    if (typeof count !== 'number') return 'other';
+    if (!this._pluralRules[this.locale]) {
+      this._pluralRules[this.locale] = new Intl.PluralRules(this.locale);
+    }
+    return this._pluralRules[this.locale].select(count);
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = self.I18n;
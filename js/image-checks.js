@@ -0,0 +1,240 @@
+/**
+ * Image Checks — quality pre-checks run when an image is accepted into a slot
+ *
+ * Usage:
+ *   const analysis = await ImageChecks.analyse(file);
+ *   const findings = ImageChecks.evaluate(analysis, profile.checks);
+ *   const distance = ImageChecks.distance(analysis.hash, other.hash);
+ *
+ * Checks:
+ *   duplicate — 64-bit perceptual hash (DCT of a 32×32 greyscale thumbnail);
+ *               a small Hamming distance means the same picture, even
+ *               re-saved, resized or recompressed under another name
+ *   blur      — variance of the Laplacian on a downscaled greyscale copy;
+ *               low variance means few edges, i.e. out of focus or shaken
+ *   exposure  — luminance histogram; mostly crushed shadows or blown
+ *               highlights means heavy under- or over-exposure
+ *
+ * Each check has a severity in the profile's `checks` ('warn', 'error' or
+ * 'off'). Warnings are shown on the slot; errors reject the image.
+ * Thresholds are heuristics for photographed artwork, not absolutes.
+ */
+
+window.ImageChecks = {
+  HASH_SIZE: 32,        // thumbnail edge for the perceptual hash
+  ANALYSIS_EDGE: 512,   // longest edge for the blur and exposure checks
+
+  DEFAULTS: {
+    duplicate: 'warn',
+    blur: 'warn',
+    exposure: 'warn',
+    duplicateDistance: 6,  // max differing hash bits (of 64) to count as the same image
+    blurThreshold: 40,     // Laplacian variance below this is blurry
+    darkLevel: 24,         // luminance (0–255) counted as crushed shadow
+    brightLevel: 232,      // luminance counted as blown highlight
+    clippedShare: 0.5,     // share of pixels past a level that fails exposure
+  },
+
+  SEVERITIES: ['off', 'warn', 'error'],
+
+  /**
+   * Merge a profile's checks over DEFAULTS, dropping invalid severities.
+   */
+  normalise(checks) {
+    const c = Object.assign({}, this.DEFAULTS, checks);
+    ['duplicate', 'blur', 'exposure'].forEach(name => {
+      if (!this.SEVERITIES.includes(c[name])) c[name] = this.DEFAULTS[name];
+    });
+    ['duplicateDistance', 'blurThreshold', 'darkLevel', 'brightLevel', 'clippedShare'].forEach(name => {
+      if (!Number.isFinite(Number(c[name]))) c[name] = this.DEFAULTS[name];
+      c[name] = Number(c[name]);
+    });
+    return c;
+  },
+
+  /**
+   * Measure an image. Orientation is applied by the browser's decoder, so
+   * the same photo with and without EXIF rotation hashes alike.
+   * @param {Blob} file
+   * @returns {Promise<{hash: string, sharpness: number, histogram: number[]}>}
+   */
+  async analyse(file) {
+    const img = await ImageProcessor._loadImage(file);
+    const hash = this._perceptualHash(img);
+
+    const scale = Math.min(1, this.ANALYSIS_EDGE / Math.max(img.naturalWidth, img.naturalHeight));
+    const width = Math.max(1, Math.round(img.naturalWidth * scale));
+    const height = Math.max(1, Math.round(img.naturalHeight * scale));
+    const grey = this._greyscale(img, width, height);
+
+    return {
+      hash,
+      sharpness: this._laplacianVariance(grey, width, height),
+      histogram: this._histogram(grey),
+    };
+  },
+
+  /**
+   * Blur and exposure findings for one image (duplicates need the other
+   * slots, see duplicateOf()).
+   * @returns {Array<{check: string, severity: string, message: {key: string}}>} message is an I18n descriptor
+   */
+  evaluate(analysis, checks) {
+    const c = this.normalise(checks);
+    const findings = [];
+
+    if (c.blur !== 'off' && analysis.sharpness < c.blurThreshold) {
+      findings.push({ check: 'blur', severity: c.blur, message: { key: 'checks.blurry' } });
+    }
+
+    if (c.exposure !== 'off') {
+      const dark = this._share(analysis.histogram, 0, c.darkLevel);
+      const bright = this._share(analysis.histogram, c.brightLevel, 255);
+      if (dark >= c.clippedShare) {
+        findings.push({ check: 'exposure', severity: c.exposure, message: { key: 'checks.underexposed' } });
+      } else if (bright >= c.clippedShare) {
+        findings.push({ check: 'exposure', severity: c.exposure, message: { key: 'checks.overexposed' } });
+      }
+    }
+
+    return findings;
+  },
+
+  /**
+   * Index of the first candidate that looks like the same picture, or -1.
+   * @param {Object} analysis
+   * @param {Array<Object|null>} candidates - Analyses to compare against (null entries are skipped)
+   */
+  duplicateOf(analysis, candidates, checks) {
+    const c = this.normalise(checks);
+    if (c.duplicate === 'off' || !analysis) return -1;
+    return candidates.findIndex(other =>
+      other && this.distance(analysis.hash, other.hash) <= c.duplicateDistance
+    );
+  },
+
+  /**
+   * Hamming distance between two hex hashes.
+   */
+  distance(a, b) {
+    let bits = 0;
+    for (let i = 0; i < a.length; i += 8) {
+      let x = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+      while (x) {
+        bits += x & 1;
+        x >>>= 1;
+      }
+    }
+    return bits;
+  },
+
+  /**
+   * pHash: DCT of a HASH_SIZE² greyscale thumbnail; each of the 8×8
+   * lowest frequencies becomes a bit, set when above the median of the
+   * non-DC ones.
+   */
+  _perceptualHash(img) {
+    const n = this.HASH_SIZE;
+    const grey = this._greyscale(img, n, n);
+
+    const cos = new Float64Array(8 * n);
+    for (let u = 0; u < 8; u++) {
+      for (let x = 0; x < n; x++) {
+        cos[u * n + x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * n));
+      }
+    }
+
+    const coeffs = [];
+    for (let v = 0; v < 8; v++) {
+      for (let u = 0; u < 8; u++) {
+        let sum = 0;
+        for (let y = 0; y < n; y++) {
+          for (let x = 0; x < n; x++) {
+            sum += grey[y * n + x] * cos[u * n + x] * cos[v * n + y];
+          }
+        }
+        coeffs.push(sum);
+      }
+    }
+
+    const ac = coeffs.slice(1);
+    const median = ac.slice().sort((a, b) => a - b)[Math.floor(ac.length / 2)];
+    let hex = '';
+    for (let i = 0; i < 64; i += 4) {
+      let nibble = 0;
+      for (let b = 0; b < 4; b++) {
+        nibble = (nibble << 1) | (coeffs[i + b] > median ? 1 : 0);
+      }
+      hex += nibble.toString(16);
+    }
+    return hex;
+  },
+
+  /**
+   * Draw the image at width×height and return Rec. 601 luma per pixel.
+   */
+  _greyscale(img, width, height) {
+    const canvas = ImageProcessor._createCanvas(width, height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    if (!ctx) {
+      throw I18n.error('processing.noCanvas');
+    }
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(img, 0, 0, width, height);
+
+    const data = ctx.getImageData(0, 0, width, height).data;
+    const grey = new Float32Array(width * height);
+    for (let i = 0, p = 0; p < grey.length; i += 4, p++) {
+      grey[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+    return grey;
+  },
+
+  /**
+   * Variance of the 4-neighbour Laplacian over the interior pixels.
+   */
+  _laplacianVariance(grey, width, height) {
+    if (width < 3 || height < 3) return Infinity;
+    let sum = 0;
+    let sumSq = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const lap = grey[i - width] + grey[i + width] + grey[i - 1] + grey[i + 1] - 4 * grey[i];
+        sum += lap;
+        sumSq += lap * lap;
+        count++;
+      }
+    }
+    const mean = sum / count;
+    return sumSq / count - mean * mean;
+  },
+
+  /**
+   * 256-bin luminance histogram.
+   */
+  _histogram(grey) {
+    const bins = new Array(256).fill(0);
+    for (let i = 0; i < grey.length; i++) {
+      bins[Math.min(255, Math.round(grey[i]))]++;
+    }
+    return bins;
+  },
+
+  /**
+   * Share of pixels with luminance in [from, to].
+   */
+  _share(histogram, from, to) {
+    let inRange = 0;
+    let total = 0;
+    histogram.forEach((count, level) => {
+      total += count;
+      if (level >= from && level <= to) inRange += count;
+    });
+    return total > 0 ? inRange / total : 0;
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = window.ImageChecks;
@@ -0,0 +1,200 @@
+/**
+ * Image Editor — non-destructive per-slot edits (perspective, rotate, flip, straighten, crop)
+ *
+ * Usage:
+ *   const edits = ImageEditor.defaults();
+ *   const size = ImageEditor.outputSize(edits, uprightW, uprightH);
+ *   ImageEditor.draw(ctx, source, { orientation, width: uprightW, height: uprightH, edits, scale });
+ *
+ * Edits are plain data stored on the slot and applied by ImageProcessor
+ * before resizing, so the original file is never modified:
+ *   {
+ *     corners: [{x, y} × 4] | null, // artwork corners, see below
+ *     rotate: 0 | 90 | 180 | 270,   // clockwise quarter turns
+ *     flipH: boolean, flipV: boolean, // mirrored in the rotated view
+ *     straighten: number,           // degrees, ±MAX_STRAIGHTEN; zooms to hide corners
+ *     crop: {x, y, w, h} | null,    // 0–1, relative to the rotated frame
+ *     aspect: 'free' | 'original' | '1:1' | '4:3' | ...
+ *   }
+ *
+ * "Upright" means after EXIF orientation; "frame" means after the quarter
+ * turns, before cropping.
+ *
+ * `corners` is applied first and separately: Perspective.rectify() warps
+ * the upright image to a rectangle, and the functions here then take that
+ * rectangle (Perspective.size()) as the image being edited.
+ */
+
+self.ImageEditor = {
+  MAX_STRAIGHTEN: 10,
+  MIN_CROP: 0.05, // smallest crop, as a fraction of the frame
+
+  ASPECTS: {
+    'free': null,
+    'original': 'original',
+    '1:1': 1,
+    '4:3': 4 / 3,
+    '3:4': 3 / 4,
+    '3:2': 3 / 2,
+    '2:3': 2 / 3,
+    '16:9': 16 / 9,
+  },
+
+  defaults() {
+    return { corners: null, rotate: 0, flipH: false, flipV: false, straighten: 0, crop: null, aspect: 'free' };
+  },
+
+  /**
+   * True when the edits would leave the image unchanged.
+   */
+  isDefault(edits) {
+    return !edits || (
+      !edits.corners && edits.rotate === 0 && !edits.flipH && !edits.flipV &&
+      edits.straighten === 0 && !edits.crop
+    );
+  },
+
+  /**
+   * Size after quarter-turn rotation.
+   */
+  frameSize(edits, width, height) {
+    return edits && (edits.rotate === 90 || edits.rotate === 270)
+      ? { width: height, height: width }
+      : { width, height };
+  },
+
+  /**
+   * Crop rectangle in frame pixels (the whole frame when there is no crop).
+   */
+  cropRect(edits, width, height) {
+    const frame = this.frameSize(edits, width, height);
+    const crop = (edits && edits.crop) || { x: 0, y: 0, w: 1, h: 1 };
+    return {
+      x: crop.x * frame.width,
+      y: crop.y * frame.height,
+      width: Math.max(1, Math.round(crop.w * frame.width)),
+      height: Math.max(1, Math.round(crop.h * frame.height)),
+    };
+  },
+
+  /**
+   * Pixel size of the edited image, before any resizing.
+   */
+  outputSize(edits, width, height) {
+    const rect = this.cropRect(edits, width, height);
+    return { width: rect.width, height: rect.height };
+  },
+
+  /**
+   * Draw the source with orientation and edits applied.
+   * The destination should be outputSize() × scale.
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {CanvasImageSource} source - Decoded with EXIF orientation cleared
+   * @param {Object} options
+   * @param {number} options.orientation - EXIF orientation still to apply
+   * @param {number} options.width - Upright width
+   * @param {number} options.height - Upright height
+   * @param {Object|null} options.edits
+   * @param {number} [options.scale=1]
+   */
+  draw(ctx, source, { orientation = 1, width, height, edits, scale = 1 }) {
+    const e = edits || this.defaults();
+    const frame = this.frameSize(e, width, height);
+    const crop = this.cropRect(e, width, height);
+    const cover = this._coverScale(e.straighten, frame.width, frame.height);
+    const raw = Exif.orientedSize(orientation, width, height);
+
+    // Transforms apply to the image in reverse order of these calls
+    ctx.save();
+    ctx.scale(scale, scale);
+    ctx.translate(-crop.x, -crop.y);
+    ctx.translate(frame.width / 2, frame.height / 2);
+    ctx.scale(e.flipH ? -1 : 1, e.flipV ? -1 : 1);
+    ctx.rotate((e.rotate + e.straighten) * Math.PI / 180);
+    ctx.scale(cover, cover);
+    ctx.translate(-width / 2, -height / 2);
+    Exif.applyOrientation(ctx, orientation, raw.width, raw.height);
+    ctx.drawImage(source, 0, 0, raw.width, raw.height);
+    ctx.restore();
+  },
+
+  /**
+   * Zoom needed so an image rotated by `degrees` still covers its frame.
+   */
+  _coverScale(degrees, width, height) {
+    const theta = Math.abs(degrees) * Math.PI / 180;
+    if (theta === 0) return 1;
+    const ratio = Math.max(width / height, height / width);
+    return Math.cos(theta) + ratio * Math.sin(theta);
+  },
+
+  /**
+   * Numeric width:height ratio for an aspect key, or null for free cropping.
+   */
+  aspectRatio(aspect, frameW, frameH) {
+    const value = this.ASPECTS[aspect];
+    if (value === 'original') return frameW / frameH;
+    return value || null;
+  },
+
+  /**
+   * Largest centred crop with the given pixel ratio (null = whole frame).
+   */
+  fitCrop(ratio, frameW, frameH) {
+    if (!ratio) return null;
+    const normalised = ratio * frameH / frameW; // w/h in 0–1 units
+    const w = normalised >= 1 ? 1 : normalised;
+    const h = normalised >= 1 ? 1 / normalised : 1;
+    return { x: (1 - w) / 2, y: (1 - h) / 2, w, h };
+  },
+
+  /**
+   * Move a crop by a normalised delta, keeping it inside the frame.
+   */
+  moveCrop(crop, dx, dy) {
+    return {
+      x: this._clamp(crop.x + dx, 0, 1 - crop.w),
+      y: this._clamp(crop.y + dy, 0, 1 - crop.h),
+      w: crop.w,
+      h: crop.h,
+    };
+  },
+
+  /**
+   * Drag one corner ('nw' | 'ne' | 'sw' | 'se') by a normalised delta.
+   * The opposite corner stays put; `ratio` (pixels, w/h) locks the aspect.
+   */
+  resizeCrop(crop, handle, dx, dy, ratio, frameW, frameH) {
+    const left = handle.includes('w');
+    const top = handle.includes('n');
+    const anchorX = left ? crop.x + crop.w : crop.x;
+    const anchorY = top ? crop.y + crop.h : crop.y;
+    const px = this._clamp((left ? crop.x : crop.x + crop.w) + dx, 0, 1);
+    const py = this._clamp((top ? crop.y : crop.y + crop.h) + dy, 0, 1);
+
+    const maxW = left ? anchorX : 1 - anchorX;
+    const maxH = top ? anchorY : 1 - anchorY;
+    let w = Math.min(Math.max(left ? anchorX - px : px - anchorX, this.MIN_CROP), maxW);
+    let h = Math.min(Math.max(top ? anchorY - py : py - anchorY, this.MIN_CROP), maxH);
+
+    if (ratio) {
+      const normalised = ratio * frameH / frameW;
+      if (w / h > normalised) w = h * normalised; else h = w / normalised;
+      if (w > maxW) { w = maxW; h = w / normalised; }
+      if (h > maxH) { h = maxH; w = h * normalised; }
+    }
+
+    return {
+      x: left ? anchorX - w : anchorX,
+      y: top ? anchorY - h : anchorY,
+      w,
+      h,
+    };
+  },
+
+  _clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = self.ImageEditor;
@@ -2,71 +2,520 @@
  * Image Processor — Canvas-based resize + iterative JPEG compression
  *
  * Usage:
- *   const { blob, width, height } = await ImageProcessor.process(file);
+ *   const { blob, width, height, renditions } = await ImageProcessor.process(file);
+ *   ImageProcessor.cancel(); // abort anything in progress
+ *
+ * Each image is output as one or more renditions (RENDITIONS, e.g. full,
+ * web, thumbnail), each with its own max edge, byte budget, format and
+ * filename suffix. The top-level result fields are the first rendition's.
  *
  * Pipeline:
- *   1. Load file into Image via object URL
- *   2. Calculate target dimensions (longest edge capped at 2000px)
- *   3. Draw to canvas with high-quality smoothing
- *   4. Iterative JPEG compression until <= 1MB (or minimum quality floor)
- *   5. Return final JPEG Blob + dimensions
+ *   1. Read EXIF/XMP (exif.js) and decode the file with its orientation
+ *      cleared (createImageBitmap in a worker, or an Image element)
+ *   2. Calculate each rendition's dimensions (longest edge capped at its maxEdge)
+ *   3. Draw to canvas at the largest of them with high-quality smoothing,
+ *      applying the EXIF orientation explicitly, then the slot's edits:
+ *      the perspective warp or border trim (perspective.js), then
+ *      rotate/flip/straighten/crop (image-editor.js)
+ *   4. Convert colours to sRGB when an embedded ICC profile says otherwise
+ *      (color-profile.js)
+ *   5. Per rendition: scale down from that canvas, draw the copyright mark
+ *      if one was asked for (watermark.js), then binary-search quality for
+ *      the largest file <= its targetSize, shrinking dimensions if even the
+ *      minimum quality is too large
+ *   6. Embed the metadata METADATA_POLICY allows and an sRGB profile (JPEG only)
+ *   7. Return the Blobs + dimensions
+ *
+ * Formats the browser can't encode (typically AVIF, sometimes WebP) fall
+ * back to JPEG, with a formatWarning on the rendition.
+ *
+ * Warnings are I18n descriptors ({ key, params }) and errors come from
+ * I18n.error(), so the page shows them in its own language, even for
+ * results from the worker.
+ *
+ * Where Worker, OffscreenCanvas and createImageBitmap are available the
+ * pipeline runs in js/image-worker.js, which loads this same file, so the
+ * main thread stays responsive. Otherwise it runs on the main thread.
+ * Concurrent process() calls are spread over a pool of up to `concurrency`
+ * workers (see setConcurrency() and recommendedConcurrency()).
+ *
+ * Limits default to the Art Walk Weekends rules; call configure(profile)
+ * to apply a submission profile (see profiles.js).
  */
 
-window.ImageProcessor = {
+// `self` is the window on the page and the global scope inside the worker
+self.ImageProcessor = {
   MAX_EDGE: 2000,
   TARGET_SIZE: 1 * 1024 * 1024, // 1MB
   INITIAL_QUALITY: 0.92,
-  QUALITY_STEP: 0.05,
+  QUALITY_PRECISION: 0.02, // stop the quality search once the range is this narrow
   MIN_QUALITY: 0.30,
+  MAX_REDUCTIONS: 3,       // dimension reductions to try when MIN_QUALITY is still too large
+  OUTPUT_FORMAT: 'image/jpeg',
+  METADATA_POLICY: {},     // see Exif.DEFAULT_POLICY: GPS and camera data are stripped
+  RENDITIONS: [],          // [{id, label, suffix, maxEdge, targetSize, format}]; empty = one from the limits above
+  FALLBACK_FORMAT: 'image/jpeg',
+  WORKER_URL: 'js/image-worker.js',
+  MAX_CONCURRENCY: 4,
+
+  _workers: [],       // pool: [{ worker, jobs: number }]
+  _concurrency: 1,
+  _workerFailed: false,
+  _jobs: new Map(),   // worker job id -> { file, context, onProgress, worker, resolve, reject }
+  _nextJobId: 1,
+  _generation: 0,     // bumped by cancel() to stop main-thread runs
+  _canvasColorSpace: null,
+  _formatSupport: {},  // MIME type -> whether this context can encode it
+
+  /**
+   * Apply limits from a submission profile.
+   * @param {{maxEdge: number, targetSize: number, initialQuality: number, minQuality: number, outputFormat: string, metadata: Object, renditions: Array}} profile
+   */
+  configure(profile) {
+    this.MAX_EDGE = profile.maxEdge;
+    this.TARGET_SIZE = profile.targetSize;
+    this.INITIAL_QUALITY = profile.initialQuality;
+    this.MIN_QUALITY = profile.minQuality;
+    this.OUTPUT_FORMAT = profile.outputFormat;
+    this.METADATA_POLICY = Object.assign({}, profile.metadata);
+    this.RENDITIONS = (profile.renditions || []).map(r => Object.assign({}, r));
+  },
+
+  /**
+   * Current limits, in the shape configure() accepts (sent to the worker).
+   */
+  _options() {
+    return {
+      maxEdge: this.MAX_EDGE,
+      targetSize: this.TARGET_SIZE,
+      initialQuality: this.INITIAL_QUALITY,
+      minQuality: this.MIN_QUALITY,
+      outputFormat: this.OUTPUT_FORMAT,
+      metadata: this.METADATA_POLICY,
+      renditions: this.RENDITIONS,
+    };
+  },
+
+  /**
+   * Rendition specs to produce; without any configured, a single one from
+   * the top-level limits.
+   */
+  _renditions() {
+    if (this.RENDITIONS.length > 0) return this.RENDITIONS;
+    return [{
+      id: 'full',
+      label: 'Full size',
+      suffix: '',
+      maxEdge: this.MAX_EDGE,
+      targetSize: this.TARGET_SIZE,
+      format: this.OUTPUT_FORMAT,
+    }];
+  },
 
   /**
    * Process a single image file.
+   * Rejects with an error named 'AbortError' if cancel() is called first.
    * @param {File} file - The image file to process
-   * @returns {Promise<{blob: Blob, width: number, height: number, quality: number, warning: string|null}>}
+   * @param {Object} [context]
+   * @param {File} [context.metadataFile] - Original upload to take metadata from, if `file` is a conversion
+   * @param {string} [context.artistName] - Written as EXIF Artist when the policy asks for it
+   * @param {Object} [context.edits] - Corners/rotate/flip/straighten/crop from image-editor.js, applied before resizing
+   * @param {Object} [context.watermark] - Options from Watermark.normalise() with the filled-in `text`,
+   *   and for a logo its `logo` Blob; omitted = no mark
+   * @param {function(number)} [onProgress] - Called with 0–1 as the image moves through the pipeline
+   * @returns {Promise<{blob: Blob, width: number, height: number, quality: number, encodes: number, warning: Object|null, renditions: Array<Object>, originalWidth: number, originalHeight: number}>}
    */
-  process(file) {
+  process(file, context = {}, onProgress = null) {
+    if (this._canUseWorker()) {
+      return this._processInWorker(file, context, onProgress);
+    }
+    return this._processFile(file, context, this._generation, onProgress);
+  },
+
+  /**
+   * How many images to process at once on this device. Each in-flight image
+   * holds a decoded bitmap and canvases (~100MB for a 24MP photo), so this
+   * is bounded by reported memory as well as cores. Without workers,
+   * everything shares the main thread, so one at a time.
+   */
+  recommendedConcurrency() {
+    if (!this._canUseWorker()) return 1;
+    const memoryGB = navigator.deviceMemory || 4; // not reported by Firefox/Safari
+    const cores = navigator.hardwareConcurrency || 2;
+    return Math.max(1, Math.min(this.MAX_CONCURRENCY, cores - 1, Math.floor(memoryGB / 2)));
+  },
+
+  /**
+   * Cap the worker pool size (extra workers already running are kept until cancel()).
+   */
+  setConcurrency(count) {
+    this._concurrency = Math.max(1, Math.min(this.MAX_CONCURRENCY, Math.floor(count) || 1));
+  },
+
+  /**
+   * Abort every run in progress. Worker jobs are stopped by terminating the
+   * workers; main-thread runs stop at their next compression pass.
+   */
+  cancel() {
+    this._generation++;
+    this._terminateWorkers();
+    this._jobs.forEach(job => job.reject(this._abortError()));
+    this._jobs.clear();
+  },
+
+  _terminateWorkers() {
+    this._workers.forEach(entry => entry.worker.terminate());
+    this._workers = [];
+  },
+
+  _abortError() {
+    const err = I18n.error('processing.cancelled');
+    err.name = 'AbortError';
+    return err;
+  },
+
+  _canUseWorker() {
+    return !this._workerFailed &&
+      typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof OffscreenCanvas.prototype.convertToBlob === 'function' &&
+      typeof createImageBitmap === 'function';
+  },
+
+  /**
+   * Hand a file to the least busy worker, starting a new one while the pool
+   * is below the concurrency limit.
+   */
+  _processInWorker(file, context, onProgress) {
+    let entry = this._workers.reduce((best, e) => (!best || e.jobs < best.jobs ? e : best), null);
+    if (!entry || (entry.jobs > 0 && this._workers.length < this._concurrency)) {
+      const worker = new Worker(this.WORKER_URL);
+      worker.onmessage = (e) => this._onWorkerMessage(e.data);
+      worker.onerror = (e) => this._onWorkerError(e);
+      entry = { worker, jobs: 0 };
+      this._workers.push(entry);
+    }
+
     return new Promise((resolve, reject) => {
-      const url = URL.createObjectURL(file);
-      const img = new Image();
+      const id = this._nextJobId++;
+      entry.jobs++;
+      this._jobs.set(id, { file, context, onProgress, worker: entry, resolve, reject });
+      entry.worker.postMessage({ id, file, context, options: this._options() });
+    });
+  },
 
-      img.onload = () => {
-        URL.revokeObjectURL(url);
+  _onWorkerMessage({ id, progress, result, error, key, params }) {
+    const job = this._jobs.get(id);
+    if (!job) return; // cancelled
+    if (progress !== undefined) {
+      if (job.onProgress) job.onProgress(progress);
+      return;
+    }
+    this._jobs.delete(id);
+    job.worker.jobs--;
+    if (error) {
+      // Rebuilt here so the message is in the page's language
+      job.reject(key ? I18n.error(key, params) : new Error(error));
+    } else {
+      job.resolve(result);
+    }
+  },
 
-        try {
-          // Calculate target dimensions
-          const { width: targetW, height: targetH } = this._calcDimensions(
-            img.naturalWidth,
-            img.naturalHeight
-          );
-
-          // Draw to canvas
-          const canvas = document.createElement('canvas');
-          canvas.width = targetW;
-          canvas.height = targetH;
-
-          const ctx = canvas.getContext('2d');
-          if (!ctx) {
-            reject(new Error('Could not get canvas context. Try closing other tabs to free memory.'));
-            return;
-          }
+  /**
+   * A worker failed to load or crashed (e.g. unsupported in this context):
+   * stop using workers and rerun the outstanding jobs on the main thread,
+   * one at a time.
+   */
+  _onWorkerError(e) {
+    console.warn('Image worker unavailable, processing on main thread.', e.message || e);
+    this._workerFailed = true;
+    this._terminateWorkers();
+    const jobs = Array.from(this._jobs.values());
+    this._jobs.clear();
+    const generation = this._generation;
+    jobs.reduce((previous, job) => previous.then(() =>
+      this._processFile(job.file, job.context, generation, job.onProgress).then(job.resolve, job.reject)
+    ), Promise.resolve());
+  },
 
-          ctx.imageSmoothingEnabled = true;
-          ctx.imageSmoothingQuality = 'high';
-          ctx.drawImage(img, 0, 0, targetW, targetH);
+  /**
+   * The pipeline itself, shared by the worker and the main thread.
+   * `generation` is only passed on the main thread (see cancel()).
+   * `onProgress` receives rough 0–1 progress: decoding and drawing are
+   * about a third, the rest is split between the renditions' encodes.
+   */
+  async _processFile(file, context, generation, onProgress) {
+    const report = onProgress || (() => {});
+    const prep = await this._prepareMetadata(file, context);
+    const color = await this._prepareColor(file, context);
+    // For the JS conversion the decoder must hand over unconverted values
+    const image = await this._decode(prep.decodable, color.strategy === 'js' && color.embedded);
+    report(0.2);
 
-          // Iterative JPEG compression
-          this._compress(canvas, targetW, targetH)
-            .then(resolve)
-            .catch(reject);
+    // Target sizes are based on the upright, edited (warped/rotated/cropped) image
+    const upright = Exif.orientedSize(prep.orientation, image.width, image.height);
+    const corners = context.edits && context.edits.corners;
+    const base = corners ? Perspective.size(corners, upright.width, upright.height) : upright;
+    const edited = ImageEditor.outputSize(context.edits, base.width, base.height);
+    const specs = this._renditions();
+    const sizes = specs.map(spec => this._calcDimensions(edited.width, edited.height, spec.maxEdge));
+    const { width: targetW, height: targetH } = sizes.reduce((a, b) => (b.width > a.width ? b : a));
 
-        } catch (err) {
-          reject(new Error('Processing failed. Try closing other tabs to free memory.'));
+    const canvas = this._createCanvas(targetW, targetH);
+    try {
+      const ctx = canvas.getContext('2d', { colorSpace: 'srgb' });
+      if (!ctx) {
+        throw I18n.error('processing.noCanvas');
+      }
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = 'high';
+      const scale = targetW / edited.width;
+      // Warped at the scale it is drawn at, so no more pixels than needed
+      const source = corners
+        ? Perspective.rectify(image.source, { orientation: prep.orientation, width: upright.width, height: upright.height, corners, scale })
+        : image.source;
+      ImageEditor.draw(ctx, source, {
+        orientation: corners ? 1 : prep.orientation,
+        width: base.width,
+        height: base.height,
+        edits: context.edits,
+        scale,
+      });
+      if (corners) source.width = 0; // release the warped copy
+
+      if (color.strategy === 'js') {
+        const pixels = ctx.getImageData(0, 0, targetW, targetH);
+        ctx.putImageData(ColorProfile.convertToSrgb(pixels, color.profile), 0, 0);
+      }
+    } catch (err) {
+      throw err.key === 'processing.noCanvas'
+        ? err
+        : I18n.error('processing.outOfMemory');
+    } finally {
+      image.close();
+    }
+    report(0.35);
+
+    // JPEG output carries EXIF (per policy) and an sRGB profile
+    const jpegSegments = this._joinSegments([prep.segment, ColorProfile.srgbSegment()]);
+
+    const mark = context.watermark ? await this._prepareWatermark(context.watermark) : null;
+    const renditions = [];
+    try {
+      for (let i = 0; i < specs.length; i++) {
+        const spec = specs[i];
+        const { width, height } = sizes[i];
+        const format = await this._encodableFormat(spec.format);
+        const marked = mark !== null && Watermark.appliesTo(context.watermark, spec.id);
+        // Marked renditions are drawn on a copy so the shared canvas stays clean
+        const source = width === targetW && height === targetH && !marked
+          ? canvas
+          : this._resizeCanvas(canvas, width, height);
+        if (marked) {
+          Watermark.draw(source.getContext('2d'), width, height, context.watermark, mark);
         }
+
+        // Leave room in the byte budget for the metadata we add afterwards
+        const segments = format === 'image/jpeg' ? jpegSegments : null;
+        const reserve = segments ? segments.length : 0;
+        // A quality search takes about 7 encodes
+        const share = 0.65 / specs.length;
+        const result = await this._compress(source, width, height, generation, reserve, {
+          targetSize: spec.targetSize,
+          format,
+          onEncode: (encodes) => report(0.35 + share * (i + Math.min(0.9, encodes / 8))),
+        });
+        result.blob = await Exif.embed(result.blob, segments);
+        report(0.35 + share * (i + 1));
+
+        renditions.push(Object.assign({
+          id: spec.id,
+          label: spec.label,
+          suffix: spec.suffix,
+          format,
+          watermarked: marked,
+          formatWarning: format === spec.format
+            ? null
+            : { key: 'warnings.formatFallback', params: { format: this._formatName(spec.format), label: spec.label, savedAs: this._formatName(format) } },
+        }, result));
+      }
+    } finally {
+      if (mark) mark.close();
+    }
+
+    return Object.assign({}, renditions[0], {
+      renditions,
+      originalWidth: upright.width,
+      originalHeight: upright.height,
+      colorProfile: color.profile ? color.profile.description : null,
+      colorWarning: color.warning,
+    });
+  },
+
+  /**
+   * What Watermark.draw() needs for context.watermark: the text, or the
+   * logo decoded once for all renditions.
+   */
+  async _prepareWatermark(options) {
+    if (options.type !== 'logo') {
+      return { text: options.text, close: () => {} };
+    }
+    try {
+      const logo = await this._decode(options.logo);
+      return { image: logo.source, width: logo.width, height: logo.height, close: logo.close };
+    } catch (err) {
+      throw I18n.error('watermark.logoUnreadable');
+    }
+  },
+
+  /**
+   * `format` if this browser can encode it, otherwise FALLBACK_FORMAT.
+   * Unsupported types make toBlob/convertToBlob quietly return PNG, so a
+   * 1×1 test encode tells us.
+   */
+  async _encodableFormat(format) {
+    if (format === this.FALLBACK_FORMAT) return format;
+    if (!(format in this._formatSupport)) {
+      try {
+        const blob = await this._canvasToBlob(this._createCanvas(1, 1), 0.8, format);
+        this._formatSupport[format] = blob.type === format;
+      } catch (err) {
+        this._formatSupport[format] = false;
+      }
+    }
+    return this._formatSupport[format] ? format : this.FALLBACK_FORMAT;
+  },
+
+  /**
+   * Short name for a MIME type, e.g. 'image/avif' -> 'AVIF'.
+   * (Profiles.FORMATS has the same labels but isn't loaded in the worker.)
+   */
+  _formatName(format) {
+    const names = { 'image/jpeg': 'JPG', 'image/png': 'PNG', 'image/webp': 'WebP', 'image/avif': 'AVIF' };
+    return names[format] || format;
+  },
+
+  /**
+   * Decide how (and whether) to convert the image's colours to sRGB.
+   *   'canvas' — the browser converts an embedded profile when drawing into an sRGB canvas
+   *   'js'     — decode raw values and convert with ColorProfile.convertToSrgb()
+   *   'none'   — already sRGB, untagged, or not convertible
+   * `embedded` is false when the profile came from context.metadataFile
+   * (HEIC): the converted file has no profile, so its pixels are raw anyway.
+   */
+  async _prepareColor(file, context) {
+    let profile = await ColorProfile.read(file);
+    let embedded = true;
+    if (!profile && context.metadataFile && context.metadataFile !== file) {
+      profile = await ColorProfile.read(context.metadataFile);
+      embedded = false;
+    }
+
+    const result = { profile, embedded, strategy: 'none', warning: null };
+    if (!profile || profile.isSrgb) return result;
+
+    if (ColorProfile.needsConversion(profile)) {
+      if (embedded && this._supportsCanvasColorSpace()) {
+        result.strategy = 'canvas';
+      } else if (!embedded || typeof createImageBitmap === 'function') {
+        result.strategy = 'js';
+      }
+    }
+
+    result.warning = {
+      key: result.strategy === 'none' ? 'warnings.colorNotConverted' : 'warnings.colorConverted',
+      params: { profile: profile.description },
+    };
+    return result;
+  },
+
+  /**
+   * Whether this browser supports an explicit canvas colorSpace (and so
+   * colour-manages images drawn into it).
+   */
+  _supportsCanvasColorSpace() {
+    if (this._canvasColorSpace === null) {
+      try {
+        const ctx = this._createCanvas(1, 1).getContext('2d', { colorSpace: 'srgb' });
+        this._canvasColorSpace = !!(ctx && typeof ctx.getContextAttributes === 'function' &&
+          ctx.getContextAttributes().colorSpace === 'srgb');
+      } catch (err) {
+        this._canvasColorSpace = false;
+      }
+    }
+    return this._canvasColorSpace;
+  },
+
+  /**
+   * Concatenate JPEG marker segments, skipping empty ones.
+   */
+  _joinSegments(segments) {
+    const parts = segments.filter(Boolean);
+    if (parts.length === 0) return null;
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let at = 0;
+    parts.forEach(p => { out.set(p, at); at += p.length; });
+    return out;
+  },
+
+  /**
+   * Read metadata, strip orientation from the bytes to decode, and build the
+   * EXIF segment the output will carry under METADATA_POLICY.
+   * context.metadataFile is the original upload when `file` is a conversion
+   * (e.g. HEIC → JPEG), so its artist/copyright/GPS are still available.
+   */
+  async _prepareMetadata(file, context) {
+    const meta = await Exif.read(file);
+    const source = context.metadataFile && context.metadataFile !== file
+      ? await Exif.read(context.metadataFile)
+      : meta;
+
+    // Only JPEG renditions carry it (including formats that fall back to JPEG)
+    const segment = Exif.buildSegment(Exif.applyPolicy(source, this.METADATA_POLICY, context.artistName));
+
+    return {
+      orientation: meta.orientation,
+      decodable: await Exif.withoutOrientation(file, meta),
+      segment,
+    };
+  },
+
+  /**
+   * Decode to something drawable: an ImageBitmap in the worker (or when `raw`
+   * colour values are needed), an Image on the page.
+   * @returns {Promise<{source: CanvasImageSource, width: number, height: number, close: function}>}
+   */
+  async _decode(blob, raw = false) {
+    if (typeof document === 'undefined' || raw) {
+      let bitmap;
+      try {
+        bitmap = await createImageBitmap(blob, raw ? { colorSpaceConversion: 'none' } : undefined);
+      } catch (err) {
+        throw I18n.error('processing.unreadable');
+      }
+      return { source: bitmap, width: bitmap.width, height: bitmap.height, close: () => bitmap.close() };
+    }
+
+    const img = await this._loadImage(blob);
+    return { source: img, width: img.naturalWidth, height: img.naturalHeight, close: () => {} };
+  },
+
+  /**
+   * Load a blob into an Image element via an object URL.
+   */
+  _loadImage(blob) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(blob);
+      const img = new Image();
+
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
       };
 
       img.onerror = () => {
         URL.revokeObjectURL(url);
-        reject(new Error('This file could not be read as an image.'));
+        reject(I18n.error('processing.unreadable'));
       };
 
       img.src = url;
@@ -74,15 +523,27 @@ window.ImageProcessor = {
   },
 
   /**
-   * Calculate target dimensions, capping longest edge at MAX_EDGE.
+   * New canvas of the kind available here: OffscreenCanvas in the worker, DOM canvas on the page.
+   */
+  _createCanvas(width, height) {
+    const canvas = typeof document === 'undefined'
+      ? new OffscreenCanvas(width, height)
+      : document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  },
+
+  /**
+   * Calculate target dimensions, capping longest edge at maxEdge (default MAX_EDGE).
    */
-  _calcDimensions(origW, origH) {
+  _calcDimensions(origW, origH, maxEdge = this.MAX_EDGE) {
     const longest = Math.max(origW, origH);
-    if (longest <= this.MAX_EDGE) {
+    if (longest <= maxEdge) {
       return { width: origW, height: origH };
     }
 
-    const scale = this.MAX_EDGE / longest;
+    const scale = maxEdge / longest;
     return {
       width: Math.round(origW * scale),
       height: Math.round(origH * scale),
@@ -90,48 +551,133 @@ window.ImageProcessor = {
   },
 
   /**
-   * Iterative JPEG compression until blob is under TARGET_SIZE.
+   * Compress to the highest quality that fits under the target size
+   * (`spec.targetSize`, default TARGET_SIZE) in `spec.format` (default OUTPUT_FORMAT).
+   * `spec.onEncode` is called with the running encode count after each pass.
+   *
+   * Binary-searches quality between MIN_QUALITY and INITIAL_QUALITY. If even
+   * MIN_QUALITY is too large, the canvas is scaled down (up to MAX_REDUCTIONS
+   * times) and the search repeated, rather than saving an oversized file.
+   * `encodes` counts every toBlob call so strategies can be compared.
+   * A main-thread run passes its generation so cancel() can stop it between passes.
+   * `reserve` bytes of the budget are kept free for metadata added afterwards.
    */
-  async _compress(canvas, width, height) {
-    let quality = this.INITIAL_QUALITY;
-    let blob = null;
-    let warning = null;
+  async _compress(canvas, width, height, generation, reserve = 0, spec = {}) {
+    const targetSize = spec.targetSize || this.TARGET_SIZE;
+    const format = spec.format || this.OUTPUT_FORMAT;
+    const limit = targetSize - reserve;
+    let encodes = 0;
+    const encode = async (source, quality) => {
+      this._throwIfCancelled(generation);
+      encodes++;
+      const blob = await this._canvasToBlob(source, quality, format);
+      if (spec.onEncode) spec.onEncode(encodes);
+      return blob;
+    };
 
-    while (quality >= this.MIN_QUALITY) {
-      blob = await this._canvasToBlob(canvas, quality);
+    let source = canvas;
+    let smallest = null;
 
-      if (blob.size <= this.TARGET_SIZE) {
-        return { blob, width, height, quality, warning: null };
+    for (let reduction = 0; reduction <= this.MAX_REDUCTIONS; reduction++) {
+      if (reduction > 0) {
+        // File size scales roughly with pixel count, so shrink by the square root
+        const scale = Math.min(0.95, Math.max(0.5, Math.sqrt(limit / smallest.blob.size) * 0.95));
+        width = Math.max(1, Math.round(width * scale));
+        height = Math.max(1, Math.round(height * scale));
+        source = this._resizeCanvas(source, width, height);
       }
 
-      quality -= this.QUALITY_STEP;
-      quality = Math.round(quality * 100) / 100; // avoid float drift
+      // Best case: the starting quality already fits
+      const top = await encode(source, this.INITIAL_QUALITY);
+      if (top.size <= limit) {
+        return this._result(top, width, height, this.INITIAL_QUALITY, encodes, reduction);
+      }
+
+      const floor = await encode(source, this.MIN_QUALITY);
+      smallest = { blob: floor, width, height };
+      if (floor.size > limit) continue; // too big even at the floor — shrink
+
+      // Invariant: `lo` fits, `hi` doesn't
+      let lo = this.MIN_QUALITY;
+      let hi = this.INITIAL_QUALITY;
+      let best = floor;
+      while (hi - lo > this.QUALITY_PRECISION) {
+        const mid = Math.round(((lo + hi) / 2) * 100) / 100; // avoid float drift
+        if (mid <= lo || mid >= hi) break;
+        const blob = await encode(source, mid);
+        if (blob.size <= limit) {
+          lo = mid;
+          best = blob;
+        } else {
+          hi = mid;
+        }
+      }
+
+      return this._result(best, width, height, lo, encodes, reduction);
     }
 
-    // Final attempt at minimum quality
-    blob = await this._canvasToBlob(canvas, this.MIN_QUALITY);
+    // Still too large after every reduction: keep the smallest attempt
+    return {
+      blob: smallest.blob,
+      width: smallest.width,
+      height: smallest.height,
+      quality: this.MIN_QUALITY,
+      encodes,
+      warning: { key: 'warnings.notCompressed', params: { target: targetSize } },
+    };
+  },
 
-    if (blob.size > this.TARGET_SIZE) {
-      warning = 'Image could not be compressed below 1MB at minimum quality. It has been saved at the smallest achievable size.';
+  /**
+   * Shape a successful compression result, noting any dimension reduction.
+   */
+  _result(blob, width, height, quality, encodes, reductions) {
+    const warning = reductions > 0
+      ? { key: 'warnings.reduced', params: { width, height } }
+      : null;
+    return { blob, width, height, quality, encodes, warning };
+  },
+
+  /**
+   * Draw a canvas onto a new, smaller canvas of the same kind.
+   */
+  _resizeCanvas(source, width, height) {
+    const canvas = this._createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      throw I18n.error('processing.noCanvas');
     }
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, 0, 0, width, height);
+    return canvas;
+  },
 
-    return { blob, width, height, quality: this.MIN_QUALITY, warning };
+  _throwIfCancelled(generation) {
+    if (generation !== undefined && generation !== this._generation) {
+      throw this._abortError();
+    }
   },
 
   /**
-   * Promisified canvas.toBlob for JPEG.
+   * Promisified canvas.toBlob in `format`, default OUTPUT_FORMAT (convertToBlob for OffscreenCanvas).
    */
-  _canvasToBlob(canvas, quality) {
+  _canvasToBlob(canvas, quality, format = this.OUTPUT_FORMAT) {
+    if (typeof canvas.convertToBlob === 'function') {
+      return canvas.convertToBlob({ type: format, quality }).catch(() => {
+        throw I18n.error('processing.encodeFailed');
+      });
+    }
+
     return new Promise((resolve, reject) => {
       canvas.toBlob(
         (blob) => {
           if (blob) {
             resolve(blob);
           } else {
-            reject(new Error('Canvas compression failed. Try closing other tabs to free memory.'));
+            reject(I18n.error('processing.encodeFailed'));
           }
         },
-        'image/jpeg',
+        format,
         quality
       );
     });
@@ -154,10 +700,12 @@ window.ImageProcessor = {
 
       img.onerror = () => {
         URL.revokeObjectURL(url);
-        reject(new Error('This file could not be read as an image.'));
+        reject(I18n.error('processing.unreadable'));
       };
 
       img.src = url;
     });
   }
 };
+
+if (typeof module !== 'undefined') module.exports = self.ImageProcessor;
@@ -0,0 +1,26 @@
+/**
+ * Image Worker — runs the ImageProcessor pipeline off the main thread
+ *
+ * Message in:  { id, file, context, options }  (options as accepted by configure())
+ * Message out: { id, progress } (0–1) while working, then
+ *              { id, result } on success, { id, error, key, params } on failure
+ *              (key/params from I18n.error(), so the page can translate it)
+ *
+ * Started by ImageProcessor.process(), which may run several of these at
+ * once; cancelled by terminating the worker.
+ */
+
+importScripts('i18n.js', 'locales/en.js', 'exif.js', 'color-profile.js', 'image-editor.js', 'perspective.js', 'watermark.js', 'image-processor.js');
+
+self.onmessage = async (e) => {
+  const { id, file, context, options } = e.data;
+
+  try {
+    ImageProcessor.configure(options);
+    const result = await ImageProcessor._processFile(file, context, undefined,
+      (progress) => self.postMessage({ id, progress }));
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || 'Processing failed.', key: err.key || 'processing.failed', params: err.params });
+  }
+};
@@ -0,0 +1,353 @@
+/**
+ * English messages — the reference catalogue; every key must exist here.
+ * See i18n.js for placeholders ({n}, {size:megabytes}) and plural forms.
+ */
+
+I18n.register('en', 'English', {
+  // ---- App ----
+  'app.title': 'Art Walk Weekends – Image Prep Tool',
+  'app.language': 'Language',
+  'app.footer': 'All processing is done locally in your browser.',
+
+  'common.back': 'Back',
+  'common.cancel': 'Cancel',
+  'common.image': 'Image {n}',
+
+  'update.available': 'A new version of this tool is available.',
+  'update.reload': 'Reload',
+
+  // ---- Browser support ----
+  'unsupported.heading': 'Browser Not Supported',
+  'unsupported.description': "Your browser doesn't support features required by this tool.",
+  'unsupported.missing': 'Missing features:',
+  'unsupported.advice': 'Please update your browser or try a modern browser like Chrome, Firefox, Safari, or Edge.',
+  'feature.canvas': 'Canvas',
+  'feature.canvasExport': 'Canvas image export',
+  'feature.fileUrls': 'File URLs',
+  'feature.files': 'File handling',
+  'feature.promises': 'Promises',
+  'feature.arrays': 'Modern arrays',
+
+  // ---- Step 1: Landing ----
+  'landing.heading': 'Image Prep Tool',
+  'landing.description': 'This tool prepares your artwork images for Art Walk Weekends.',
+  'landing.note': 'Note: this does not submit your images, please still attach to your submission when applying.',
+  'landing.start': 'Get Started',
+  'landing.startNew': 'Start New',
+
+  'resume.heading': 'Resume where you left off?',
+  'resume.images': { one: '{count} image — saved {when}', other: '{count} images — saved {when}' },
+  'resume.withName': '{name}, {images}',
+  'resume.resume': 'Resume',
+  'resume.discard': 'Discard',
+  'resume.otherRules': 'This session was saved under different submission rules, so it can’t be resumed here. Discard it or start a new session.',
+
+  'requirements.heading': 'Image requirements',
+  'requirements.count': { one: '{count} image required', other: '{count} images required' },
+  'requirements.format': 'JPG format is preferred',
+  'requirements.formatDetail': '({formats} also supported *)',
+  'requirements.minEdge': 'Minimum {min}px on longest edge',
+  'requirements.maxSize': 'Maximum {max:megabytes} per image',
+  'requirements.maxSourceSize': 'Maximum {max:megabytes} for {formats} files',
+  'requirements.convertedTo': 'All images will be converted to {format}',
+
+  // ---- Step 2: Artist name ----
+  'name.heading': 'Enter Your Name',
+  'name.description': 'Your name will be used to create the output filenames.',
+  'name.label': 'Artist / Full Name',
+  'name.placeholder': 'e.g. Jane Smith',
+  'name.preview': 'Filenames will look like:',
+  'name.confirm': 'Confirm & Continue',
+  'name.required': 'Please enter your name.',
+  'name.tooShort': 'Name must be at least {min} characters.',
+  'name.needsSlug': 'Please choose how your name appears in filenames.',
+  'name.fallbackId': 'Your name can’t be spelled in filename characters, so an ID is used instead. You can choose your own below.',
+  'name.fallbackManual': 'Your name can’t be spelled in filename characters. Please choose how it appears in filenames.',
+  'name.previewSizes': { one: 'Plus {count} other size of each image.', other: 'Plus {count} other sizes of each image.' },
+  'name.slugEdit': 'Change how my name appears in filenames',
+  'name.slugLabel': 'Name in filenames',
+  'name.slugHint': 'Lowercase letters a–z, numbers and single hyphens, e.g. jane-smith.',
+  'name.slugInvalid': 'Use {min}–{max} lowercase letters, numbers and single hyphens (not at the start or end).',
+  'name.slugReset': 'Use my name',
+  'name.idLabel': 'Artist ID',
+  'name.idHint': 'The ID the submission portal gave you. It goes in the filenames.',
+  'name.idRequired': 'Please enter your artist ID.',
+
+  // ---- Step 3: Upload ----
+  'upload.heading': 'Upload Your Images',
+  'upload.dropzone': 'Drag & drop images here, or click to browse',
+  'upload.dropzoneLabel': 'Drop images here or click to browse',
+  'upload.dropHere': 'Drop images here',
+  'upload.pasteHint': 'Or paste an image with Ctrl+V (⌘V on a Mac).',
+  'upload.slotsRemaining': {
+    one: '{count} slot remaining. Click an image to remove it.',
+    other: '{count} slots remaining. Click an image to remove it.',
+  },
+  'upload.slotsFull': 'All slots are filled. Remove an image first.',
+  'upload.skipped': {
+    one: '{count} file was skipped (no empty slots remaining).',
+    other: '{count} files were skipped (no empty slots remaining).',
+  },
+  'upload.duplicateFile': 'Duplicate file.',
+  'upload.tooLarge': 'Too large ({size:megabytes}). Max {max:megabytes}.',
+  'upload.wrongType': 'Unsupported file type. Use JPG, {formats}.',
+  'upload.browserCannotOpen': 'This browser can’t open {format} images. Please convert to JPG first.',
+  'upload.cannotRead': 'Cannot read image.',
+  'upload.tooSmall': 'Too small ({size}px). Min {min}px.',
+  'upload.previewTooSmall': 'This {format} file’s built-in preview is too small ({size}px, min {min}px). Please export a JPG or TIFF.',
+
+  'decoders.loadFailed': 'Could not load {format} support. Please convert to JPG or PNG first.',
+  'decoders.failed': '{format} conversion failed. Use JPG/PNG.',
+  'decoders.tiffUnsupported': 'This TIFF uses a feature that isn’t supported ({feature}). Please save it as an uncompressed or LZW TIFF, or a JPG.',
+  'decoders.rawNoPreview': 'No usable preview was found in this RAW file. Please export a JPG or TIFF.',
+
+  'camera.open': 'Take photos with the camera',
+  'camera.heading': 'Photograph your artwork',
+  'camera.intro': 'Fit the artwork inside the frame, hold the camera square-on to it and avoid glare. Each photo goes into the next empty slot.',
+  'camera.starting': 'Starting the camera...',
+  'camera.shutter': 'Take photo',
+  'camera.capturing': 'Saving photo...',
+  'camera.done': 'Done',
+  'camera.added': 'Photo added as image {n}.',
+  'camera.rejected': 'The photo for image {n} wasn’t accepted:',
+  'camera.level': 'Level',
+  'camera.offLevel': '{degrees}° off level',
+  'camera.lowResolution': 'This camera takes photos of at most {size}px, below the {min}px minimum. Photograph the artwork with your camera app and upload the photo instead.',
+  'camera.tooSmall': 'The photo is {size}px on its longest edge, below the {min}px minimum, so it wasn’t added. This camera can’t take larger photos in the browser: use your camera app and upload the photo instead.',
+  'camera.denied': 'Camera access was blocked. Allow it in your browser settings, or upload photos instead.',
+  'camera.notFound': 'No camera was found.',
+  'camera.busy': 'The camera is being used by another app. Close it and try again.',
+  'camera.failed': 'The camera could not be started.',
+  'camera.captureFailed': 'The photo could not be taken. Please try again.',
+
+  'checks.blurry': 'Looks blurry or out of focus.',
+  'checks.underexposed': 'Looks underexposed (very dark).',
+  'checks.overexposed': 'Looks overexposed (very bright).',
+  'checks.sameImage': 'Same image as image {n}.',
+  'checks.looksLikeImage': 'Looks like the same image as image {n}.',
+
+  'slots.label': 'Image slots',
+  'slots.keyboardHint': 'Arrow keys move between images. Enter adds or replaces an image, Delete removes it, Space shows more actions and Alt with Left or Right arrow moves it.',
+  'slots.slotLabel': 'Image slot {n}: {status}',
+  'slots.status.empty': 'empty',
+  'slots.status.validating': 'checking',
+  'slots.status.valid': 'ready',
+  'slots.status.error': 'error',
+  'slots.status.processing': 'processing',
+  'slots.status.done': 'done',
+  'slots.validating': 'Validating image...',
+  'slots.processing': 'Processing image...',
+  'slots.edit': 'Edit',
+  'slots.actions': 'Actions for image {n}',
+  'slots.moveEarlier': 'Move image {n} earlier',
+  'slots.moveLater': 'Move image {n} later',
+  'slots.resetEdits': 'Reset edits',
+  'slots.remove': 'Remove',
+  'slots.edited': 'Edited',
+  'slots.warning': 'Warning: {warnings}',
+  'slots.retry': 'Retry',
+  'slots.replace': 'Replace',
+  'slots.orderHint': 'Drag images (or use the arrows on an image) to set their order. Filenames are numbered in this order.',
+
+  'details.heading': 'Artwork details',
+  'details.optional': '(optional)',
+  'details.title': 'Title',
+  'details.medium': 'Medium',
+  'details.mediumPlaceholder': 'e.g. Oil on canvas',
+  'details.dimensions': 'Dimensions',
+  'details.dimensionsPlaceholder': 'e.g. 60 × 40 cm',
+  'details.year': 'Year',
+  'details.includeTitles': 'Add titles to filenames',
+  'details.example': '(e.g. {filename})',
+  'details.hint': 'Details are saved in {filename}, included in the ZIP download.',
+
+  'watermark.heading': 'Copyright mark',
+  'watermark.enable': 'Add a copyright mark to my images',
+  'watermark.type': 'Kind of mark',
+  'watermark.typeText': 'Text',
+  'watermark.typeLogo': 'Logo',
+  'watermark.textLabel': 'Text ({artistName} and {year} are filled in)',
+  'watermark.textPreview': 'Shows as: {text}',
+  'watermark.logoAlt': 'Your logo',
+  'watermark.logoChoose': 'Choose PNG logo',
+  'watermark.logoChange': 'Change logo',
+  'watermark.logoRemove': 'Remove logo',
+  'watermark.logoNeeded': 'Choose a logo, or switch to a text mark.',
+  'watermark.logoType': 'The logo must be a PNG file.',
+  'watermark.logoTooLarge': 'The logo must be under {max:megabytes}.',
+  'watermark.logoUnreadable': 'The logo could not be read as an image.',
+  'watermark.position': 'Placement',
+  'watermark.position.bottom-right': 'Bottom right',
+  'watermark.position.bottom-left': 'Bottom left',
+  'watermark.position.top-right': 'Top right',
+  'watermark.position.top-left': 'Top left',
+  'watermark.position.center': 'Centre',
+  'watermark.opacity': 'Opacity',
+  'watermark.size': 'Size',
+  'watermark.hint': 'The mark is sized to each image, so it looks the same at every size. Set it up before processing.',
+  'watermark.appliesTo': 'Added to: {renditions}.',
+
+  'editor.heading': 'Edit image {n}',
+  'editor.loading': 'Loading image...',
+  'editor.openFailed': 'Could not open this image for editing.',
+  'editor.cropLabel': 'Crop area. Use arrow keys to move, Shift and arrow keys to resize.',
+  'editor.edges': 'Artwork edges',
+  'editor.detectEdges': 'Detect edges',
+  'editor.trimBorders': 'Trim borders',
+  'editor.adjustCorners': 'Adjust corners',
+  'editor.cornersDone': 'Done',
+  'editor.clearCorners': 'Remove correction',
+  'editor.edgesFound': 'Edges found. Drag the corners to fine-tune, then choose Done.',
+  'editor.edgesNotFound': 'No clear edges found. Drag the corners onto the corners of the artwork.',
+  'editor.noBorders': 'No plain border found to trim.',
+  'editor.bordersTrimmed': 'Border trimmed.',
+  'editor.cornersLabel': 'Artwork corners. Use arrow keys to move a corner, Shift and arrow keys to move it finely.',
+  'editor.corner.topLeft': 'Top-left corner',
+  'editor.corner.topRight': 'Top-right corner',
+  'editor.corner.bottomRight': 'Bottom-right corner',
+  'editor.corner.bottomLeft': 'Bottom-left corner',
+  'editor.rotateLeft': 'Rotate left',
+  'editor.rotateRight': 'Rotate right',
+  'editor.flipHorizontal': 'Flip horizontal',
+  'editor.flipVertical': 'Flip vertical',
+  'editor.straighten': 'Straighten',
+  'editor.aspect': 'Crop shape',
+  'editor.aspectFree': 'Free',
+  'editor.aspectOriginal': 'Original',
+  'editor.aspectSquare': 'Square (1:1)',
+  'editor.apply': 'Apply',
+
+  // ---- Processing ----
+  'process.all': 'Process All Images',
+  'process.remaining': 'Process Remaining Images',
+  'process.progressLabel': 'Image processing progress',
+  'process.progress': {
+    one: 'Processed {done} of {count} image...',
+    other: 'Processed {done} of {count} images...',
+  },
+
+  'processing.failed': 'Processing failed.',
+  'processing.cancelled': 'Processing cancelled.',
+  'processing.noCanvas': 'Could not get canvas context. Try closing other tabs to free memory.',
+  'processing.outOfMemory': 'Processing failed. Try closing other tabs to free memory.',
+  'processing.encodeFailed': 'Canvas compression failed. Try closing other tabs to free memory.',
+  'processing.unreadable': 'This file could not be read as an image.',
+
+  'warnings.rendition': '{label}: {warning}',
+  'warnings.reduced': 'Image was reduced to {width}×{height}px to stay under the file size limit.',
+  'warnings.notCompressed': 'Image could not be compressed below {target:megabytes}. It has been saved at the smallest achievable size.',
+  'warnings.formatFallback': '{format} is not supported by this browser, so the {label} image was saved as {savedAs}.',
+  'warnings.colorConverted': 'Colours were converted from "{profile}" to sRGB.',
+  'warnings.colorNotConverted': 'This image uses the "{profile}" colour profile, which could not be converted to sRGB. Colours may look different.',
+
+  // ---- Step 4: Results ----
+  'results.heading': 'Your Images Are Ready',
+  'results.description': {
+    one: 'Your image has been processed and is ready for download.',
+    other: 'All {count} images have been processed and are ready for download.',
+  },
+  'results.listLabel': 'Processed images',
+  'results.otherSizes': 'Other sizes',
+  'results.quality': 'quality {quality}',
+  'results.watermarked': 'Copyright mark: {renditions}',
+  'results.watermarkPreview': '{label} image with copyright mark (opens full size)',
+  'results.download': 'Download',
+  'results.downloadFile': 'Download {filename}',
+  'results.compare': 'Compare',
+  'results.includeManifest': 'Include manifest file',
+  'results.reportLabel': 'Download batch report',
+  'results.reportJson': 'Report (JSON)',
+  'results.reportCsv': 'Report (CSV)',
+  'results.zipping': 'Preparing ZIP...',
+  'results.downloadAll': 'Download All (ZIP)',
+  'results.startOver': 'Start Over',
+
+  'compare.viewLabel': 'Comparison view',
+  'compare.slider': 'Slider',
+  'compare.side': 'Side by side',
+  'compare.positionLabel': 'Comparison position: original on the left, processed on the right',
+  'compare.original': 'Original',
+  'compare.processed': 'Processed',
+  'compare.originalAlt': 'Original image {n}',
+  'compare.processedAlt': 'Processed image {n}',
+
+  'submission.heading': 'Submit your images',
+  'submission.progressLabel': 'Upload progress for {filename}',
+  'submission.status.pending': 'waiting',
+  'submission.status.uploading': 'uploading',
+  'submission.status.done': 'done',
+  'submission.status.error': 'failed',
+  'submission.offline': 'You are offline. Upload will resume automatically when the connection returns.',
+  'submission.done': 'All images submitted. Thank you!',
+  'submission.submit': 'Submit Images',
+  'submission.retry': 'Retry Submission',
+  'submission.submitting': 'Submitting {percent}%...',
+  'submission.failed': 'Upload failed.',
+  'submission.httpError': 'Upload failed ({status}).',
+  'submission.networkError': 'Network error during upload.',
+  'submission.cancelled': 'Upload cancelled.',
+
+  // ---- Organiser mode ----
+  'organiser.intro': 'Preparing images for several artists?',
+  'organiser.open': 'Organiser mode',
+  'organiser.heading': 'Organiser mode',
+  'organiser.description': {
+    one: 'Add a folder with one folder per artist, or add files with a CSV listing each file and its artist. Each artist gets up to {count} image, checked against the same rules, in their own folder of one download.',
+    other: 'Add a folder with one folder per artist, or add files with a CSV listing each file and its artist. Each artist gets up to {count} images, checked against the same rules, in their own folder of one download.',
+  },
+  'organiser.dropzone': 'Drag and drop folders or files here, or click to choose a folder',
+  'organiser.dropzoneLabel': 'Drop folders or files here or click to choose a folder',
+  'organiser.dropzoneHint': 'A CSV dropped with them is used to match files to artists.',
+  'organiser.mappingNone': 'Files are grouped by artist folder.',
+  'organiser.mappingUsed': 'Files are matched to artists by {filename}. Files it doesn’t list are left out.',
+  'organiser.chooseMapping': 'Choose a CSV mapping',
+  'organiser.clearMapping': 'Group by folder instead',
+  'organiser.csvEmpty': 'The CSV file is empty.',
+  'organiser.csvInvalid': 'No file and artist pairs were found in the CSV. Use a column headed "file" and one headed "artist".',
+  'organiser.readFailed': 'Some of the dropped files or folders couldn’t be read. Try choosing the folder instead.',
+  'organiser.checking': 'Checking images...',
+  'organiser.groupsLabel': 'Artists',
+  'organiser.files': { one: '{count} file', other: '{count} files' },
+  'organiser.unassigned': {
+    one: '{count} file isn’t matched to an artist',
+    other: '{count} files aren’t matched to an artist',
+  },
+  'organiser.extra': 'Not included: only {max} images per artist.',
+  'organiser.needsName': 'This name can’t be used in filenames. Add the artist to a CSV under a name in Latin letters.',
+  'organiser.missing': '{count} of {max} images',
+  'organiser.complete': { one: '{count} image', other: '{count} images' },
+  'organiser.process': { one: 'Process {count} Artist', other: 'Process {count} Artists' },
+  'organiser.unassignedReason': 'Not matched to an artist.',
+  'organiser.excludedReason': 'Artist not included.',
+
+  // ---- Screen reader announcements ----
+  'announce.sessionRestored': 'Session restored.',
+  'announce.sessionDiscarded': 'Saved session discarded.',
+  'announce.nameConfirmed': 'Name confirmed: {name}',
+  'announce.imageAccepted': 'Image {n} accepted.',
+  'announce.imageError': 'Image {n} error: {error}',
+  'announce.imageMoved': 'Image moved to position {position} of {total}.',
+  'announce.imageRemoved': 'Image {n} removed.',
+  'announce.editorClosed': 'Editor closed for image {n}.',
+  'announce.editsSaved': 'Edits saved for image {n}.',
+  'announce.editsReset': 'Edits reset for image {n}.',
+  'announce.processingStarted': 'Starting image processing.',
+  'announce.processingProgress': '{percent} processed: {done} of {count} images finished.',
+  'announce.processingError': 'Error processing image {n}.',
+  'announce.processingCancelled': 'Processing cancelled. Finished images were kept.',
+  'announce.processingFailed': {
+    one: '{count} image could not be processed. Retry or replace it.',
+    other: '{count} images could not be processed. Retry or replace them.',
+  },
+  'announce.processingDone': 'All images processed successfully.',
+  'announce.zipPreparing': 'Preparing ZIP download.',
+  'announce.zipStarted': 'ZIP download started.',
+  'announce.zipFailed': 'Could not create ZIP. Please download images individually.',
+  'announce.submitting': 'Submitting images.',
+  'announce.submissionOffline': 'You are offline. Upload will resume when the connection returns.',
+  'announce.submitted': 'All images submitted successfully.',
+  'announce.submissionError': 'Submission error: {error}',
+  'announce.reset': 'Application reset. Starting over.',
+  'announce.organiserGrouped': { one: '{count} artist found, {files} images in all.', other: '{count} artists found, {files} images in all.' },
+  'announce.organiserArtistDone': 'Finished images for {name}.',
+});
@@ -0,0 +1,352 @@
+/**
+ * French messages. Keys missing here fall back to English (locales/en.js).
+ */
+
+I18n.register('fr', 'Français', {
+  // ---- App ----
+  'app.title': 'Art Walk Weekends – Outil de préparation d’images',
+  'app.language': 'Langue',
+  'app.footer': 'Tout le traitement se fait localement dans votre navigateur.',
+
+  'common.back': 'Retour',
+  'common.cancel': 'Annuler',
+  'common.image': 'Image {n}',
+
+  'update.available': 'Une nouvelle version de cet outil est disponible.',
+  'update.reload': 'Recharger',
+
+  // ---- Browser support ----
+  'unsupported.heading': 'Navigateur non pris en charge',
+  'unsupported.description': 'Votre navigateur ne prend pas en charge les fonctionnalités requises par cet outil.',
+  'unsupported.missing': 'Fonctionnalités manquantes :',
+  'unsupported.advice': 'Veuillez mettre à jour votre navigateur ou essayer un navigateur récent comme Chrome, Firefox, Safari ou Edge.',
+  'feature.canvas': 'Canvas',
+  'feature.canvasExport': 'Export d’images Canvas',
+  'feature.fileUrls': 'URL de fichiers',
+  'feature.files': 'Gestion des fichiers',
+  'feature.promises': 'Promesses',
+  'feature.arrays': 'Tableaux modernes',
+
+  // ---- Step 1: Landing ----
+  'landing.heading': 'Outil de préparation d’images',
+  'landing.description': 'Cet outil prépare les images de vos œuvres pour Art Walk Weekends.',
+  'landing.note': 'Remarque : cet outil ne soumet pas vos images, pensez à les joindre à votre candidature.',
+  'landing.start': 'Commencer',
+  'landing.startNew': 'Nouvelle session',
+
+  'resume.heading': 'Reprendre là où vous vous étiez arrêté ?',
+  'resume.images': { one: '{count} image — enregistrée le {when}', other: '{count} images — enregistrées le {when}' },
+  'resume.withName': '{name}, {images}',
+  'resume.resume': 'Reprendre',
+  'resume.discard': 'Abandonner',
+  'resume.otherRules': 'Cette session a été enregistrée avec d’autres règles de soumission et ne peut pas être reprise ici. Abandonnez-la ou commencez une nouvelle session.',
+
+  'requirements.heading': 'Exigences pour les images',
+  'requirements.count': { one: '{count} image requise', other: '{count} images requises' },
+  'requirements.format': 'Le format JPG est recommandé',
+  'requirements.formatDetail': '(formats {formats} également acceptés *)',
+  'requirements.minEdge': 'Au moins {min} px sur le plus grand côté',
+  'requirements.maxSize': 'Au plus {max:megabytes} par image',
+  'requirements.maxSourceSize': 'Au plus {max:megabytes} pour les fichiers {formats}',
+  'requirements.convertedTo': 'Toutes les images seront converties en {format}',
+
+  // ---- Step 2: Artist name ----
+  'name.heading': 'Saisissez votre nom',
+  'name.description': 'Votre nom servira à créer les noms des fichiers.',
+  'name.label': 'Artiste / Nom complet',
+  'name.placeholder': 'ex. Jeanne Tremblay',
+  'name.preview': 'Les noms de fichiers ressembleront à :',
+  'name.confirm': 'Confirmer et continuer',
+  'name.required': 'Veuillez saisir votre nom.',
+  'name.tooShort': 'Le nom doit comporter au moins {min} caractères.',
+  'name.needsSlug': 'Veuillez choisir comment votre nom apparaît dans les noms de fichiers.',
+  'name.fallbackId': 'Votre nom ne peut pas s’écrire avec les caractères autorisés dans les noms de fichiers : un identifiant est utilisé à la place. Vous pouvez choisir le vôtre ci-dessous.',
+  'name.fallbackManual': 'Votre nom ne peut pas s’écrire avec les caractères autorisés dans les noms de fichiers. Veuillez choisir comment il y apparaîtra.',
+  'name.previewSizes': { one: 'Plus {count} autre taille de chaque image.', other: 'Plus {count} autres tailles de chaque image.' },
+  'name.slugEdit': 'Modifier mon nom dans les noms de fichiers',
+  'name.slugLabel': 'Nom dans les fichiers',
+  'name.slugHint': 'Lettres minuscules a–z, chiffres et tirets simples, ex. jeanne-tremblay.',
+  'name.slugInvalid': 'Utilisez de {min} à {max} lettres minuscules, chiffres et tirets simples (ni au début ni à la fin).',
+  'name.slugReset': 'Utiliser mon nom',
+  'name.idLabel': 'Identifiant d’artiste',
+  'name.idHint': 'L’identifiant attribué par le portail de candidature. Il figure dans les noms de fichiers.',
+  'name.idRequired': 'Veuillez saisir votre identifiant d’artiste.',
+
+  // ---- Step 3: Upload ----
+  'upload.heading': 'Téléversez vos images',
+  'upload.dropzone': 'Glissez-déposez vos images ici, ou cliquez pour parcourir',
+  'upload.dropzoneLabel': 'Déposez vos images ici ou cliquez pour parcourir',
+  'upload.dropHere': 'Déposez vos images ici',
+  'upload.pasteHint': 'Ou collez une image avec Ctrl+V (⌘V sur Mac).',
+  'upload.slotsRemaining': {
+    one: '{count} emplacement restant. Cliquez sur une image pour la retirer.',
+    other: '{count} emplacements restants. Cliquez sur une image pour la retirer.',
+  },
+  'upload.slotsFull': 'Tous les emplacements sont remplis. Retirez d’abord une image.',
+  'upload.skipped': {
+    one: '{count} fichier a été ignoré (aucun emplacement libre).',
+    other: '{count} fichiers ont été ignorés (aucun emplacement libre).',
+  },
+  'upload.duplicateFile': 'Fichier en double.',
+  'upload.tooLarge': 'Trop lourd ({size:megabytes}). Max. {max:megabytes}.',
+  'upload.wrongType': 'Type de fichier non pris en charge. Utilisez JPG, {formats}.',
+  'upload.browserCannotOpen': 'Ce navigateur ne peut pas ouvrir les images {format}. Convertissez d’abord en JPG.',
+  'upload.cannotRead': 'Image illisible.',
+  'upload.tooSmall': 'Trop petite ({size} px). Min. {min} px.',
+  'upload.previewTooSmall': 'L’aperçu intégré de ce fichier {format} est trop petit ({size} px, min. {min} px). Exportez un JPG ou un TIFF.',
+
+  'decoders.loadFailed': 'Impossible de charger la prise en charge {format}. Convertissez d’abord en JPG ou PNG.',
+  'decoders.failed': 'La conversion {format} a échoué. Utilisez JPG/PNG.',
+  'decoders.tiffUnsupported': 'Ce TIFF utilise une fonction non prise en charge ({feature}). Enregistrez-le en TIFF non compressé ou LZW, ou en JPG.',
+  'decoders.rawNoPreview': 'Aucun aperçu exploitable n’a été trouvé dans ce fichier RAW. Exportez un JPG ou un TIFF.',
+
+  'camera.open': 'Prendre des photos avec l’appareil',
+  'camera.heading': 'Photographiez votre œuvre',
+  'camera.intro': 'Placez l’œuvre dans le cadre, tenez l’appareil bien en face et évitez les reflets. Chaque photo va dans le prochain emplacement vide.',
+  'camera.starting': 'Démarrage de l’appareil photo...',
+  'camera.shutter': 'Prendre la photo',
+  'camera.capturing': 'Enregistrement de la photo...',
+  'camera.done': 'Terminé',
+  'camera.added': 'Photo ajoutée comme image {n}.',
+  'camera.rejected': 'La photo pour l’image {n} n’a pas été acceptée :',
+  'camera.level': 'De niveau',
+  'camera.offLevel': '{degrees}° hors niveau',
+  'camera.lowResolution': 'Cet appareil prend des photos de {size} px au plus, sous le minimum de {min} px. Photographiez l’œuvre avec votre application appareil photo, puis importez la photo.',
+  'camera.tooSmall': 'La photo mesure {size} px sur son plus grand côté, sous le minimum de {min} px : elle n’a pas été ajoutée. Cet appareil ne peut pas prendre de photos plus grandes dans le navigateur : utilisez votre application appareil photo, puis importez la photo.',
+  'camera.denied': 'L’accès à l’appareil photo a été bloqué. Autorisez-le dans les réglages du navigateur, ou importez des photos.',
+  'camera.notFound': 'Aucun appareil photo n’a été trouvé.',
+  'camera.busy': 'L’appareil photo est utilisé par une autre application. Fermez-la et réessayez.',
+  'camera.failed': 'Impossible de démarrer l’appareil photo.',
+  'camera.captureFailed': 'Impossible de prendre la photo. Réessayez.',
+
+  'checks.blurry': 'Semble floue ou mal mise au point.',
+  'checks.underexposed': 'Semble sous-exposée (très sombre).',
+  'checks.overexposed': 'Semble surexposée (très claire).',
+  'checks.sameImage': 'Même image que l’image {n}.',
+  'checks.looksLikeImage': 'Semble être la même image que l’image {n}.',
+
+  'slots.label': 'Emplacements d’images',
+  'slots.keyboardHint': 'Les flèches permettent de passer d’une image à l’autre. Entrée ajoute ou remplace une image, Suppr la retire, Espace affiche d’autres actions et Alt avec la flèche gauche ou droite la déplace.',
+  'slots.slotLabel': 'Emplacement {n} : {status}',
+  'slots.status.empty': 'vide',
+  'slots.status.validating': 'vérification',
+  'slots.status.valid': 'prête',
+  'slots.status.error': 'erreur',
+  'slots.status.processing': 'traitement',
+  'slots.status.done': 'terminée',
+  'slots.validating': 'Vérification de l’image...',
+  'slots.processing': 'Traitement de l’image...',
+  'slots.edit': 'Modifier',
+  'slots.actions': 'Actions pour l’image {n}',
+  'slots.moveEarlier': 'Avancer l’image {n}',
+  'slots.moveLater': 'Reculer l’image {n}',
+  'slots.resetEdits': 'Annuler les modifications',
+  'slots.remove': 'Retirer',
+  'slots.edited': 'Modifiée',
+  'slots.warning': 'Avertissement : {warnings}',
+  'slots.retry': 'Réessayer',
+  'slots.replace': 'Remplacer',
+  'slots.orderHint': 'Faites glisser les images (ou utilisez les flèches sur une image) pour choisir leur ordre. Les fichiers sont numérotés dans cet ordre.',
+
+  'details.heading': 'Détails de l’œuvre',
+  'details.optional': '(facultatif)',
+  'details.title': 'Titre',
+  'details.medium': 'Technique',
+  'details.mediumPlaceholder': 'ex. Huile sur toile',
+  'details.dimensions': 'Dimensions',
+  'details.dimensionsPlaceholder': 'ex. 60 × 40 cm',
+  'details.year': 'Année',
+  'details.includeTitles': 'Ajouter les titres aux noms de fichiers',
+  'details.example': '(ex. {filename})',
+  'details.hint': 'Les détails sont enregistrés dans {filename}, inclus dans le téléchargement ZIP.',
+
+  'watermark.heading': 'Mention de copyright',
+  'watermark.enable': 'Ajouter une mention de copyright à mes images',
+  'watermark.type': 'Type de mention',
+  'watermark.typeText': 'Texte',
+  'watermark.typeLogo': 'Logo',
+  'watermark.textLabel': 'Texte ({artistName} et {year} sont remplacés)',
+  'watermark.textPreview': 'Aperçu : {text}',
+  'watermark.logoAlt': 'Votre logo',
+  'watermark.logoChoose': 'Choisir un logo PNG',
+  'watermark.logoChange': 'Changer de logo',
+  'watermark.logoRemove': 'Retirer le logo',
+  'watermark.logoNeeded': 'Choisissez un logo, ou passez à une mention texte.',
+  'watermark.logoType': 'Le logo doit être un fichier PNG.',
+  'watermark.logoTooLarge': 'Le logo doit faire moins de {max:megabytes}.',
+  'watermark.logoUnreadable': 'Le logo n’a pas pu être lu comme une image.',
+  'watermark.position': 'Emplacement',
+  'watermark.position.bottom-right': 'En bas à droite',
+  'watermark.position.bottom-left': 'En bas à gauche',
+  'watermark.position.top-right': 'En haut à droite',
+  'watermark.position.top-left': 'En haut à gauche',
+  'watermark.position.center': 'Au centre',
+  'watermark.opacity': 'Opacité',
+  'watermark.size': 'Taille',
+  'watermark.hint': 'La mention est proportionnée à chaque image : elle est identique quelle que soit la taille. Réglez-la avant le traitement.',
+  'watermark.appliesTo': 'Ajoutée à : {renditions}.',
+
+  'editor.heading': 'Modifier l’image {n}',
+  'editor.loading': 'Chargement de l’image...',
+  'editor.openFailed': 'Impossible d’ouvrir cette image pour la modifier.',
+  'editor.cropLabel': 'Zone de recadrage. Utilisez les flèches pour la déplacer, Maj et les flèches pour la redimensionner.',
+  'editor.edges': 'Bords de l’œuvre',
+  'editor.detectEdges': 'Détecter les bords',
+  'editor.trimBorders': 'Rogner les marges',
+  'editor.adjustCorners': 'Ajuster les coins',
+  'editor.cornersDone': 'Terminé',
+  'editor.clearCorners': 'Annuler la correction',
+  'editor.edgesFound': 'Bords détectés. Faites glisser les coins pour affiner, puis choisissez Terminé.',
+  'editor.edgesNotFound': 'Aucun bord net détecté. Placez les coins sur ceux de l’œuvre.',
+  'editor.noBorders': 'Aucune marge unie à rogner.',
+  'editor.bordersTrimmed': 'Marge rognée.',
+  'editor.cornersLabel': 'Coins de l’œuvre. Utilisez les flèches pour déplacer un coin, Maj et les flèches pour le déplacer finement.',
+  'editor.corner.topLeft': 'Coin supérieur gauche',
+  'editor.corner.topRight': 'Coin supérieur droit',
+  'editor.corner.bottomRight': 'Coin inférieur droit',
+  'editor.corner.bottomLeft': 'Coin inférieur gauche',
+  'editor.rotateLeft': 'Pivoter à gauche',
+  'editor.rotateRight': 'Pivoter à droite',
+  'editor.flipHorizontal': 'Retourner horizontalement',
+  'editor.flipVertical': 'Retourner verticalement',
+  'editor.straighten': 'Redresser',
+  'editor.aspect': 'Format du recadrage',
+  'editor.aspectFree': 'Libre',
+  'editor.aspectOriginal': 'Original',
+  'editor.aspectSquare': 'Carré (1:1)',
+  'editor.apply': 'Appliquer',
+
+  // ---- Processing ----
+  'process.all': 'Traiter toutes les images',
+  'process.remaining': 'Traiter les images restantes',
+  'process.progressLabel': 'Progression du traitement des images',
+  'process.progress': {
+    one: '{done} image traitée sur {count}...',
+    other: '{done} images traitées sur {count}...',
+  },
+
+  'processing.failed': 'Le traitement a échoué.',
+  'processing.cancelled': 'Traitement annulé.',
+  'processing.noCanvas': 'Impossible d’obtenir un contexte Canvas. Fermez d’autres onglets pour libérer de la mémoire.',
+  'processing.outOfMemory': 'Le traitement a échoué. Fermez d’autres onglets pour libérer de la mémoire.',
+  'processing.encodeFailed': 'La compression a échoué. Fermez d’autres onglets pour libérer de la mémoire.',
+  'processing.unreadable': 'Ce fichier n’a pas pu être lu comme une image.',
+
+  'warnings.rendition': '{label} : {warning}',
+  'warnings.reduced': 'L’image a été réduite à {width}×{height} px pour respecter la taille maximale.',
+  'warnings.notCompressed': 'L’image n’a pas pu être compressée sous {target:megabytes}. Elle a été enregistrée à la plus petite taille possible.',
+  'warnings.formatFallback': '{format} n’est pas pris en charge par ce navigateur : l’image « {label} » a été enregistrée en {savedAs}.',
+  'warnings.colorConverted': 'Les couleurs ont été converties de « {profile} » vers sRGB.',
+  'warnings.colorNotConverted': 'Cette image utilise le profil colorimétrique « {profile} », qui n’a pas pu être converti en sRGB. Les couleurs peuvent paraître différentes.',
+
+  // ---- Step 4: Results ----
+  'results.heading': 'Vos images sont prêtes',
+  'results.description': {
+    one: 'Votre image a été traitée et est prête à être téléchargée.',
+    other: 'Les {count} images ont été traitées et sont prêtes à être téléchargées.',
+  },
+  'results.listLabel': 'Images traitées',
+  'results.otherSizes': 'Autres tailles',
+  'results.quality': 'qualité {quality}',
+  'results.watermarked': 'Mention de copyright : {renditions}',
+  'results.watermarkPreview': 'Image {label} avec mention de copyright (ouvre en taille réelle)',
+  'results.download': 'Télécharger',
+  'results.downloadFile': 'Télécharger {filename}',
+  'results.compare': 'Comparer',
+  'results.includeManifest': 'Inclure le fichier manifeste',
+  'results.reportLabel': 'Télécharger le rapport',
+  'results.reportJson': 'Rapport (JSON)',
+  'results.reportCsv': 'Rapport (CSV)',
+  'results.zipping': 'Préparation du ZIP...',
+  'results.downloadAll': 'Tout télécharger (ZIP)',
+  'results.startOver': 'Recommencer',
+
+  'compare.viewLabel': 'Mode de comparaison',
+  'compare.slider': 'Curseur',
+  'compare.side': 'Côte à côte',
+  'compare.positionLabel': 'Position de comparaison : original à gauche, traitée à droite',
+  'compare.original': 'Original',
+  'compare.processed': 'Traitée',
+  'compare.originalAlt': 'Image originale {n}',
+  'compare.processedAlt': 'Image traitée {n}',
+
+  'submission.heading': 'Soumettre vos images',
+  'submission.progressLabel': 'Progression de l’envoi de {filename}',
+  'submission.status.pending': 'en attente',
+  'submission.status.uploading': 'envoi',
+  'submission.status.done': 'envoyé',
+  'submission.status.error': 'échec',
+  'submission.offline': 'Vous êtes hors ligne. L’envoi reprendra automatiquement au retour de la connexion.',
+  'submission.done': 'Toutes les images ont été soumises. Merci !',
+  'submission.submit': 'Soumettre les images',
+  'submission.retry': 'Réessayer l’envoi',
+  'submission.submitting': 'Envoi {percent} %...',
+  'submission.failed': 'L’envoi a échoué.',
+  'submission.httpError': 'L’envoi a échoué ({status}).',
+  'submission.networkError': 'Erreur réseau pendant l’envoi.',
+  'submission.cancelled': 'Envoi annulé.',
+
+  // ---- Organiser mode ----
+  'organiser.intro': 'Vous préparez les images de plusieurs artistes ?',
+  'organiser.open': 'Mode organisateur',
+  'organiser.heading': 'Mode organisateur',
+  'organiser.description': {
+    one: 'Ajoutez un dossier contenant un dossier par artiste, ou des fichiers avec un CSV indiquant l’artiste de chaque fichier. Chaque artiste a droit à {count} image au plus, vérifiée selon les mêmes règles, dans son propre dossier d’un seul téléchargement.',
+    other: 'Ajoutez un dossier contenant un dossier par artiste, ou des fichiers avec un CSV indiquant l’artiste de chaque fichier. Chaque artiste a droit à {count} images au plus, vérifiées selon les mêmes règles, dans son propre dossier d’un seul téléchargement.',
+  },
+  'organiser.dropzone': 'Glissez-déposez des dossiers ou des fichiers ici, ou cliquez pour choisir un dossier',
+  'organiser.dropzoneLabel': 'Déposez des dossiers ou des fichiers ici ou cliquez pour choisir un dossier',
+  'organiser.dropzoneHint': 'Un CSV déposé avec eux sert à associer les fichiers aux artistes.',
+  'organiser.mappingNone': 'Les fichiers sont regroupés par dossier d’artiste.',
+  'organiser.mappingUsed': 'Les fichiers sont associés aux artistes selon {filename}. Les fichiers qui n’y figurent pas sont laissés de côté.',
+  'organiser.chooseMapping': 'Choisir un CSV de correspondance',
+  'organiser.clearMapping': 'Regrouper par dossier',
+  'organiser.csvEmpty': 'Le fichier CSV est vide.',
+  'organiser.csvInvalid': 'Aucune paire fichier–artiste n’a été trouvée dans le CSV. Utilisez une colonne « fichier » et une colonne « artiste ».',
+  'organiser.readFailed': 'Certains fichiers ou dossiers déposés n’ont pas pu être lus. Essayez plutôt de choisir le dossier.',
+  'organiser.checking': 'Vérification des images...',
+  'organiser.groupsLabel': 'Artistes',
+  'organiser.files': { one: '{count} fichier', other: '{count} fichiers' },
+  'organiser.unassigned': {
+    one: '{count} fichier n’est associé à aucun artiste',
+    other: '{count} fichiers ne sont associés à aucun artiste',
+  },
+  'organiser.extra': 'Non inclus : {max} images au plus par artiste.',
+  'organiser.needsName': 'Ce nom ne peut pas figurer dans les noms de fichiers. Ajoutez l’artiste à un CSV sous un nom en lettres latines.',
+  'organiser.missing': { one: '{count} image sur {max}', other: '{count} images sur {max}' },
+  'organiser.complete': { one: '{count} image', other: '{count} images' },
+  'organiser.process': { one: 'Traiter {count} artiste', other: 'Traiter {count} artistes' },
+  'organiser.unassignedReason': 'Associé à aucun artiste.',
+  'organiser.excludedReason': 'Artiste non inclus.',
+
+  // ---- Screen reader announcements ----
+  'announce.sessionRestored': 'Session restaurée.',
+  'announce.sessionDiscarded': 'Session enregistrée abandonnée.',
+  'announce.nameConfirmed': 'Nom confirmé : {name}',
+  'announce.imageAccepted': 'Image {n} acceptée.',
+  'announce.imageError': 'Erreur pour l’image {n} : {error}',
+  'announce.imageMoved': 'Image déplacée en position {position} sur {total}.',
+  'announce.imageRemoved': 'Image {n} retirée.',
+  'announce.editorClosed': 'Éditeur fermé pour l’image {n}.',
+  'announce.editsSaved': 'Modifications enregistrées pour l’image {n}.',
+  'announce.editsReset': 'Modifications annulées pour l’image {n}.',
+  'announce.processingStarted': 'Début du traitement des images.',
+  'announce.processingProgress': '{percent} traité : {done} images terminées sur {count}.',
+  'announce.processingError': 'Erreur lors du traitement de l’image {n}.',
+  'announce.processingCancelled': 'Traitement annulé. Les images terminées ont été conservées.',
+  'announce.processingFailed': {
+    one: '{count} image n’a pas pu être traitée. Réessayez ou remplacez-la.',
+    other: '{count} images n’ont pas pu être traitées. Réessayez ou remplacez-les.',
+  },
+  'announce.processingDone': 'Toutes les images ont été traitées.',
+  'announce.zipPreparing': 'Préparation du téléchargement ZIP.',
+  'announce.zipStarted': 'Téléchargement ZIP lancé.',
+  'announce.zipFailed': 'Impossible de créer le ZIP. Téléchargez les images une par une.',
+  'announce.submitting': 'Envoi des images.',
+  'announce.submissionOffline': 'Vous êtes hors ligne. L’envoi reprendra au retour de la connexion.',
+  'announce.submitted': 'Toutes les images ont été soumises.',
+  'announce.submissionError': 'Erreur d’envoi : {error}',
+  'announce.reset': 'Application réinitialisée. Nouveau départ.',
+  'announce.organiserGrouped': { one: '{count} artiste trouvé, {files} images en tout.', other: '{count} artistes trouvés, {files} images en tout.' },
+  'announce.organiserArtistDone': 'Images de {name} terminées.',
+});
@@ -0,0 +1,241 @@
+/**
+ * Organiser — sort a coordinator's loose files into one group per artist
+ *
+ * Usage:
+ *   const entries = await Organiser.readDrop(event.dataTransfer);  // or fromFileList(input.files)
+ *   const mapping = Organiser.parseMapping(await csvFile.text());  // optional
+ *   const { groups, unassigned } = Organiser.group(entries, mapping);
+ *   // groups: [{ artistName, artistId, entries: [{ file, path }] }]
+ *
+ * Without a mapping, each artist is a folder: the first folder below the
+ * one all the files share ("Submissions/Jane Doe/1.jpg" → "Jane Doe"), or
+ * that shared folder itself when only one artist's folder was chosen.
+ *
+ * A mapping is a CSV with a file and an artist column (headed e.g. "file"
+ * and "artist"; without recognised headings, the first two columns), and
+ * optionally an "id" column for filename templates with {id}. A file cell
+ * can be a bare filename or a path ending the same way as the file's.
+ * With a mapping, the CSV decides: files it doesn't list are unassigned.
+ */
+
+window.Organiser = {
+  FILE_HEADINGS: ['file', 'filename', 'file name', 'image', 'path', 'fichier', 'nom de fichier'],
+  ARTIST_HEADINGS: ['artist', 'artist name', 'name', 'artiste', 'nom', 'nom de l’artiste', "nom de l'artiste"],
+  ID_HEADINGS: ['id', 'artist id', 'identifiant'],
+
+  // System clutter that comes along with copied folders
+  IGNORED: /(^|\/)(\.[^/]*|__MACOSX|Thumbs\.db|desktop\.ini)(\/|$)/i,
+
+  /**
+   * Files (and the contents of folders) dropped on the page, with their
+   * paths. Reads the drop before the event ends; the rest is async.
+   * @param {DataTransfer} dataTransfer
+   * @returns {Promise<Array<{file: File, path: string}>>}
+   */
+  async readDrop(dataTransfer) {
+    const items = Array.from(dataTransfer.items || []);
+    const roots = items
+      .filter(item => item.kind === 'file' && item.webkitGetAsEntry)
+      .map(item => item.webkitGetAsEntry())
+      .filter(Boolean);
+    if (roots.length === 0) return this.fromFileList(dataTransfer.files);
+
+    const entries = [];
+    for (const root of roots) {
+      await this._walk(root, entries);
+    }
+    return entries.filter(entry => !this.IGNORED.test(entry.path));
+  },
+
+  /**
+   * Files from an <input type="file"> (with `webkitdirectory`, their paths
+   * inside the chosen folder).
+   * @param {FileList|File[]} fileList
+   */
+  fromFileList(fileList) {
+    return Array.from(fileList || [])
+      .map(file => ({ file, path: file.webkitRelativePath || file.name }))
+      .filter(entry => !this.IGNORED.test(entry.path));
+  },
+
+  /**
+   * Whether a dropped file is a mapping rather than an image.
+   */
+  isMapping(entry) {
+    return /\.csv$/i.test(entry.file.name);
+  },
+
+  /**
+   * Read a file → artist CSV (comma, semicolon or tab separated).
+   * @param {string} text
+   * @returns {Array<{file: string, artist: string, id: string}>} In the CSV's order
+   */
+  parseMapping(text) {
+    const rows = this.parseCsv(text).filter(row => row.some(cell => cell.trim() !== ''));
+    if (rows.length === 0) throw I18n.error('organiser.csvEmpty');
+
+    const headings = rows[0].map(cell => cell.trim().toLowerCase());
+    let fileCol = headings.findIndex(h => this.FILE_HEADINGS.includes(h));
+    let artistCol = headings.findIndex(h => this.ARTIST_HEADINGS.includes(h));
+    const idCol = headings.findIndex(h => this.ID_HEADINGS.includes(h));
+    if (fileCol === -1 || artistCol === -1) {
+      fileCol = 0;
+      artistCol = 1;
+    } else {
+      rows.shift();
+    }
+
+    const mapping = rows
+      .map(row => ({
+        file: (row[fileCol] || '').trim(),
+        artist: this._cleanName(row[artistCol] || ''),
+        id: idCol === -1 ? '' : (row[idCol] || '').trim(),
+      }))
+      .filter(row => row.file && row.artist);
+    if (mapping.length === 0) throw I18n.error('organiser.csvInvalid');
+    return mapping;
+  },
+
+  /**
+   * Split CSV text into rows of cells (RFC 4180 quoting). The separator is
+   * whichever of , ; or tab the first line uses most.
+   */
+  parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const separator = [',', ';', '\t']
+      .map(sep => ({ sep, count: firstLine.split(sep).length }))
+      .sort((a, b) => b.count - a.count)[0].sep;
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+      if (quoted) {
+        if (ch === '"' && source[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === separator) {
+        row.push(cell);
+        cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && source[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows;
+  },
+
+  /**
+   * Sort entries into artists (see the top of this file).
+   * @param {Array<{file: File, path: string}>} entries
+   * @param {Array<{file: string, artist: string, id: string}>|null} mapping
+   * @returns {{groups: Array<{artistName: string, artistId: string, entries: Array}>, unassigned: Array}}
+   */
+  group(entries, mapping) {
+    const named = mapping ? this._byMapping(entries, mapping) : this._byFolder(entries);
+    const groups = new Map();
+    const unassigned = [];
+    const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+    named.forEach(({ entry, artist, id, order }) => {
+      if (!artist) {
+        unassigned.push(entry);
+        return;
+      }
+      const key = artist.normalize('NFC').toLowerCase();
+      if (!groups.has(key)) groups.set(key, { artistName: artist, artistId: '', entries: [] });
+      const group = groups.get(key);
+      group.artistId = group.artistId || id || '';
+      group.entries.push({ entry, order });
+    });
+
+    return {
+      groups: Array.from(groups.values())
+        .sort((a, b) => collator.compare(a.artistName, b.artistName))
+        .map(group => ({
+          artistName: group.artistName,
+          artistId: group.artistId,
+          entries: group.entries
+            .sort((a, b) => a.order - b.order || collator.compare(a.entry.path, b.entry.path))
+            .map(item => item.entry),
+        })),
+      unassigned,
+    };
+  },
+
+  _byFolder(entries) {
+    const dirs = entries.map(entry => entry.path.split('/').slice(0, -1));
+    let common = dirs.length ? dirs[0].slice() : [];
+    dirs.forEach(dir => {
+      let i = 0;
+      while (i < common.length && i < dir.length && common[i] === dir[i]) i++;
+      common = common.slice(0, i);
+    });
+    const single = dirs.every(dir => dir.length === common.length);
+
+    return entries.map((entry, i) => {
+      const folder = single ? common[common.length - 1] : dirs[i][common.length];
+      return { entry, artist: folder ? this._cleanName(folder.replace(/_/g, ' ')) : '', order: 0 };
+    });
+  },
+
+  _byMapping(entries, mapping) {
+    const rows = new Map();
+    mapping.forEach((row, order) => rows.set(this._pathKey(row.file), { artist: row.artist, id: row.id, order }));
+
+    return entries.map(entry => {
+      // The whole path, then ever shorter endings of it down to the filename
+      const parts = this._pathKey(entry.path).split('/');
+      for (let i = 0; i < parts.length; i++) {
+        const row = rows.get(parts.slice(i).join('/'));
+        if (row) return { entry, artist: row.artist, id: row.id, order: row.order };
+      }
+      return { entry, artist: '', order: 0 };
+    });
+  },
+
+  _pathKey(path) {
+    return path.normalize('NFC').replace(/\\/g, '/').replace(/^(\.?\/)+/, '').toLowerCase();
+  },
+
+  _cleanName(name) {
+    return name.trim().replace(/\s+/g, ' ');
+  },
+
+  /**
+   * Collect the files under a FileSystemEntry.
+   */
+  async _walk(entry, out) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      out.push({ file, path: entry.fullPath.replace(/^\//, '') });
+      return;
+    }
+    if (!entry.isDirectory) return;
+    const reader = entry.createReader();
+    // readEntries() returns the listing in batches until an empty one
+    for (;;) {
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (batch.length === 0) break;
+      for (const child of batch) {
+        await this._walk(child, out);
+      }
+    }
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = window.Organiser;
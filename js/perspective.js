@@ -0,0 +1,526 @@
+/**
+ * Perspective — find the artwork in a photo and square it up
+ *
+ * Usage:
+ *   const corners = Perspective.detect(imageData);  // artwork outline, or null
+ *   const corners = Perspective.trim(imageData);    // inside uniform borders, or null
+ *   const size = Perspective.size(corners, uprightW, uprightH);
+ *   const canvas = Perspective.rectify(source, { orientation, width, height, corners, scale });
+ *
+ * Corners are four {x, y} points, 0–1 relative to the upright image,
+ * clockwise from top-left. rectify() maps that quadrilateral onto a
+ * size() rectangle: a projective warp done per pixel, since canvas
+ * transforms are only affine. An axis-aligned rectangle (what trim()
+ * finds) is a plain crop.
+ *
+ * detect() looks for the largest four-sided outline:
+ *   1. Greyscale, blur, Sobel gradient magnitude
+ *   2. Pixels above an Otsu threshold are edges, dilated to close small gaps
+ *   3. Each connected edge region (contour) is reduced to its convex hull
+ *   4. The largest quadrilateral inside the hull is kept if it nearly fills
+ *      the hull, covers MIN_AREA–MAX_AREA of the photo and its sides lie
+ *      on edges
+ * Pass it a small copy of the photo (DETECT_EDGE px); trim() is cheaper
+ * and can take a larger one (TRIM_EDGE px) for a tighter fit.
+ *
+ * ImageProcessor warps before the editor's rotate/straighten/crop
+ * (image-editor.js), at the scale it is about to draw at.
+ */
+
+// `self` is the window on the page and the global scope inside the worker
+self.Perspective = {
+  DETECT_EDGE: 480,
+  TRIM_EDGE: 1200,
+  CORNERS: ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'],
+  DEFAULT_CORNERS: [{ x: 0.1, y: 0.1 }, { x: 0.9, y: 0.1 }, { x: 0.9, y: 0.9 }, { x: 0.1, y: 0.9 }],
+
+  MIN_GRADIENT: 40,     // Sobel magnitude below which nothing is an edge (flat photos)
+  MIN_AREA: 0.15,       // share of the photo the artwork must cover
+  MAX_AREA: 0.97,       // more is the photo's own border
+  MIN_FILL: 0.9,        // quadrilateral / hull area: four-sided, not a blob
+  MIN_SUPPORT: 0.5,     // share of each side that must lie on edge pixels
+  TRIM_TOLERANCE: 24,   // per channel, from a side's border colour
+  TRIM_COVERAGE: 0.98,  // share of a row or column that must match to be border
+  MAX_TRIM: 0.45,       // most trimmed from any one side
+
+  /**
+   * Corners of the largest four-sided outline in the image, or null.
+   * @param {ImageData} imageData
+   * @returns {Array<{x: number, y: number}>|null}
+   */
+  detect(imageData) {
+    const { width, height } = imageData;
+    const edges = this._edgeMap(imageData);
+    let best = null;
+
+    this._regions(edges, width, height, (points) => {
+      const hull = this._hull(points);
+      if (hull.length < 4) return;
+      const quad = this._largestQuad(hull);
+      const area = this._area(quad);
+      const share = area / (width * height);
+      if (share < this.MIN_AREA || share > this.MAX_AREA) return;
+      if (area < this._area(hull) * this.MIN_FILL) return;
+      if (this._support(quad, edges, width, height) < this.MIN_SUPPORT) return;
+      if (!best || area > best.area) best = { quad, area };
+    });
+
+    if (!best) return null;
+    return this._order(best.quad).map(p => ({ x: (p.x + 0.5) / width, y: (p.y + 0.5) / height }));
+  },
+
+  /**
+   * Corners of the image inside plain borders (a mount, a scanner's white
+   * margin, a wall filling the edges), or null when there are none.
+   * Each side is trimmed while its rows/columns match that side's outermost one.
+   * @param {ImageData} imageData
+   */
+  trim({ data, width, height }) {
+    const tolerance = this.TRIM_TOLERANCE;
+    // Pixel indices of row or column `index`
+    const line = (horizontal, index) => {
+      const count = horizontal ? width : height;
+      const at = new Array(count);
+      for (let i = 0; i < count; i++) at[i] = horizontal ? (index * width + i) * 4 : (i * width + index) * 4;
+      return at;
+    };
+    const mean = (pixels) => [0, 1, 2].map(c => pixels.reduce((sum, p) => sum + data[p + c], 0) / pixels.length);
+    const matches = (pixels, colour) => {
+      let hits = 0;
+      pixels.forEach(p => {
+        if (Math.abs(data[p] - colour[0]) <= tolerance &&
+            Math.abs(data[p + 1] - colour[1]) <= tolerance &&
+            Math.abs(data[p + 2] - colour[2]) <= tolerance) hits++;
+      });
+      return hits >= pixels.length * this.TRIM_COVERAGE;
+    };
+    // Lines of border from one side (0 when its outermost line isn't plain)
+    const inset = (horizontal, from, step) => {
+      const limit = Math.floor((horizontal ? height : width) * this.MAX_TRIM);
+      const colour = mean(line(horizontal, from));
+      let count = 0;
+      while (count < limit && matches(line(horizontal, from + count * step), colour)) count++;
+      return count;
+    };
+
+    const top = inset(true, 0, 1);
+    const bottom = inset(true, height - 1, -1);
+    const left = inset(false, 0, 1);
+    const right = inset(false, width - 1, -1);
+    if (top + bottom + left + right === 0) return null;
+
+    const x0 = left / width;
+    const x1 = (width - right) / width;
+    const y0 = top / height;
+    const y1 = (height - bottom) / height;
+    return [{ x: x0, y: y0 }, { x: x1, y: y0 }, { x: x1, y: y1 }, { x: x0, y: y1 }];
+  },
+
+  /**
+   * Pixel size of the rectangle the corners are warped to: the longer of
+   * each pair of opposite sides, so the nearer edge keeps its detail.
+   */
+  size(corners, width, height) {
+    const p = corners.map(c => ({ x: c.x * width, y: c.y * height }));
+    const length = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    return {
+      width: Math.max(1, Math.round(Math.max(length(p[0], p[1]), length(p[3], p[2])))),
+      height: Math.max(1, Math.round(Math.max(length(p[0], p[3]), length(p[1], p[2])))),
+    };
+  },
+
+  /**
+   * Warp the quadrilateral to an upright rectangle, size() × scale.
+   * @param {CanvasImageSource} source - Decoded with EXIF orientation cleared
+   * @param {Object} options
+   * @param {number} options.orientation - EXIF orientation still to apply
+   * @param {number} options.width - Upright width
+   * @param {number} options.height - Upright height
+   * @param {Array<{x: number, y: number}>} options.corners
+   * @param {number} [options.scale=1]
+   * @returns {HTMLCanvasElement|OffscreenCanvas}
+   */
+  rectify(source, { orientation = 1, width, height, corners, scale = 1 }) {
+    const size = this.size(corners, width, height);
+    const outW = Math.max(1, Math.round(size.width * scale));
+    const outH = Math.max(1, Math.round(size.height * scale));
+    const points = corners.map(c => ({ x: c.x * width, y: c.y * height }));
+
+    const left = Math.max(0, Math.floor(Math.min(...points.map(p => p.x))));
+    const top = Math.max(0, Math.floor(Math.min(...points.map(p => p.y))));
+    const right = Math.min(width, Math.ceil(Math.max(...points.map(p => p.x))));
+    const bottom = Math.min(height, Math.ceil(Math.max(...points.map(p => p.y))));
+
+    if (this._isRectangle(points)) {
+      const out = this._createCanvas(outW, outH);
+      this._drawRegion(out.getContext('2d'), source, orientation, width, height, points[0].x, points[0].y, outW / size.width, outH / size.height);
+      return out;
+    }
+
+    // The region around the quadrilateral, at about the output's resolution
+    const k = Math.min(1, scale);
+    const region = this._createCanvas(Math.max(1, Math.ceil((right - left) * k)), Math.max(1, Math.ceil((bottom - top) * k)));
+    const regionCtx = region.getContext('2d');
+    this._drawRegion(regionCtx, source, orientation, width, height, left, top, k, k);
+    const src = regionCtx.getImageData(0, 0, region.width, region.height);
+    region.width = 0; // release its memory early
+
+    const to = points.map(p => ({ x: (p.x - left) * k, y: (p.y - top) * k }));
+    const from = [{ x: 0, y: 0 }, { x: outW, y: 0 }, { x: outW, y: outH }, { x: 0, y: outH }];
+    const out = this._createCanvas(outW, outH);
+    const outCtx = out.getContext('2d');
+    const pixels = outCtx.createImageData(outW, outH);
+    this._warp(src, pixels, this._homography(from, to));
+    outCtx.putImageData(pixels, 0, 0);
+    return out;
+  },
+
+  // ---- Detection ----
+
+  /**
+   * Dilated edge pixels (1) from blurred Sobel gradients.
+   */
+  _edgeMap({ data, width, height }) {
+    const n = width * height;
+    const grey = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      grey[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+    const g = this._blur(grey, width, height);
+
+    const magnitude = new Float32Array(n);
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const gx = g[i - width + 1] + 2 * g[i + 1] + g[i + width + 1] - g[i - width - 1] - 2 * g[i - 1] - g[i + width - 1];
+        const gy = g[i + width - 1] + 2 * g[i + width] + g[i + width + 1] - g[i - width - 1] - 2 * g[i - width] - g[i - width + 1];
+        magnitude[i] = Math.sqrt(gx * gx + gy * gy);
+      }
+    }
+
+    const threshold = Math.max(this.MIN_GRADIENT, this._otsu(magnitude));
+    const edges = new Uint8Array(n);
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        if (magnitude[y * width + x] <= threshold) continue;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) edges[(y + dy) * width + x + dx] = 1;
+        }
+      }
+    }
+    return edges;
+  },
+
+  /**
+   * 5-tap binomial blur, horizontal then vertical, edges clamped.
+   */
+  _blur(values, width, height) {
+    const weights = [1, 4, 6, 4, 1];
+    const pass = (input, horizontal) => {
+      const output = new Float32Array(input.length);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          let sum = 0;
+          for (let t = -2; t <= 2; t++) {
+            const sx = horizontal ? Math.min(width - 1, Math.max(0, x + t)) : x;
+            const sy = horizontal ? y : Math.min(height - 1, Math.max(0, y + t));
+            sum += input[sy * width + sx] * weights[t + 2];
+          }
+          output[y * width + x] = sum / 16;
+        }
+      }
+      return output;
+    };
+    return pass(pass(values, true), false);
+  },
+
+  /**
+   * Otsu's threshold: the value best separating the histogram into two classes.
+   */
+  _otsu(values) {
+    let max = 0;
+    for (let i = 0; i < values.length; i++) if (values[i] > max) max = values[i];
+    if (max === 0) return 0;
+
+    const bins = new Float64Array(256);
+    for (let i = 0; i < values.length; i++) bins[Math.min(255, Math.floor(values[i] / max * 256))]++;
+    let total = 0;
+    for (let b = 0; b < 256; b++) total += b * bins[b];
+
+    let below = 0;
+    let belowSum = 0;
+    let bestVariance = -1;
+    let best = 0;
+    for (let b = 0; b < 256; b++) {
+      below += bins[b];
+      if (below === 0) continue;
+      const above = values.length - below;
+      if (above === 0) break;
+      belowSum += b * bins[b];
+      const diff = belowSum / below - (total - belowSum) / above;
+      const variance = below * above * diff * diff;
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        best = b;
+      }
+    }
+    return (best + 1) / 256 * max;
+  },
+
+  /**
+   * Call `callback` with the outline points of each connected edge region
+   * big enough to matter: per row, its leftmost and rightmost pixel, which
+   * is all its convex hull needs.
+   */
+  _regions(edges, width, height, callback) {
+    const minPixels = Math.min(width, height) / 2;
+    const seen = new Uint8Array(edges.length);
+    const stack = new Int32Array(edges.length);
+    const rowMin = new Int32Array(height).fill(width);
+    const rowMax = new Int32Array(height).fill(-1);
+
+    for (let start = 0; start < edges.length; start++) {
+      if (!edges[start] || seen[start]) continue;
+      let size = 0;
+      let top = 0;
+      let minY = height;
+      let maxY = -1;
+      stack[top++] = start;
+      seen[start] = 1;
+      while (top > 0) {
+        const i = stack[--top];
+        const x = i % width;
+        const y = (i - x) / width;
+        size++;
+        if (x < rowMin[y]) rowMin[y] = x;
+        if (x > rowMax[y]) rowMax[y] = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+        for (let dy = -1; dy <= 1; dy++) {
+          const ny = y + dy;
+          if (ny < 0 || ny >= height) continue;
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx;
+            if (nx < 0 || nx >= width) continue;
+            const j = ny * width + nx;
+            if (edges[j] && !seen[j]) {
+              seen[j] = 1;
+              stack[top++] = j;
+            }
+          }
+        }
+      }
+
+      const points = [];
+      for (let y = minY; y <= maxY; y++) {
+        if (rowMax[y] >= 0) {
+          points.push({ x: rowMin[y], y }, { x: rowMax[y], y });
+          rowMin[y] = width;
+          rowMax[y] = -1;
+        }
+      }
+      if (size >= minPixels) callback(points);
+    }
+  },
+
+  /**
+   * Convex hull (Andrew's monotone chain), in order around the outline.
+   */
+  _hull(points) {
+    const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const half = (list) => {
+      const out = [];
+      list.forEach(p => {
+        while (out.length >= 2 && cross(out[out.length - 2], out[out.length - 1], p) <= 0) out.pop();
+        out.push(p);
+      });
+      out.pop();
+      return out;
+    };
+    return half(sorted).concat(half(sorted.slice().reverse()));
+  },
+
+  /**
+   * Four hull points enclosing the largest area: start from the extreme
+   * points towards each corner, then move one corner at a time to
+   * whichever hull point between its neighbours enlarges the quadrilateral.
+   */
+  _largestQuad(hull) {
+    const n = hull.length;
+    const extreme = (score) => hull.reduce((best, p, i) => (score(p) > score(hull[best]) ? i : best), 0);
+    let picks = [
+      extreme(p => -p.x - p.y),
+      extreme(p => p.x - p.y),
+      extreme(p => p.x + p.y),
+      extreme(p => p.y - p.x),
+    ];
+    picks = Array.from(new Set(picks)).sort((a, b) => a - b);
+    if (picks.length < 4) picks = [0, 1, 2, 3].map(k => Math.floor(k * n / 4));
+
+    const areaOf = (indices) => this._area(indices.map(i => hull[i]));
+    let area = areaOf(picks);
+    for (let round = 0, improved = true; improved && round < 10; round++) {
+      improved = false;
+      for (let k = 0; k < 4; k++) {
+        const prev = picks[(k + 3) % 4];
+        const next = picks[(k + 1) % 4];
+        for (let i = (prev + 1) % n; i !== next; i = (i + 1) % n) {
+          const trial = picks.slice();
+          trial[k] = i;
+          const trialArea = areaOf(trial);
+          if (trialArea > area) {
+            area = trialArea;
+            picks = trial;
+            improved = true;
+          }
+        }
+      }
+    }
+    return picks.map(i => hull[i]);
+  },
+
+  /**
+   * Shortest share of any side that lies on edge pixels.
+   */
+  _support(quad, edges, width, height) {
+    let weakest = 1;
+    for (let s = 0; s < 4; s++) {
+      const a = quad[s];
+      const b = quad[(s + 1) % 4];
+      const steps = Math.max(1, Math.round(Math.hypot(b.x - a.x, b.y - a.y)));
+      let hits = 0;
+      for (let t = 0; t <= steps; t++) {
+        const x = Math.round(a.x + (b.x - a.x) * t / steps);
+        const y = Math.round(a.y + (b.y - a.y) * t / steps);
+        if (x >= 0 && y >= 0 && x < width && y < height && edges[y * width + x]) hits++;
+      }
+      weakest = Math.min(weakest, hits / (steps + 1));
+    }
+    return weakest;
+  },
+
+  /**
+   * Polygon area (shoelace).
+   */
+  _area(points) {
+    let sum = 0;
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      sum += a.x * b.y - b.x * a.y;
+    }
+    return Math.abs(sum) / 2;
+  },
+
+  /**
+   * Clockwise on screen, starting from the corner nearest the top left.
+   */
+  _order(quad) {
+    let sum = 0;
+    for (let i = 0; i < 4; i++) {
+      const a = quad[i];
+      const b = quad[(i + 1) % 4];
+      sum += a.x * b.y - b.x * a.y;
+    }
+    const clockwise = sum >= 0 ? quad.slice() : quad.slice().reverse();
+    const first = clockwise.reduce((best, p, i) => (p.x + p.y < clockwise[best].x + clockwise[best].y ? i : best), 0);
+    return clockwise.slice(first).concat(clockwise.slice(0, first));
+  },
+
+  // ---- Warping ----
+
+  _isRectangle(points) {
+    const near = (a, b) => Math.abs(a - b) < 0.5;
+    return near(points[0].y, points[1].y) && near(points[3].y, points[2].y) &&
+      near(points[0].x, points[3].x) && near(points[1].x, points[2].x);
+  },
+
+  /**
+   * Draw the upright image with (x, y) at the origin, scaled by sx × sy.
+   */
+  _drawRegion(ctx, source, orientation, width, height, x, y, sx, sy) {
+    const raw = Exif.orientedSize(orientation, width, height);
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.scale(sx, sy);
+    ctx.translate(-x, -y);
+    Exif.applyOrientation(ctx, orientation, raw.width, raw.height);
+    ctx.drawImage(source, 0, 0, raw.width, raw.height);
+  },
+
+  /**
+   * The projective transform taking the four `from` points to `to`, as
+   * [a, b, c, d, e, f, g, h]: x' = (ax + by + c) / (gx + hy + 1), y' = (dx + ey + f) / (gx + hy + 1).
+   */
+  _homography(from, to) {
+    const rows = [];
+    for (let i = 0; i < 4; i++) {
+      const { x, y } = from[i];
+      const { x: u, y: v } = to[i];
+      rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+      rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+    }
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < 8; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < 8; r++) {
+        if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+      }
+      [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+      for (let r = 0; r < 8; r++) {
+        if (r === col || rows[col][col] === 0) continue;
+        const factor = rows[r][col] / rows[col][col];
+        for (let c = col; c < 9; c++) rows[r][c] -= factor * rows[col][c];
+      }
+    }
+    return rows.map((row, i) => row[8] / row[i]);
+  },
+
+  /**
+   * Fill `dst` by sampling `src` (bilinear) through the homography.
+   */
+  _warp(src, dst, [a, b, c, d, e, f, g, h]) {
+    const sw = src.width;
+    const sh = src.height;
+    const s = src.data;
+    const out = dst.data;
+    let o = 0;
+    for (let y = 0; y < dst.height; y++) {
+      const py = y + 0.5;
+      for (let x = 0; x < dst.width; x++) {
+        const px = x + 0.5;
+        const w = g * px + h * py + 1;
+        const sx = Math.min(sw - 1, Math.max(0, (a * px + b * py + c) / w - 0.5));
+        const sy = Math.min(sh - 1, Math.max(0, (d * px + e * py + f) / w - 0.5));
+        const x0 = Math.floor(sx);
+        const y0 = Math.floor(sy);
+        const x1 = Math.min(sw - 1, x0 + 1);
+        const y1 = Math.min(sh - 1, y0 + 1);
+        const fx = sx - x0;
+        const fy = sy - y0;
+        const i00 = (y0 * sw + x0) * 4;
+        const i10 = (y0 * sw + x1) * 4;
+        const i01 = (y1 * sw + x0) * 4;
+        const i11 = (y1 * sw + x1) * 4;
+        for (let ch = 0; ch < 4; ch++) {
+          const top = s[i00 + ch] + (s[i10 + ch] - s[i00 + ch]) * fx;
+          const bottom = s[i01 + ch] + (s[i11 + ch] - s[i01 + ch]) * fx;
+          out[o + ch] = top + (bottom - top) * fy;
+        }
+        o += 4;
+      }
+    }
+  },
+
+  _createCanvas(width, height) {
+    const canvas = typeof document === 'undefined'
+      ? new OffscreenCanvas(width, height)
+      : document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = self.Perspective;
@@ -0,0 +1,206 @@
+/**
+ * Submission Profiles — per-event rules for validation and output
+ *
+ * Usage:
+ *   const profile = await Profiles.load(Profiles.selectedName(rootEl));
+ *   ImageProcessor.configure(profile);
+ *
+ * Selection (first match wins):
+ *   1. ?profile=<name> URL parameter
+ *   2. data-profile="<name>" on the app container
+ *   3. Built-in DEFAULT profile
+ *
+ * Named profiles live in profiles/<name>.json. Any keys they omit are taken
+ * from DEFAULT, so a profile only needs to list what differs.
+ *
+ * Renditions: each image can be output several times, e.g.
+ *   "renditions": [
+ *     { "id": "full", "label": "Full size", "suffix": "", "maxEdge": 3000, "targetSize": 4194304 },
+ *     { "id": "web", "label": "Web", "suffix": "-web", "maxEdge": 1200, "targetSize": 307200, "format": "image/webp" },
+ *     { "id": "thumb", "label": "Thumbnail", "suffix": "-thumb", "maxEdge": 400, "targetSize": 51200 }
+ *   ]
+ * Omitted fields come from the profile's maxEdge/targetSize/outputFormat.
+ * Without renditions there is one, built from those same fields. The first
+ * rendition is the main image (previews, single downloads).
+ *
+ * Filenames: filenamePattern is a template (filename-template.js lists the
+ * tokens). It needs {index} or {n}; e.g. "SURNAME_Firstname_01.jpg" is
+ *   "filenamePattern": "{last:upper}_{first:title}_{index:02}.{ext}"
+ * A title (when included) and each rendition's suffix go before the
+ * extension unless placed with {title} and {rendition}; without {ext},
+ * the extension goes on the end.
+ *
+ * Watermark: the artist can opt in to a copyright mark (watermark.js). It
+ * is off by default; the profile sets its starting options and which
+ * renditions get it, e.g.
+ *   "watermark": { "renditions": ["web", "social"], "position": "bottom-left" }
+ */
+
+window.Profiles = {
+  DEFAULT: {
+    id: 'default',
+    label: 'Art Walk Weekends',
+    slotCount: 5,
+    maxFileSize: 10 * 1024 * 1024, // 10MB
+    maxSourceFileSize: 100 * 1024 * 1024, // 100MB for uploads converted by a plugin (HEIC, TIFF, RAW)
+    minEdge: 1500,
+    maxEdge: 2000,
+    targetSize: 1 * 1024 * 1024,   // 1MB
+    initialQuality: 0.92,
+    minQuality: 0.30,
+    outputFormat: 'image/jpeg',
+    filenamePattern: '{name}-{n}.{ext}', // see above
+    concurrency: 'auto',    // images processed at once: 'auto' (from device memory/cores) or 1–4
+    titleInFilename: false, // default for "Add titles to filenames" (name-1-title.jpg)
+    // Names that can't be transliterated to ASCII (slug.js), e.g. in CJK scripts:
+    // 'id' = '<prefix>-<short hash of the name>', 'manual' = the artist must type a filename name
+    nameFallback: { strategy: 'id', prefix: 'artist' },
+    renditions: [], // see above; empty = one rendition from maxEdge/targetSize/outputFormat
+    // Copyright mark (see Watermark.DEFAULTS): starting options the artist can change
+    watermark: {
+      enabled: false,
+      renditions: [], // rendition ids to mark; empty = all
+    },
+    // Quality pre-checks (image-checks.js): 'warn' | 'error' | 'off', plus optional thresholds
+    checks: {
+      duplicate: 'warn',
+      blur: 'warn',
+      exposure: 'warn',
+    },
+    // Output EXIF (JPEG only); GPS and camera data are always stripped unless kept here
+    metadata: {
+      keepGps: false,
+      keepArtist: false,
+      keepCopyright: false,
+      injectArtistName: false,
+    },
+  },
+
+  FORMATS: {
+    'image/jpeg': { ext: 'jpg', label: 'JPG' },
+    'image/png': { ext: 'png', label: 'PNG' },
+    'image/webp': { ext: 'webp', label: 'WebP' },
+    'image/avif': { ext: 'avif', label: 'AVIF' }, // falls back to JPEG where it can't be encoded
+  },
+
+  /**
+   * Work out which profile was requested.
+   * @param {HTMLElement} [rootEl] - Element that may carry data-profile
+   * @returns {string|null}
+   */
+  selectedName(rootEl) {
+    const param = new URLSearchParams(window.location.search).get('profile');
+    if (param) return param;
+    if (rootEl && rootEl.dataset.profile) return rootEl.dataset.profile;
+    return null;
+  },
+
+  /**
+   * Load a named profile, merged over DEFAULT.
+   * Falls back to DEFAULT (with a console warning) if it cannot be loaded.
+   * @param {string|null} name
+   * @returns {Promise<Object>}
+   */
+  async load(name) {
+    if (!name) return this.normalise(this.DEFAULT);
+
+    if (!/^[a-z0-9-]+$/i.test(name)) {
+      console.warn('Ignoring invalid profile name: ' + name);
+      return this.normalise(this.DEFAULT);
+    }
+
+    try {
+      const response = await fetch('profiles/' + name + '.json');
+      if (!response.ok) throw new Error('HTTP ' + response.status);
+      const overrides = await response.json();
+      return this.normalise(Object.assign({}, this.DEFAULT, overrides, { id: name }));
+    } catch (err) {
+      console.warn('Could not load profile "' + name + '", using default.', err);
+      return this.normalise(this.DEFAULT);
+    }
+  },
+
+  /**
+   * Coerce values into safe ranges so a typo in a profile can't break processing.
+   */
+  normalise(profile) {
+    const p = Object.assign({}, profile);
+    p.slotCount = Math.max(1, Math.min(20, parseInt(p.slotCount, 10) || this.DEFAULT.slotCount));
+    p.minEdge = Math.max(1, Number(p.minEdge) || this.DEFAULT.minEdge);
+    p.maxEdge = Math.max(p.minEdge, Number(p.maxEdge) || this.DEFAULT.maxEdge);
+    p.maxFileSize = Number(p.maxFileSize) || this.DEFAULT.maxFileSize;
+    p.maxSourceFileSize = Math.max(p.maxFileSize, Number(p.maxSourceFileSize) || this.DEFAULT.maxSourceFileSize);
+    p.targetSize = Number(p.targetSize) || this.DEFAULT.targetSize;
+    p.minQuality = Math.min(1, Math.max(0.05, Number(p.minQuality) || this.DEFAULT.minQuality));
+    p.initialQuality = Math.min(1, Math.max(p.minQuality, Number(p.initialQuality) || this.DEFAULT.initialQuality));
+    if (!this.FORMATS[p.outputFormat]) p.outputFormat = this.DEFAULT.outputFormat;
+    p.metadata = Object.assign({}, this.DEFAULT.metadata, p.metadata);
+    const patternProblem = FilenameTemplate.validate(p.filenamePattern);
+    if (patternProblem) {
+      console.warn('Ignoring filenamePattern ' + JSON.stringify(p.filenamePattern) + ': ' + patternProblem + '.');
+      p.filenamePattern = this.DEFAULT.filenamePattern;
+    }
+    p.titleInFilename = !!p.titleInFilename;
+    p.nameFallback = Object.assign({}, this.DEFAULT.nameFallback, p.nameFallback);
+    if (!['id', 'manual'].includes(p.nameFallback.strategy)) {
+      p.nameFallback.strategy = this.DEFAULT.nameFallback.strategy;
+    }
+    p.nameFallback.prefix = Slug.slugify(String(p.nameFallback.prefix || ''), 20);
+    if (p.concurrency !== 'auto') {
+      p.concurrency = Math.max(1, Math.min(4, parseInt(p.concurrency, 10) || 1));
+    }
+    p.renditions = this._normaliseRenditions(p);
+    p.checks = ImageChecks.normalise(p.checks);
+    p.watermark = Watermark.normalise(p.watermark);
+    return p;
+  },
+
+  /**
+   * Fill in rendition defaults from the profile, and make ids and suffixes
+   * unique: results, filenames and the watermark's list are keyed by id, and
+   * no two renditions may share a filename.
+   */
+  _normaliseRenditions(p) {
+    const specs = Array.isArray(p.renditions) && p.renditions.length > 0
+      ? p.renditions.slice(0, 10)
+      : [{ id: 'full', label: 'Full size', suffix: '' }];
+    const ids = new Set();
+    const suffixes = new Set();
+
+    return specs.map((spec, i) => {
+      let id = /^[a-z0-9-]+$/i.test(spec.id) ? spec.id : 'r' + (i + 1);
+      while (ids.has(id)) id = id + '-' + (i + 1);
+      ids.add(id);
+      let suffix = typeof spec.suffix === 'string'
+        ? spec.suffix.replace(/[^a-z0-9_-]/gi, '')
+        : (i === 0 ? '' : '-' + id);
+      if (suffixes.has(suffix)) suffix = '-' + id + (i + 1);
+      suffixes.add(suffix);
+
+      return {
+        id,
+        label: typeof spec.label === 'string' && spec.label ? spec.label : id,
+        suffix,
+        maxEdge: Math.max(1, Number(spec.maxEdge) || p.maxEdge),
+        targetSize: Number(spec.targetSize) || p.targetSize,
+        format: this.FORMATS[spec.format] ? spec.format : p.outputFormat,
+      };
+    });
+  },
+
+  /**
+   * File extension for a profile's output format.
+   */
+  extension(profile) {
+    return this.FORMATS[profile.outputFormat].ext;
+  },
+
+  /**
+   * Human-readable label for a profile's output format.
+   */
+  formatLabel(profile) {
+    return this.FORMATS[profile.outputFormat].label;
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = window.Profiles;
@@ -0,0 +1,122 @@
+/**
+ * Session Store — persists the in-progress session in IndexedDB
+ *
+ * Usage:
+ *   const saved = await SessionStore.load();   // { meta, slots } or null
+ *   await SessionStore.saveMeta({ artistName, ... });
+ *   await SessionStore.saveSlot(index, { status, originalFile, file, ... });
+ *   await SessionStore.clear();
+ *
+ * Stores:
+ *   meta  — one record under 'session' (artist name, step, profile id...)
+ *   slots — one record per slot index, holding its Files/Blobs directly
+ *           (IndexedDB stores Blobs natively), so only changed slots are
+ *           rewritten
+ *
+ * All methods reject if IndexedDB is unavailable (e.g. private browsing in
+ * some browsers); callers treat persistence as best-effort.
+ */
+
+window.SessionStore = {
+  DB_NAME: 'image-prep-tool',
+  DB_VERSION: 1,
+  META_KEY: 'session',
+
+  _db: null,
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  },
+
+  /**
+   * Open (and on first run create) the database.
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this._db) return this._db;
+
+    this._db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta');
+        if (!db.objectStoreNames.contains('slots')) db.createObjectStore('slots');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this._db = null;
+        reject(request.error || new Error('Could not open saved session storage.'));
+      };
+    });
+    return this._db;
+  },
+
+  /**
+   * Load the saved session.
+   * @returns {Promise<{meta: Object, slots: Array<Object|undefined>}|null>}
+   */
+  async load() {
+    const db = await this.open();
+    const tx = db.transaction(['meta', 'slots'], 'readonly');
+    const meta = await this._request(tx.objectStore('meta').get(this.META_KEY));
+    if (!meta) return null;
+
+    const slotStore = tx.objectStore('slots');
+    const keys = await this._request(slotStore.getAllKeys());
+    const records = await this._request(slotStore.getAll());
+    const slots = [];
+    keys.forEach((key, i) => { slots[key] = records[i]; });
+
+    return { meta, slots };
+  },
+
+  async saveMeta(meta) {
+    const db = await this.open();
+    const tx = db.transaction('meta', 'readwrite');
+    tx.objectStore('meta').put(meta, this.META_KEY);
+    return this._complete(tx);
+  },
+
+  /**
+   * Save or (with a null record) delete one slot.
+   */
+  async saveSlot(index, record) {
+    const db = await this.open();
+    const tx = db.transaction('slots', 'readwrite');
+    const store = tx.objectStore('slots');
+    if (record) {
+      store.put(record, index);
+    } else {
+      store.delete(index);
+    }
+    return this._complete(tx);
+  },
+
+  /**
+   * Remove everything that was saved.
+   */
+  async clear() {
+    const db = await this.open();
+    const tx = db.transaction(['meta', 'slots'], 'readwrite');
+    tx.objectStore('meta').clear();
+    tx.objectStore('slots').clear();
+    return this._complete(tx);
+  },
+
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  _complete(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Saving session was aborted.'));
+    });
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = window.SessionStore;
@@ -0,0 +1,107 @@
+/**
+ * Slug — filename-safe ASCII versions of names and titles
+ *
+ * Usage:
+ *   Slug.slugify('Zoë Bréhaut');          // 'zoe-brehaut'
+ *   Slug.slugify('Дмитрий Шостакович');   // 'dmitriy-shostakovich'
+ *   Slug.fallback('王小明', 'artist');     // 'artist-04obqgz' (same name, same slug)
+ *   Slug.isValid('my-name');              // true
+ *
+ * Transliteration:
+ *   1. Unicode compatibility decomposition (NFKD) and removal of combining
+ *      marks folds diacritics (é → e, ṡ → s) and ligatures (ﬁ → fi)
+ *   2. CHARS maps letters that don't decompose (ß, æ, ø, ł...), the Tironian
+ *      et used in Irish, and the Cyrillic and Greek alphabets; DIGRAPHS run
+ *      first for Greek pairs read as one sound
+ *   3. Anything still outside [a-z0-9] becomes a hyphen
+ *
+ * Scripts with no mapping (e.g. CJK, Arabic) leave little or nothing; the
+ * caller decides what to do then, e.g. use fallback().
+ */
+
+window.Slug = {
+  PATTERN: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+  MIN_LENGTH: 2,
+  MAX_LENGTH: 60,
+
+  DIGRAPHS: {
+    'ου': 'ou', 'αυ': 'av', 'ευ': 'ev', 'γγ': 'ng', 'γκ': 'gk', 'μπ': 'mp',
+  },
+
+  CHARS: {
+    // Latin letters without a decomposition
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd',
+    'þ': 'th', 'ł': 'l', 'ı': 'i', 'ħ': 'h', 'ŧ': 't', 'ŋ': 'ng', 'ĸ': 'k',
+    // Irish / Gaelic: the Tironian et ("agus"); dotted consonants (ḃ ċ ḋ...) and fadas decompose
+    '⁊': 'agus',
+    // Cyrillic (Russian, Ukrainian, Belarusian, Serbian, Macedonian, Bulgarian)
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ж': 'zh',
+    'з': 'z', 'и': 'i', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n',
+    'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f',
+    'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y',
+    'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya', 'є': 'ye', 'і': 'i', 'ґ': 'g',
+    'ђ': 'dj', 'ј': 'j', 'љ': 'lj', 'њ': 'nj', 'ћ': 'c', 'џ': 'dz', 'ѕ': 'dz',
+    'ѓ': 'gj', 'ќ': 'kj',
+    // Greek (ELOT 743, simplified)
+    'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i',
+    'θ': 'th', 'ι': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x',
+    'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y',
+    'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o',
+  },
+
+  /**
+   * Fold text to lowercase ASCII, keeping separators as they are.
+   */
+  transliterate(text) {
+    // ё, й and ї would decompose to plain е, и and і, so they're spelled first
+    let out = text.toLowerCase()
+      .replace(/ё/g, 'yo')
+      .replace(/й/g, 'y')
+      .replace(/ї/g, 'yi')
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '');
+    Object.keys(this.DIGRAPHS).forEach(pair => {
+      out = out.split(pair).join(this.DIGRAPHS[pair]);
+    });
+    return Array.from(out, ch => (ch in this.CHARS ? this.CHARS[ch] : ch)).join('');
+  },
+
+  /**
+   * Lowercase, hyphenated, filename-safe version of some text ('' when
+   * nothing in it can be spelled in ASCII).
+   * @param {string} text
+   * @param {number} [maxLength=MAX_LENGTH] - Longer slugs are cut (never ending in a hyphen)
+   */
+  slugify(text, maxLength = this.MAX_LENGTH) {
+    return this.transliterate(text.trim())
+      .replace(/['’]/g, '')          // apostrophes join words (o'brien → obrien)
+      .replace(/[^a-z0-9]+/g, '-')   // everything else separates them
+      .replace(/^-+|-+$/g, '')
+      .slice(0, maxLength)
+      .replace(/-+$/, '');
+  },
+
+  /**
+   * Stable ID-based slug for a name that can't be transliterated:
+   * `prefix` plus a short hash of the name, so it survives a reload.
+   */
+  fallback(text, prefix) {
+    let hash = 0x811c9dc5; // FNV-1a
+    for (const ch of text.trim().normalize('NFC')) {
+      hash ^= ch.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    const id = (hash >>> 0).toString(36).padStart(7, '0');
+    const base = this.slugify(prefix || '');
+    return base ? base + '-' + id : id;
+  },
+
+  /**
+   * Whether a hand-entered slug is usable as is.
+   */
+  isValid(slug) {
+    return slug.length >= this.MIN_LENGTH && slug.length <= this.MAX_LENGTH && this.PATTERN.test(slug);
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = window.Slug;
@@ -0,0 +1,187 @@
+/**
+ * Submission Client — uploads the processed set to a configured endpoint
+ *
+ * Usage:
+ *   await SubmissionClient.submit({ endpoint, fields, items, onChange });
+ *
+ * Behaviour:
+ *   1. Each item is POSTed as its own multipart/form-data request, together
+ *      with the shared fields (artistName, sanitizedName, submissionId...),
+ *      so progress can be reported per file
+ *   2. Failed requests are retried with exponential backoff; 4xx responses
+ *      (other than 408/429) are treated as permanent and not retried
+ *   3. While the browser is offline the queue pauses and resumes on the
+ *      'online' event. Items already marked 'done' are skipped, so calling
+ *      submit() again after a failure only re-sends what is left
+ *
+ * Each item is mutated in place:
+ *   { filename, blob, status: 'pending'|'uploading'|'done'|'error', progress: 0-1, error }
+ *
+ * For local testing run `node tools/stub-upload-server.js` and set
+ * data-submit-endpoint="http://localhost:8787/upload" on the app container.
+ */
+
+window.SubmissionClient = {
+  MAX_ATTEMPTS: 4,
+  BASE_DELAY: 1000, // ms, doubled after each failed attempt
+  FILE_FIELD: 'file',
+
+  _run: null, // { cancelled, xhr, onCancel }: the current submit(), so cancel() stops only that one
+
+  /**
+   * Upload every pending item in order.
+   * @param {Object} options
+   * @param {string} options.endpoint - URL to POST to
+   * @param {Object<string, string>} options.fields - Extra form fields sent with each file
+   * @param {Array<Object>} options.items - Queue items, mutated in place
+   * @param {function(string)} [options.onChange] - Called with 'uploading' | 'offline' | 'retrying'
+   * @returns {Promise<void>} Resolves when every item is done; rejects on a permanent failure
+   */
+  async submit({ endpoint, fields, items, onChange = () => {} }) {
+    // A run parked offline by an earlier cancel() stays cancelled
+    if (this._run) this.cancel();
+    const run = { cancelled: false, xhr: null, onCancel: null };
+    this._run = run;
+
+    try {
+      for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        if (item.status === 'done') continue;
+        await this._sendWithRetry(run, endpoint, Object.assign({}, fields, {
+          index: String(i + 1),
+          total: String(items.length),
+        }), item, onChange);
+      }
+    } finally {
+      if (this._run === run) this._run = null;
+    }
+  },
+
+  /**
+   * Abort any in-flight request and stop the queue, including one waiting
+   * to come back online.
+   */
+  cancel() {
+    const run = this._run;
+    if (!run) return;
+    this._run = null;
+    run.cancelled = true;
+    if (run.xhr) run.xhr.abort();
+    if (run.onCancel) run.onCancel();
+  },
+
+  /**
+   * Send one item, retrying transient failures with exponential backoff.
+   */
+  async _sendWithRetry(run, endpoint, fields, item, onChange) {
+    let attempt = 0;
+
+    for (;;) {
+      if (!navigator.onLine) {
+        onChange('offline');
+        await this._waitForOnline(run);
+      }
+      this._throwIfCancelled(run);
+
+      item.status = 'uploading';
+      item.error = null;
+      onChange('uploading');
+
+      try {
+        await this._send(run, endpoint, fields, item);
+        item.status = 'done';
+        item.progress = 1;
+        return;
+      } catch (err) {
+        this._throwIfCancelled(run);
+        item.progress = 0;
+
+        // Connection dropped — wait for it to come back without using up an attempt
+        if (!navigator.onLine) continue;
+
+        attempt++;
+        if (err.permanent || attempt >= this.MAX_ATTEMPTS) {
+          item.status = 'error';
+          item.error = I18n.describe(err);
+          throw err;
+        }
+
+        item.status = 'pending';
+        onChange('retrying');
+        await this._delay(this.BASE_DELAY * Math.pow(2, attempt - 1));
+        this._throwIfCancelled(run);
+      }
+    }
+  },
+
+  /**
+   * POST a single file as multipart/form-data, reporting upload progress.
+   */
+  _send(run, endpoint, fields, item) {
+    return new Promise((resolve, reject) => {
+      const form = new FormData();
+      Object.keys(fields).forEach(key => form.append(key, fields[key]));
+      form.append(this.FILE_FIELD, item.blob, item.filename);
+
+      const xhr = new XMLHttpRequest();
+      run.xhr = xhr;
+      xhr.open('POST', endpoint);
+
+      xhr.upload.onprogress = (e) => {
+        if (e.lengthComputable) item.progress = e.loaded / e.total;
+      };
+
+      xhr.onload = () => {
+        run.xhr = null;
+        if (xhr.status >= 200 && xhr.status < 300) {
+          resolve();
+          return;
+        }
+        const err = I18n.error('submission.httpError', { status: xhr.status });
+        err.permanent = xhr.status >= 400 && xhr.status < 500 &&
+          xhr.status !== 408 && xhr.status !== 429;
+        reject(err);
+      };
+
+      xhr.onerror = () => {
+        run.xhr = null;
+        reject(I18n.error('submission.networkError'));
+      };
+
+      xhr.onabort = () => {
+        run.xhr = null;
+        reject(I18n.error('submission.cancelled'));
+      };
+
+      xhr.send(form);
+    });
+  },
+
+  _throwIfCancelled(run) {
+    if (run.cancelled) throw I18n.error('submission.cancelled');
+  },
+
+  /**
+   * Resolves on the 'online' event; rejects if the run is cancelled first.
+   */
+  _waitForOnline(run) {
+    return new Promise((resolve, reject) => {
+      const online = () => {
+        run.onCancel = null;
+        resolve();
+      };
+      window.addEventListener('online', online, { once: true });
+      run.onCancel = () => {
+        window.removeEventListener('online', online);
+        run.onCancel = null;
+        reject(I18n.error('submission.cancelled'));
+      };
+    });
+  },
+
+  _delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = window.SubmissionClient;
@@ -0,0 +1,140 @@
+/**
+ * Watermark — optional copyright mark drawn on output renditions
+ *
+ * Usage:
+ *   const options = Watermark.normalise(profile.watermark);
+ *   const text = Watermark.text(options.text, { artistName: 'Jane Smith' }); // '© Jane Smith 2026'
+ *   if (Watermark.appliesTo(options, 'web')) Watermark.draw(ctx, width, height, options, { text });
+ *
+ * The mark is a line of text or a logo image (a PNG with transparency works
+ * best). Its height and margin are fractions of the image's shorter edge,
+ * so it covers the same share of every rendition whatever its pixel size.
+ *
+ * ImageProcessor draws it after resizing and before compression, on the
+ * renditions listed in `renditions` (empty = all). Off unless `enabled`.
+ */
+
+// `self` is the window on the page and the global scope inside the worker
+self.Watermark = {
+  TYPES: ['text', 'logo'],
+  POSITIONS: ['bottom-right', 'bottom-left', 'top-right', 'top-left', 'center'],
+  MIN_SCALE: 0.02,
+  MAX_SCALE: 0.2,
+  MIN_OPACITY: 0.1,
+  MAX_TEXT_LENGTH: 100,
+  MAX_LOGO_SIZE: 2 * 1024 * 1024, // 2MB; it's drawn small, so more is never needed
+
+  DEFAULTS: {
+    enabled: false,
+    type: 'text',
+    text: '© {artistName} {year}',
+    position: 'bottom-right',
+    opacity: 0.6,
+    scale: 0.04,     // height of the text or logo, as a share of the shorter edge
+    margin: 0.03,    // gap to the nearest edges, same unit
+    renditions: [],  // rendition ids to mark; empty = all
+  },
+
+  /**
+   * Merge options over DEFAULTS, clamping values into usable ranges.
+   */
+  normalise(options) {
+    const o = Object.assign({}, this.DEFAULTS, options);
+    const clamp = (value, min, max, fallback) => {
+      const n = Number(value);
+      return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+    };
+    o.enabled = !!o.enabled;
+    if (!this.TYPES.includes(o.type)) o.type = this.DEFAULTS.type;
+    if (!this.POSITIONS.includes(o.position)) o.position = this.DEFAULTS.position;
+    o.text = typeof o.text === 'string' ? o.text.slice(0, this.MAX_TEXT_LENGTH) : this.DEFAULTS.text;
+    o.opacity = clamp(o.opacity, this.MIN_OPACITY, 1, this.DEFAULTS.opacity);
+    o.scale = clamp(o.scale, this.MIN_SCALE, this.MAX_SCALE, this.DEFAULTS.scale);
+    o.margin = clamp(o.margin, 0, 0.2, this.DEFAULTS.margin);
+    o.renditions = Array.isArray(o.renditions) ? o.renditions.filter(id => typeof id === 'string') : [];
+    return o;
+  },
+
+  /**
+   * Fill {artistName} and {year} (default: this year) into a text template.
+   * Unknown placeholders are left as typed.
+   */
+  text(template, values = {}) {
+    const fields = Object.assign({ year: new Date().getFullYear() }, values);
+    return template
+      .replace(/\{(\w+)\}/g, (match, name) => (name in fields ? String(fields[name]) : match))
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * Whether the rendition with this id gets the mark.
+   */
+  appliesTo(options, id) {
+    return options.renditions.length === 0 || options.renditions.includes(id);
+  },
+
+  /**
+   * Draw the mark onto a width × height canvas context.
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {number} width
+   * @param {number} height
+   * @param {Object} options - As returned by normalise()
+   * @param {{text: string}|{image: CanvasImageSource, width: number, height: number}} mark -
+   *   The filled-in text (type 'text') or the decoded logo (type 'logo')
+   */
+  draw(ctx, width, height, options, mark) {
+    const unit = Math.min(width, height);
+    const margin = unit * options.margin;
+    const room = Math.max(1, width - 2 * margin); // longest the mark may run
+    let size = Math.max(1, unit * options.scale);
+
+    ctx.save();
+    ctx.globalAlpha = options.opacity;
+
+    if (options.type === 'logo') {
+      if (mark.image && mark.width > 0 && mark.height > 0) {
+        let w = size * (mark.width / mark.height);
+        if (w > room) {
+          size *= room / w;
+          w = room;
+        }
+        const { x, y } = this._place(options.position, w, size, width, height, margin);
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(mark.image, x, y, w, size);
+      }
+    } else if (mark.text) {
+      const font = (px) => '600 ' + px + 'px sans-serif';
+      ctx.font = font(size);
+      const measured = ctx.measureText(mark.text).width;
+      if (measured > room) {
+        size *= room / measured;
+        ctx.font = font(size);
+      }
+      const w = Math.min(measured, room);
+      const { x, y } = this._place(options.position, w, size, width, height, margin);
+      // Light text with a soft shadow reads on both dark and light artwork
+      ctx.fillStyle = '#ffffff';
+      ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+      ctx.shadowBlur = size * 0.15;
+      ctx.textBaseline = 'middle';
+      ctx.fillText(mark.text, x, y + size / 2);
+    }
+
+    ctx.restore();
+  },
+
+  /**
+   * Top-left corner for a w × h mark at `position`.
+   */
+  _place(position, w, h, width, height, margin) {
+    const [vertical, horizontal] = position === 'center' ? ['center', 'center'] : position.split('-');
+    return {
+      x: horizontal === 'left' ? margin : horizontal === 'right' ? width - margin - w : (width - w) / 2,
+      y: vertical === 'top' ? margin : vertical === 'bottom' ? height - margin - h : (height - h) / 2,
+    };
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = self.Watermark;
@@ -0,0 +1,138 @@
+/**
+ * ZIP Writer — builds an uncompressed (STORE) ZIP archive in the browser
+ *
+ * Usage:
+ *   const zip = await ZipWriter.create([{ name: 'jane-doe-1.jpg', blob }]);
+ *
+ * Notes:
+ *   - JPEGs are already compressed, so entries are stored, not deflated.
+ *   - Each entry is read in chunks to compute its CRC-32; the archive itself
+ *     is assembled from Blob parts that reference the source blobs, so the
+ *     image data is never copied into one large buffer.
+ *   - No network access; everything happens locally.
+ */
+
+window.ZipWriter = {
+  _crcTable: null,
+
+  /**
+   * Create a ZIP archive from a list of named blobs.
+   * @param {Array<{name: string, blob: Blob}>} entries
+   * @param {Date} [date] - Modification time stamped on every entry
+   * @returns {Promise<Blob>}
+   */
+  async create(entries, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, day } = this._dosDateTime(date);
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+      const nameBytes = encoder.encode(entry.name);
+      const size = entry.blob.size;
+      const crc = await this._crc32(entry.blob);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);  // local file header signature
+      local.setUint16(4, 20, true);          // version needed to extract
+      local.setUint16(6, 0x0800, true);      // flags: UTF-8 filenames
+      local.setUint16(8, 0, true);           // method: store
+      local.setUint16(10, time, true);
+      local.setUint16(12, day, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, size, true);       // compressed size
+      local.setUint32(22, size, true);       // uncompressed size
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true);          // extra field length
+
+      parts.push(local.buffer, nameBytes, entry.blob);
+
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014b50, true); // central directory signature
+      header.setUint16(4, 20, true);         // version made by
+      header.setUint16(6, 20, true);         // version needed to extract
+      header.setUint16(8, 0x0800, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, time, true);
+      header.setUint16(14, day, true);
+      header.setUint32(16, crc, true);
+      header.setUint32(20, size, true);
+      header.setUint32(24, size, true);
+      header.setUint16(28, nameBytes.length, true);
+      // extra length, comment length, disk start, internal + external attrs: all 0
+      header.setUint32(42, offset, true);    // local header offset
+
+      central.push(header.buffer, nameBytes);
+      offset += 30 + nameBytes.length + size;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);      // end of central directory signature
+    end.setUint16(8, entries.length, true);  // entries on this disk
+    end.setUint16(10, entries.length, true); // total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);         // central directory offset
+
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+  },
+
+  /**
+   * Compute the CRC-32 of a blob, reading it chunk by chunk where supported.
+   */
+  async _crc32(blob) {
+    const table = this._getCrcTable();
+    let crc = 0xffffffff;
+
+    const update = (bytes) => {
+      for (let i = 0; i < bytes.length; i++) {
+        crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+      }
+    };
+
+    if (typeof blob.stream === 'function') {
+      const reader = blob.stream().getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        update(value);
+      }
+    } else {
+      update(new Uint8Array(await blob.arrayBuffer()));
+    }
+
+    return (crc ^ 0xffffffff) >>> 0;
+  },
+
+  /**
+   * Lazily build the CRC-32 lookup table.
+   */
+  _getCrcTable() {
+    if (this._crcTable) return this._crcTable;
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    this._crcTable = table;
+    return table;
+  },
+
+  /**
+   * Convert a Date to MS-DOS time and date fields.
+   */
+  _dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+  },
+};
+
+if (typeof module !== 'undefined') module.exports = window.ZipWriter;
@@ -0,0 +1,140 @@
+/**
+ * Service Worker — precaches the app so it installs and runs offline
+ *
+ * Strategies:
+ *   App shell (PRECACHE) — cache first; navigations get the cached index.html
+ *   profiles/*.json      — network first, cached copy when offline
+ *   Google Fonts         — stale-while-revalidate (system monospace until cached)
+ *   Everything else      — straight to the network (e.g. submission uploads)
+ *
+ * Updating: bump CACHE_VERSION on every deploy that changes a precached file.
+ * The new worker installs alongside the old one and waits; the page offers a
+ * reload (see _registerServiceWorker in app.js), which sends 'skipWaiting'.
+ * On activate, caches from older versions are deleted.
+ */
+
+const CACHE_VERSION = 'v26';
+const CACHE_PREFIX = 'image-prep-';
+const APP_CACHE = CACHE_PREFIX + 'app-' + CACHE_VERSION;
+const FONT_CACHE = CACHE_PREFIX + 'fonts';
+
+const PRECACHE = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'favicon.svg',
+  'css/styles.css',
+  'images/logo.png',
+  'images/icons/icon-192.png',
+  'images/icons/icon-512.png',
+  'images/icons/icon-maskable-512.png',
+  'js/i18n.js',
+  'js/locales/en.js',
+  'js/locales/fr.js',
+  'js/slug.js',
+  'js/filename-template.js',
+  'js/profiles.js',
+  'js/exif.js',
+  'js/decoders.js',
+  'js/decoders/tiff.js',
+  'js/decoders/raw.js',
+  'js/camera.js',
+  'js/color-profile.js',
+  'js/image-editor.js',
+  'js/perspective.js',
+  'js/watermark.js',
+  'js/image-processor.js',
+  'js/image-checks.js',
+  'js/image-worker.js',
+  'js/zip-writer.js',
+  'js/submission-client.js',
+  'js/session-store.js',
+  'js/organiser.js',
+  'js/app.js',
+  'vendor/alpinejs/alpine.min.js',
+  'vendor/heic-to/heic-to.js',
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  // 'reload' bypasses the HTTP cache so a new version never precaches stale files
+  event.waitUntil(
+    caches.open(APP_CACHE).then(cache =>
+      cache.addAll(PRECACHE.map(url => new Request(url, { cache: 'reload' })))
+    )
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== APP_CACHE && key !== FONT_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    // Query strings (e.g. ?profile=) select behaviour in the page, not a different file
+    event.respondWith(
+      caches.match('index.html', { cacheName: APP_CACHE })
+        .then(cached => cached || fetch(request))
+    );
+    return;
+  }
+
+  if (url.pathname.includes('/profiles/') && url.pathname.endsWith('.json')) {
+    event.respondWith(networkFirst(request, APP_CACHE));
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: APP_CACHE })
+      .then(cached => cached || fetch(request))
+  );
+});
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      // Opaque (no-cors) font responses report status 0 but are still usable
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || network;
+}
@@ -0,0 +1,105 @@
+/**
+ * index.html under Alpine, each step audited with axe-core: any violation
+ * fails the test. jsdom has no layout, so axe leaves colour contrast
+ * unchecked (incomplete, not a violation).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axe = require('axe-core');
+const { imageFile, stubImageDecoding } = require('./helpers');
+
+const root = path.join(__dirname, '..');
+const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+
+let app;
+
+// Alpine's x-show transitions switch display over a couple of frames
+const frame = () => new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+const settle = async () => {
+  for (let i = 0; i < 3; i++) await frame();
+};
+
+async function show(step) {
+  app.currentStep = step;
+  await settle();
+}
+
+async function audit() {
+  const { violations } = await axe.run(document);
+  return violations.map(v => '[' + v.id + '] ' + v.help + ': ' + v.nodes.map(node => node.target.join(' ')).join(', '));
+}
+
+beforeAll(async () => {
+  // checkBrowserSupport() needs a canvas; the audit doesn't draw
+  HTMLCanvasElement.prototype.getContext = () => ({});
+  HTMLCanvasElement.prototype.toBlob = () => {};
+
+  const style = document.createElement('style');
+  style.textContent = fs.readFileSync(path.join(root, 'css/styles.css'), 'utf8');
+  document.head.appendChild(style);
+  document.body.innerHTML = /<body>([\s\S]*)<\/body>/.exec(html)[1].replace(/<script>[\s\S]*?<\/script>/g, '');
+
+  window.imageApp = require('../js/app.js').imageApp;
+  require('../vendor/alpinejs/alpine.min.js'); // starts itself
+  await settle();
+  app = Alpine.$data(document.querySelector('.app-container'));
+  await settle();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  // Else jsdom's teardown reaches Alpine's observer after the document is gone
+  Alpine.stopObservingMutations();
+});
+
+test('landing step', async () => {
+  await show('landing');
+  expect(await audit()).toEqual([]);
+});
+
+test('name step', async () => {
+  app.artistName = 'Jane Doe';
+  await show('name');
+  expect(await audit()).toEqual([]);
+});
+
+test('upload step, with an image, a failed upload and the actions open', async () => {
+  stubImageDecoding(new Map());
+  app.artistNameConfirmed = true;
+  await show('upload');
+  expect(await audit()).toEqual([]);
+
+  await app.handleFiles([imageFile('a.jpg'), new File(['just text'], 'notes.jpg', { type: 'image/jpeg' })]);
+  app.openSlotMenu(0);
+  await settle();
+  expect(await audit()).toEqual([]);
+});
+
+test('slot grid rows match its columns', async () => {
+  const rows = () => Array.from(document.querySelectorAll('.slot-grid [role="row"]'))
+    .map(row => row.querySelectorAll('[role="gridcell"]').length);
+  expect(rows()).toEqual([3, 2]);
+
+  app.slotColumns = 2;
+  await settle();
+  expect(rows()).toEqual([2, 2, 1]);
+  expect(await audit()).toEqual([]);
+  app.slotColumns = 3;
+});
+
+test('results step', async () => {
+  const slot = app.slots[0];
+  app._setRenditions(slot, [{ id: 'full', blob: new Blob(['x']), width: 2000, height: 1500, format: 'image/jpeg', suffix: '' }]);
+  slot.status = 'done';
+  await show('results');
+  expect(await audit()).toEqual([]);
+});
+
+test('organiser step', async () => {
+  await show('organiser');
+  expect(await audit()).toEqual([]);
+});
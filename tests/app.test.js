@@ -0,0 +1,356 @@
+const { MB, createApp, imageFile, stubImageDecoding } = require('./helpers');
+
+let app;
+let dimensions;
+
+beforeEach(() => {
+  dimensions = new Map();
+  stubImageDecoding(dimensions);
+  app = createApp();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const statuses = () => app.slots.map(slot => slot.status);
+
+describe('sanitizedName', () => {
+  test('transliterates the artist’s name', () => {
+    app.artistName = '  Zoë Bréhaut ';
+    expect(app.sanitizedName).toBe('zoe-brehaut');
+  });
+
+  test('uses the artist’s own filename name while they edit it', () => {
+    app.artistName = 'Zoë Bréhaut';
+    app.editingSlug = true;
+    app.customSlug = 'zb-studio';
+    expect(app.sanitizedName).toBe('zb-studio');
+    app.useNameSlug();
+    expect(app.sanitizedName).toBe('zoe-brehaut');
+  });
+
+  test('falls back to an ID for names with nothing to transliterate', () => {
+    app.artistName = '王小明';
+    expect(app.sanitizedName).toMatch(/^artist-[a-z0-9]+$/);
+    expect(app.sanitizedName).toBe(Slug.fallback('王小明', 'artist'));
+  });
+});
+
+describe('handleFiles', () => {
+  test('fills empty slots in order', async () => {
+    await app.handleFiles([imageFile('a.jpg'), imageFile('b.jpg')]);
+    expect(statuses()).toEqual(['valid', 'valid', 'empty', 'empty', 'empty']);
+    expect(app.slots[1].originalFile.name).toBe('b.jpg');
+    expect(app.excessMessage).toBeNull();
+  });
+
+  test('skips the files beyond the empty slots', async () => {
+    const files = ['1', '2', '3', '4', '5', '6', '7'].map(n => imageFile(n + '.jpg'));
+    await app.handleFiles(files);
+    expect(statuses()).toEqual(['valid', 'valid', 'valid', 'valid', 'valid']);
+    expect(app.slots.map(slot => slot.originalFile.name)).toEqual(['1.jpg', '2.jpg', '3.jpg', '4.jpg', '5.jpg']);
+    expect(app.excessMessage).toEqual({ key: 'upload.skipped', params: { count: 2 } });
+  });
+
+  test('says so when every slot is full', async () => {
+    await app.handleFiles(['1', '2', '3', '4', '5'].map(n => imageFile(n + '.jpg')));
+    await app.handleFiles([imageFile('6.jpg')]);
+    expect(app.excessMessage).toEqual({ key: 'upload.slotsFull' });
+  });
+
+  test('only fills slots that are empty', async () => {
+    await app.handleFiles([imageFile('a.jpg'), imageFile('b.jpg')]);
+    app.clearSlot(0);
+    await app.handleFiles([imageFile('c.jpg'), imageFile('d.jpg')]);
+    expect(app.slots.map(slot => slot.originalFile && slot.originalFile.name))
+      .toEqual(['c.jpg', 'b.jpg', 'd.jpg', null, null]);
+  });
+
+  test('gives a paste during another upload its own slots', async () => {
+    const drop = app.handleFiles([imageFile('a.jpg'), imageFile('b.jpg')]);
+    const paste = app.handleFiles([imageFile('c.jpg'), imageFile('d.jpg')]);
+    await Promise.all([drop, paste]);
+    expect(app.slots.map(slot => slot.originalFile && slot.originalFile.name))
+      .toEqual(['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg', null]);
+    expect(statuses()).toEqual(['valid', 'valid', 'valid', 'valid', 'empty']);
+  });
+
+  test('rejects a file already in another slot', async () => {
+    await app.handleFiles([imageFile('a.jpg')]);
+    await app.handleFiles([imageFile('a.jpg')]);
+    expect(statuses().slice(0, 2)).toEqual(['valid', 'error']);
+    expect(app.slots[1].error).toEqual({ key: 'upload.duplicateFile', params: {} });
+  });
+
+  test('accepts a same-named file of another size', async () => {
+    await app.handleFiles([imageFile('a.jpg', { size: 1000 })]);
+    await app.handleFiles([imageFile('a.jpg', { size: 2000 })]);
+    expect(statuses().slice(0, 2)).toEqual(['valid', 'valid']);
+  });
+
+  test('rejects files that are not images', async () => {
+    await app.handleFiles([new File(['just text'], 'notes.jpg', { type: 'image/jpeg' })]);
+    expect(app.slots[0].status).toBe('error');
+    expect(app.slots[0].error.key).toBe('upload.wrongType');
+  });
+});
+
+describe('uploads before the profile has loaded', () => {
+  test('wait for it, and go into its slots', async () => {
+    let load;
+    app._profileLoaded = new Promise(resolve => { load = resolve; })
+      .then(profile => app._applyProfile(profile));
+
+    const upload = app.handleFiles([imageFile('early.jpg')]);
+    load(Profiles.normalise(Object.assign({}, Profiles.DEFAULT, { slotCount: 3 })));
+    await upload;
+
+    expect(statuses()).toEqual(['valid', 'empty', 'empty']);
+    expect(app.slots[0].originalFile.name).toBe('early.jpg');
+  });
+});
+
+describe('upload limits', () => {
+  test('accepts an image exactly at the minimum edge', async () => {
+    const file = imageFile('edge.jpg');
+    dimensions.set(file, { width: 1500, height: 1000 });
+    await app.handleFiles([file]);
+    expect(app.slots[0].status).toBe('valid');
+  });
+
+  test('rejects an image one pixel short of the minimum edge', async () => {
+    const file = imageFile('short.jpg');
+    dimensions.set(file, { width: 1000, height: 1499 });
+    await app.handleFiles([file]);
+    expect(app.slots[0].status).toBe('error');
+    expect(app.slots[0].error).toMatchObject({ key: 'upload.tooSmall', params: { size: 1499, min: 1500 } });
+  });
+
+  test('accepts a file of exactly 10MB', async () => {
+    await app.handleFiles([imageFile('big.jpg', { size: 10 * MB })]);
+    expect(app.slots[0].status).toBe('valid');
+  });
+
+  test('rejects a file one byte over 10MB', async () => {
+    await app.handleFiles([imageFile('bigger.jpg', { size: 10 * MB + 1 })]);
+    expect(app.slots[0].status).toBe('error');
+    expect(app.slots[0].error).toMatchObject({ key: 'upload.tooLarge', params: { size: 10 * MB + 1, max: 10 * MB } });
+  });
+});
+
+describe('HEIC uploads', () => {
+  test('are recognised by content when the browser gives no MIME type', async () => {
+    const heic = imageFile('IMG_0001.HEIC', { format: 'heic', type: '' });
+    const converted = imageFile('IMG_0001.jpg');
+    const decode = jest.spyOn(Decoders, 'decode').mockResolvedValue(converted);
+
+    await app.handleFiles([heic]);
+
+    expect(decode).toHaveBeenCalledWith(heic, expect.objectContaining({ id: 'heic' }));
+    expect(app.slots[0].status).toBe('valid');
+    expect(app.slots[0].originalFile).toBe(heic);
+    expect(app.slots[0].file).toBe(converted);
+  });
+});
+
+describe('object URLs', () => {
+  test('are revoked when a slot is cleared or replaced', async () => {
+    const revoke = jest.spyOn(URL, 'revokeObjectURL');
+    await app.handleFiles([imageFile('a.jpg')]);
+    const url = app.slots[0].originalUrl;
+
+    app.clearSlot(0);
+    expect(revoke).toHaveBeenCalledWith(url);
+    expect(app.slots[0].originalUrl).toBeNull();
+
+    await app.handleFiles([imageFile('b.jpg')]);
+    const second = app.slots[0].originalUrl;
+    await app.assignFileToSlot(0, imageFile('c.jpg'));
+    expect(revoke).toHaveBeenCalledWith(second);
+  });
+
+  test('are revoked for a file that fails validation', async () => {
+    const revoke = jest.spyOn(URL, 'revokeObjectURL');
+    jest.spyOn(ImageChecks, 'evaluate').mockReturnValue([{ check: 'blur', severity: 'error', message: { key: 'checks.blurry' } }]);
+    await app.handleFiles([imageFile('blurry.jpg')]);
+    expect(app.slots[0].status).toBe('error');
+    expect(app.slots[0].originalUrl).toBeNull();
+    expect(revoke).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('resetApp', () => {
+  test('revokes every URL and clears the session', async () => {
+    jest.spyOn(SessionStore, 'isSupported').mockReturnValue(false);
+    const revoke = jest.spyOn(URL, 'revokeObjectURL');
+    app.artistName = 'Jane Doe';
+    app.artistNameConfirmed = true;
+    await app.handleFiles([imageFile('a.jpg'), imageFile('b.jpg')]);
+    const urls = app.slots.slice(0, 2).map(slot => slot.originalUrl);
+    app._setRenditions(app.slots[1], [{ id: 'full', blob: new Blob(['x']), width: 1, height: 1, format: 'image/jpeg', suffix: '' }]);
+    const renditionUrl = app.slots[1].renditions[0].url;
+    app.currentStep = 'results';
+
+    app.resetApp();
+
+    urls.concat(renditionUrl).forEach(url => expect(revoke).toHaveBeenCalledWith(url));
+    expect(statuses()).toEqual(['empty', 'empty', 'empty', 'empty', 'empty']);
+    expect(app.artistName).toBe('');
+    expect(app.artistNameConfirmed).toBe(false);
+    expect(app.excessMessage).toBeNull();
+    expect(app.currentStep).toBe('landing');
+  });
+
+  test('stops processing and uploads in flight', () => {
+    jest.spyOn(SessionStore, 'isSupported').mockReturnValue(false);
+    const cancelProcessing = jest.spyOn(ImageProcessor, 'cancel');
+    const cancelUpload = jest.spyOn(SubmissionClient, 'cancel');
+    app.isProcessing = true;
+    app.submission.status = 'offline';
+
+    app.resetApp();
+
+    expect(cancelProcessing).toHaveBeenCalled();
+    expect(cancelUpload).toHaveBeenCalled();
+    expect(app.isProcessing).toBe(false);
+    expect(app.submission.status).toBe('idle');
+  });
+});
+
+describe('organiser mode', () => {
+  const entry = (path) => ({ file: imageFile(path.split('/').pop()), path });
+
+  test('stops processing the remaining artists after a reset', async () => {
+    jest.spyOn(SessionStore, 'isSupported').mockReturnValue(false);
+    let release;
+    const process = jest.spyOn(ImageProcessor, 'process').mockImplementation(() => new Promise(resolve => {
+      release = () => resolve({ renditions: [{ id: 'full', blob: new Blob(['x']), format: 'image/jpeg', suffix: '' }] });
+    }));
+    app.profile = Object.assign({}, app.profile, { slotCount: 1, concurrency: 1 });
+    await app._addOrganiserEntries([entry('Subs/Ann/1.jpg'), entry('Subs/Bob/1.jpg'), entry('Subs/Cy/1.jpg')]);
+
+    const run = app.processOrganiser();
+    app.resetApp();
+    release();
+    await run;
+
+    expect(process).toHaveBeenCalledTimes(1);
+    expect(app.isProcessing).toBe(false);
+  });
+
+  test('shows an error when a dropped folder can’t be read', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(Organiser, 'readDrop').mockRejectedValue(new DOMException('Not readable', 'NotReadableError'));
+    await app.organiserDrop({ dataTransfer: {} });
+    expect(app.organiser.error).toEqual({ key: 'organiser.readFailed' });
+  });
+});
+
+describe('filename', () => {
+  beforeEach(() => {
+    app.profile = Profiles.normalise(Profiles.DEFAULT);
+  });
+
+  test('builds the names once until something in them changes', async () => {
+    app.artistName = 'Jane Doe';
+    await app.handleFiles([imageFile('a.jpg'), imageFile('b.jpg')]);
+    const render = jest.spyOn(FilenameTemplate, 'render');
+
+    expect(app.filenamePreview.slice(0, 2)).toEqual(['jane-doe-1.jpg', 'jane-doe-2.jpg']);
+    app.filename(0);
+    const renders = render.mock.calls.length;
+    expect(renders).toBe(app.slots.length);
+
+    app.artistName = 'Jane Smith';
+    expect(app.filename(1)).toBe('jane-smith-2.jpg');
+    expect(render.mock.calls.length).toBe(renders * 2);
+  });
+
+  test('keeps one date in the names until the next run', async () => {
+    app.profile = Profiles.normalise(Object.assign({}, Profiles.DEFAULT, { filenamePattern: '{name}-{date}-{index}.{ext}' }));
+    app.artistName = 'Jane Doe';
+    jest.useFakeTimers({ now: new Date(2026, 4, 9, 23, 59), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    try {
+      app._filenameDate = new Date();
+      const before = app.filename(0);
+      jest.setSystemTime(new Date(2026, 4, 10, 0, 1));
+      expect(app.filename(0)).toBe(before);
+      expect(before).toBe('jane-doe-20260509-1.jpg');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('slot grid keys', () => {
+  const key = (index, name) => {
+    const cell = document.createElement('div');
+    const event = { key: name, altKey: false, target: cell, currentTarget: cell, preventDefault: jest.fn() };
+    app.slotKeydown(index, event);
+    return event;
+  };
+
+  test('Up and Down move a row of slots', () => {
+    app.slotColumns = 2;
+    key(0, 'ArrowDown');
+    expect(app.slotFocus).toBe(2);
+    key(2, 'ArrowUp');
+    expect(app.slotFocus).toBe(0);
+  });
+
+  test('Delete removes an image; Backspace doesn’t', async () => {
+    await app.handleFiles([imageFile('a.jpg')]);
+    expect(key(0, 'Backspace').preventDefault).not.toHaveBeenCalled();
+    expect(app.slots[0].status).toBe('valid');
+    key(0, 'Delete');
+    expect(app.slots[0].status).toBe('empty');
+  });
+});
+
+describe('processing progress', () => {
+  test('starts from zero when retrying failed images alongside new ones', async () => {
+    app._applyProfile(Profiles.normalise(Object.assign({}, Profiles.DEFAULT, { slotCount: 3, concurrency: 1 })));
+    await app.handleFiles([imageFile('a.jpg'), imageFile('b.jpg'), imageFile('c.jpg')]);
+    app.slots.slice(0, 2).forEach(slot => {
+      slot.status = 'error';
+      slot.error = { key: 'processing.failed' };
+    });
+    const seen = [];
+    jest.spyOn(ImageProcessor, 'process').mockImplementation(async () => {
+      seen.push(app.processingProgress);
+      return { renditions: [{ id: 'full', blob: new Blob(['x']), width: 1, height: 1, format: 'image/jpeg', suffix: '' }] };
+    });
+
+    await app.processAllImages();
+
+    expect(seen).toEqual([0, 33, 67]);
+    expect(app.processingProgress).toBe(100);
+  });
+});
+
+describe('session saving', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('waits for a processing run to end, then saves once', async () => {
+    await app.handleFiles(['1', '2', '3', '4', '5'].map(n => imageFile(n + '.jpg')));
+    const save = jest.spyOn(app, '_saveSession').mockResolvedValue();
+    jest.spyOn(ImageProcessor, 'process').mockImplementation(async (file, options, onProgress) => {
+      [0.25, 0.5, 0.75].forEach(progress => {
+        onProgress(progress);
+        app._scheduleSave(); // as the slots watcher would
+        jest.advanceTimersByTime(1000);
+      });
+      return { renditions: [{ id: 'full', blob: new Blob(['x']), width: 1, height: 1, format: 'image/jpeg', suffix: '' }] };
+    });
+    app._persistReady = true;
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+
+    await app.processAllImages();
+    jest.runAllTimers();
+
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,19 @@
+const values = { name: 'zoe-brehaut', first: 'Zoë', last: 'Bréhaut', index: 1, ext: 'jpg', date: new Date(2026, 4, 9) };
+
+describe('FilenameTemplate.render', () => {
+  test('fills in the tokens', () => {
+    expect(FilenameTemplate.render('{last:upper}_{first:title}_{index:02}.{ext}', values)).toBe('BREHAUT_Zoe_01.jpg');
+    expect(FilenameTemplate.render('{name}-{date:YYYY-MM-DD}-{n}.{ext}', values)).toBe('zoe-brehaut-2026-05-09-1.jpg');
+  });
+
+  test('adds the extension when the pattern leaves it out', () => {
+    expect(FilenameTemplate.render('{name}-{index}', values)).toBe('zoe-brehaut-1.jpg');
+    expect(FilenameTemplate.render('{name}-{index}', Object.assign({}, values, { ext: 'webp', rendition: '-web' })))
+      .toBe('zoe-brehaut-1-web.webp');
+  });
+
+  test('puts a title or rendition the pattern doesn’t place before the extension', () => {
+    expect(FilenameTemplate.render('{name}-{index}.{ext}', Object.assign({}, values, { title: 'Blue Hour', rendition: '-web' })))
+      .toBe('zoe-brehaut-1-blue-hour-web.jpg');
+  });
+});
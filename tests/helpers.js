@@ -0,0 +1,78 @@
+/**
+ * Test helpers: an imageApp() with Alpine's magics stubbed, image files
+ * recognised by their content, and a canvas whose encoded size follows
+ * its pixel count and quality.
+ */
+
+const { imageApp } = require('../js/app.js');
+
+const MB = 1024 * 1024;
+
+/**
+ * The Alpine component's data object, without Alpine: $nextTick runs at
+ * once and $watch is a no-op.
+ */
+function createApp() {
+  const app = imageApp();
+  app.$nextTick = (fn) => fn && fn();
+  app.$watch = () => {};
+  app.$refs = {};
+  app.$el = document.createElement('div');
+  app.announce = jest.fn();
+  return app;
+}
+
+/**
+ * A file with the leading bytes of its format and `size` bytes in all.
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {'jpeg'|'heic'} [options.format='jpeg']
+ * @param {number} [options.size=1024]
+ * @param {string} [options.type] - MIME type; default from the format, '' allowed
+ */
+function imageFile(name, { format = 'jpeg', size = 1024, type } = {}) {
+  const bytes = new Uint8Array(size);
+  if (format === 'heic') {
+    bytes.set([0, 0, 0, 24], 0);
+    bytes.set(Array.from('ftypheic\0\0\0\0mif1heic', c => c.charCodeAt(0)), 4);
+  } else {
+    bytes.set([0xff, 0xd8, 0xff, 0xe0], 0);
+  }
+  // Files of the same size still differ, as uploads would
+  bytes[size - 1] = name.length;
+  const mime = type !== undefined ? type : (format === 'heic' ? 'image/heic' : 'image/jpeg');
+  return new File([bytes], name, { type: mime });
+}
+
+/**
+ * A canvas stand-in: drawing is ignored, and an encode is
+ * width × height × quality bytes (so smaller or lower quality is smaller).
+ */
+function fakeCanvas(width, height) {
+  return {
+    width,
+    height,
+    getContext: () => ({ drawImage() {} }),
+    convertToBlob({ type, quality }) {
+      return Promise.resolve(new Blob([new Uint8Array(Math.round(this.width * this.height * quality))], { type }));
+    },
+  };
+}
+
+/**
+ * Stub what jsdom can't do for uploads: measuring (dimensions by file,
+ * default 2000×1500) and the canvas-based quality checks.
+ * @param {Map<Blob, {width: number, height: number}>} [dimensions]
+ */
+function stubImageDecoding(dimensions = new Map()) {
+  jest.spyOn(ImageProcessor, 'getDimensions').mockImplementation(async file =>
+    dimensions.get(file) || { width: 2000, height: 1500 });
+  // Sharp and well exposed; the shared hash only warns under the default profile
+  jest.spyOn(ImageChecks, 'analyse').mockResolvedValue({
+    hash: '0123456789abcdef',
+    sharpness: 500,
+    histogram: new Array(256).fill(1),
+  });
+}
+
+module.exports = { MB, createApp, imageFile, fakeCanvas, stubImageDecoding };
@@ -0,0 +1,87 @@
+const { MB, fakeCanvas } = require('./helpers');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ImageProcessor._calcDimensions', () => {
+  test('leaves images within the limit alone', () => {
+    expect(ImageProcessor._calcDimensions(1500, 1000)).toEqual({ width: 1500, height: 1000 });
+  });
+
+  test('leaves an image exactly at the limit alone', () => {
+    expect(ImageProcessor._calcDimensions(2000, 1000)).toEqual({ width: 2000, height: 1000 });
+  });
+
+  test('caps the longest edge of landscape and portrait images', () => {
+    expect(ImageProcessor._calcDimensions(4000, 3000)).toEqual({ width: 2000, height: 1500 });
+    expect(ImageProcessor._calcDimensions(3000, 4000)).toEqual({ width: 1500, height: 2000 });
+  });
+
+  test('rounds the shorter edge', () => {
+    expect(ImageProcessor._calcDimensions(3001, 2000)).toEqual({ width: 2000, height: 1333 });
+  });
+
+  test('takes a rendition’s own limit', () => {
+    expect(ImageProcessor._calcDimensions(4000, 3000, 400)).toEqual({ width: 400, height: 300 });
+  });
+});
+
+describe('ImageProcessor._compress', () => {
+  // fakeCanvas: an encode is width × height × quality bytes
+
+  test('keeps the starting quality when it already fits', async () => {
+    const result = await ImageProcessor._compress(fakeCanvas(1000, 1000), 1000, 1000);
+    expect(result.quality).toBe(ImageProcessor.INITIAL_QUALITY);
+    expect(result.encodes).toBe(1);
+    expect(result.warning).toBeNull();
+  });
+
+  test('finds the highest quality under the target size', async () => {
+    const result = await ImageProcessor._compress(fakeCanvas(1200, 1200), 1200, 1200);
+    const best = MB / (1200 * 1200); // ≈ 0.728
+    expect(result.blob.size).toBeLessThanOrEqual(MB);
+    expect(result.quality).toBeLessThanOrEqual(best);
+    expect(result.quality).toBeGreaterThan(best - ImageProcessor.QUALITY_PRECISION * 2);
+    expect(result.width).toBe(1200);
+    expect(result.warning).toBeNull();
+  });
+
+  test('keeps the reserve free for metadata', async () => {
+    const reserve = 100 * 1024;
+    const result = await ImageProcessor._compress(fakeCanvas(1200, 1200), 1200, 1200, undefined, reserve);
+    expect(result.blob.size).toBeLessThanOrEqual(MB - reserve);
+  });
+
+  test('encodes in the rendition’s format and budget', async () => {
+    const result = await ImageProcessor._compress(fakeCanvas(1000, 1000), 1000, 1000, undefined, 0, {
+      format: 'image/webp',
+      targetSize: 300 * 1024,
+    });
+    expect(result.blob.type).toBe('image/webp');
+    expect(result.blob.size).toBeLessThanOrEqual(300 * 1024);
+  });
+
+  test('shrinks the image when even the lowest quality is too large', async () => {
+    jest.spyOn(ImageProcessor, '_createCanvas').mockImplementation(fakeCanvas);
+    const result = await ImageProcessor._compress(fakeCanvas(4000, 4000), 4000, 4000);
+    expect(result.blob.size).toBeLessThanOrEqual(MB);
+    expect(result.width).toBeLessThan(4000);
+    expect(result.warning).toEqual({ key: 'warnings.reduced', params: { width: result.width, height: result.height } });
+  });
+
+  test('returns the smallest attempt with a warning when nothing fits', async () => {
+    jest.spyOn(ImageProcessor, '_createCanvas').mockImplementation(fakeCanvas);
+    const result = await ImageProcessor._compress(fakeCanvas(16000, 16000), 16000, 16000);
+    expect(result.blob.size).toBeGreaterThan(MB);
+    expect(result.quality).toBe(ImageProcessor.MIN_QUALITY);
+    expect(result.warning).toEqual({ key: 'warnings.notCompressed', params: { target: MB } });
+  });
+
+  test('stops when the run was cancelled', async () => {
+    const generation = ImageProcessor._generation;
+    ImageProcessor.cancel();
+    await expect(ImageProcessor._compress(fakeCanvas(1000, 1000), 1000, 1000, generation))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * The service worker precaches every file the page and the installed app
+ * ask for, so they work offline (sw.js PRECACHE).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const read = (file) => fs.readFileSync(path.join(root, file), 'utf8');
+
+const precache = JSON.parse(
+  /const PRECACHE = (\[[\s\S]*?\]);/.exec(read('sw.js'))[1].replace(/'/g, '"').replace(/,\s*\]/, ']')
+);
+
+test('holds the files index.html loads', () => {
+  const html = read('index.html').replace(/<!--[\s\S]*?-->/g, '');
+  const local = Array.from(html.matchAll(/(?<![:\w-])(?:src|href)="([^"#:]+)"/g), m => m[1]);
+  expect(local.length).toBeGreaterThan(0);
+  local.forEach(file => expect(precache).toContain(file));
+});
+
+test('holds the manifest’s icons', () => {
+  const icons = JSON.parse(read('manifest.webmanifest')).icons.map(icon => icon.src);
+  icons.forEach(file => expect(precache).toContain(file));
+});
+
+test('lists only files that exist', () => {
+  precache.filter(file => file !== './').forEach(file => {
+    expect(fs.existsSync(path.join(root, file))).toBe(true);
+  });
+});
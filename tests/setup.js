@@ -0,0 +1,48 @@
+/**
+ * Loads the app's scripts into jsdom in index.html's order, so each test
+ * file sees the same globals as the page (see the CommonJS note at the end
+ * of each script).
+ *
+ * jsdom has no object URLs, no Blob.arrayBuffer()/text() and no canvas
+ * encoder: the first two are filled in here, canvases are stubbed by the
+ * tests that need them (helpers.js).
+ */
+
+let urlCount = 0;
+URL.createObjectURL = () => 'blob:test/' + (++urlCount);
+URL.revokeObjectURL = () => {};
+
+function read(blob, method) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](blob);
+  });
+}
+Blob.prototype.arrayBuffer = function () { return read(this, 'readAsArrayBuffer'); };
+Blob.prototype.text = function () { return read(this, 'readAsText'); };
+
+[
+  'i18n.js',
+  'locales/en.js',
+  'locales/fr.js',
+  'slug.js',
+  'filename-template.js',
+  'profiles.js',
+  'exif.js',
+  'decoders.js',
+  'camera.js',
+  'color-profile.js',
+  'image-editor.js',
+  'perspective.js',
+  'watermark.js',
+  'image-processor.js',
+  'image-checks.js',
+  'zip-writer.js',
+  'submission-client.js',
+  'session-store.js',
+  'organiser.js',
+].forEach(file => require('../js/' + file));
+
+I18n.setLocale('en');
@@ -0,0 +1,66 @@
+/**
+ * Stub upload server for testing the submission flow locally.
+ *
+ * Usage:
+ *   node tools/stub-upload-server.js [--port 8787] [--fail-rate 0.3] [--delay 0]
+ *
+ * Accepts POST /upload (multipart/form-data), logs the form field names,
+ * the uploaded filename and byte count, and responds 200. With --fail-rate,
+ * that fraction of requests fail with 503 so retry/backoff can be observed.
+ * Nothing is written to disk.
+ */
+
+const http = require('http');
+
+const args = process.argv.slice(2);
+function option(name, fallback) {
+  const i = args.indexOf('--' + name);
+  return i !== -1 && args[i + 1] !== undefined ? Number(args[i + 1]) : fallback;
+}
+
+const PORT = option('port', 8787);
+const FAIL_RATE = option('fail-rate', 0);
+const DELAY = option('delay', 0);
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'POST' || req.url !== '/upload') {
+    res.writeHead(404);
+    res.end('Not found');
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks);
+    // Header lines are ASCII, so a latin1 view is enough to pick out part names
+    const text = body.toString('latin1');
+    const fields = [...text.matchAll(/name="([^"]+)"(?:; filename="([^"]+)")?/g)]
+      .map(m => (m[2] ? m[1] + '=' + m[2] : m[1]));
+
+    setTimeout(() => {
+      if (Math.random() < FAIL_RATE) {
+        console.log('503  ' + body.length + ' bytes  [' + fields.join(', ') + ']');
+        res.writeHead(503);
+        res.end('Simulated failure');
+        return;
+      }
+      console.log('200  ' + body.length + ' bytes  [' + fields.join(', ') + ']');
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, bytes: body.length }));
+    }, DELAY);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log('Stub upload server listening on http://localhost:' + PORT + '/upload');
+});